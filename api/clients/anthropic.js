@@ -4,6 +4,49 @@ const nurtureFields = require('../config/nurture-fields');
 
 const logger = createLogger('anthropic-client');
 
+const MODEL = 'claude-haiku-4-5-20251001';
+
+// Fail a hung request instead of holding up the caller until the function is killed
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Send a single-turn message and return the text of the reply.
+ * @param {Object} options - { system, prompt, maxTokens }
+ * @returns {Promise<string>}
+ */
+async function createMessage({ system, prompt, maxTokens = 500 }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY not configured');
+  }
+
+  const response = await axios.post(
+    'https://api.anthropic.com/v1/messages',
+    {
+      model: MODEL,
+      max_tokens: maxTokens,
+      system,
+      messages: [
+        { role: 'user', content: prompt },
+      ],
+    },
+    {
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json',
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    }
+  );
+
+  const content = response.data.content?.[0]?.text;
+  if (!content) {
+    throw new Error('Empty response from Anthropic');
+  }
+  return content;
+}
+
 /**
  * Analyze deal notes from a Closed Lost - Nurture opportunity and return
  * a nurture hypothesis + context summary for updating Salesforce Contacts.
@@ -13,8 +56,7 @@ const logger = createLogger('anthropic-client');
  * @returns {{ hypothesis: string, contextSummary: string }}
  */
 async function analyzeNurtureDeal(dealNotes, opportunityName) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  if (!process.env.ANTHROPIC_API_KEY) {
     throw new Error('ANTHROPIC_API_KEY not configured');
   }
 
@@ -93,29 +135,7 @@ You MUST respond with ONLY valid JSON, no other text:
 ${noteSections.join('\n\n')}`;
 
   try {
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: userPrompt },
-        ],
-      },
-      {
-        headers: {
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    let content = response.data.content?.[0]?.text;
-    if (!content) {
-      throw new Error('Empty response from Anthropic');
-    }
+    let content = await createMessage({ system: systemPrompt, prompt: userPrompt });
 
     // Strip markdown code fences if present (```json ... ```)
     content = content.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
@@ -138,4 +158,121 @@ ${noteSections.join('\n\n')}`;
   }
 }
 
-module.exports = { analyzeNurtureDeal };
+/**
+ * Draft a context summary for a HubSpot source detail value (e.g. "LM - New Ebook"),
+ * written in the style of the curated summaries passed as examples.
+ *
+ * @param {string} sourceValue - Raw hs_object_source_detail_1 value
+ * @param {Array<{source: string, summary: string}>} examples - Curated summaries to imitate
+ * @returns {{ summary: string, model: string }}
+ */
+async function draftSourceContextSummary(sourceValue, examples = []) {
+  const exampleText = examples
+    .map(example => `Source: ${example.source}\nSummary: ${example.summary}`)
+    .join('\n\n');
+
+  const systemPrompt = `You write source context summaries for a B2B sales training and consulting company. Each summary tells a sales rep's AI email assistant what a lead's HubSpot source (lead magnet, form, event or campaign) says about the lead's interests and intent.
+
+Prefixes in source names: "LM" = lead magnet, "CU" = contact us form.
+
+Write one summary of 1-2 sentences that:
+1. Starts with "This source indicates the lead..."
+2. Describes what the lead engaged with, inferred only from the source name
+3. States what that engagement usually signals about the lead's priorities
+
+Match the tone and length of the examples. Do not invent specific facts (dates, prices, page content) that the source name does not support.
+
+Respond with ONLY the summary text, no quotes or other text.`;
+
+  const userPrompt = `${exampleText ? `Examples:\n\n${exampleText}\n\n` : ''}Write the summary for this source:\n\nSource: ${sourceValue}`;
+
+  try {
+    const content = await createMessage({ system: systemPrompt, prompt: userPrompt, maxTokens: 300 });
+    const summary = content.trim().replace(/^["']|["']$/g, '').trim();
+    if (!summary) {
+      throw new Error('Empty summary from Anthropic');
+    }
+
+    logger.info({ sourceValue }, 'AI source context summary drafted');
+    return { summary, model: MODEL };
+  } catch (error) {
+    logger.error({ error: error.response?.data || error.message, sourceValue }, 'Anthropic source context draft failed');
+    throw error;
+  }
+}
+
+/**
+ * Turn a personalization rule violation ("field:rule[:detail]") into a line of feedback.
+ */
+function describeViolation(violation) {
+  const [field, rule, ...detail] = String(violation).split(':');
+  const problems = {
+    too_short: 'is too short',
+    too_long: 'is over the length limit',
+    banned_phrase: `uses the banned phrase "${detail.join(':')}"`,
+    template_syntax: 'contains template syntax ({{ or }})'
+  };
+  return `- ${field} ${problems[rule] || `breaks the rule ${rule}`}`;
+}
+
+/**
+ * Generate a per-lead opening line and pain hypothesis for Lemlist personalization.
+ *
+ * @param {Object} lead - { contact, company, sourceContext } (flat key-value objects and text)
+ * @param {Object} options - { maxLengths: { openingLine, painHypothesis }, bannedPhrases, previousViolations }
+ *   previousViolations are the rule violations of a rejected earlier attempt, e.g. "openingLine:too_long"
+ * @returns {{ openingLine: string, painHypothesis: string, model: string }}
+ */
+async function generateLeadPersonalization(lead, { maxLengths = {}, bannedPhrases = [], previousViolations = [] } = {}) {
+  const describe = (fields) => Object.entries(fields || {})
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([key, value]) => `- ${key}: ${String(value).trim()}`)
+    .join('\n') || '- (none)';
+
+  const systemPrompt = `You write cold email personalization for a B2B sales training and consulting company that helps companies hire, train and lead salespeople.
+
+Given a lead, write:
+1. openingLine: one sentence opening the email, specific to the lead's role, company or how they found us. Under ${maxLengths.openingLine || 200} characters.
+2. painHypothesis: one sentence naming the sales team problem this lead most likely has, phrased as a hypothesis ("Teams like yours often..."). Under ${maxLengths.painHypothesis || 300} characters.
+
+Rules:
+- Use only facts given about the lead; never invent numbers, names or events.
+- Plain, direct language. No flattery, no exclamation marks.${bannedPhrases.length > 0 ? `\n- Never use these phrases: ${bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}` : ''}
+
+You MUST respond with ONLY valid JSON, no other text:
+{
+  "openingLine": "...",
+  "painHypothesis": "..."
+}`;
+
+  const userPrompt = `**Contact:**
+${describe(lead.contact)}
+
+**Company:**
+${describe(lead.company)}
+
+**How they found us:**
+${lead.sourceContext || '(unknown)'}${previousViolations.length > 0 ? `
+
+**Your previous attempt was rejected. Fix these problems:**
+${previousViolations.map(describeViolation).join('\n')}` : ''}`;
+
+  try {
+    let content = await createMessage({ system: systemPrompt, prompt: userPrompt, maxTokens: 400 });
+
+    // Strip markdown code fences if present (```json ... ```)
+    content = content.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+
+    const parsed = JSON.parse(content);
+    return {
+      openingLine: String(parsed.openingLine || '').trim(),
+      painHypothesis: String(parsed.painHypothesis || '').trim(),
+      model: MODEL
+    };
+  } catch (error) {
+    logger.error({ error: error.response?.data || error.message }, 'Anthropic lead personalization failed');
+    throw error;
+  }
+}
+
+module.exports = { analyzeNurtureDeal, draftSourceContextSummary, generateLeadPersonalization };
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { hubspotLimiter } = require('../utils/rateLimiter');
 
 /**
  * HubSpot OAuth client with automatic token refresh
@@ -19,9 +20,10 @@ class HubSpotClient {
       }
     });
 
-    // Add request interceptor to ensure fresh token
+    // Add request interceptor to ensure fresh token (after taking a rate limit slot)
     this.client.interceptors.request.use(
       async (config) => {
+        await hubspotLimiter.acquire();
         const token = await this.getValidToken();
         config.headers['Authorization'] = `Bearer ${token}`;
         return config;
@@ -130,6 +132,60 @@ class HubSpotClient {
     }
   }
 
+  /**
+   * Update many contacts via the batch API (max 100 inputs per request)
+   * Requires the crm.objects.contacts.write scope
+   * @param {Array<{id: string, properties: Object}>} inputs - Contact updates
+   * @returns {Promise<Array>} - Updated contact records
+   */
+  async batchUpdateContacts(inputs) {
+    const updated = [];
+    for (let i = 0; i < inputs.length; i += 100) {
+      const response = await this.client.post('/crm/v3/objects/contacts/batch/update', {
+        inputs: inputs.slice(i, i + 100)
+      });
+      updated.push(...(response.data?.results || []));
+    }
+    return updated;
+  }
+
+  /**
+   * Read many contacts by ID via the batch API (max 100 inputs per request)
+   * Contacts that no longer exist are omitted from the result
+   * @param {Array<string>} ids - Contact IDs
+   * @param {Array<string>} properties - Properties to return
+   * @returns {Promise<Array>} - Contact records
+   */
+  async batchReadContacts(ids, properties) {
+    const contacts = [];
+    for (let i = 0; i < ids.length; i += 100) {
+      const response = await this.client.post('/crm/v3/objects/contacts/batch/read', {
+        inputs: ids.slice(i, i + 100).map(id => ({ id: String(id) })),
+        properties
+      });
+      contacts.push(...(response.data?.results || []));
+    }
+    return contacts;
+  }
+
+  /**
+   * List CRM owners (sales reps), paging through every result
+   * Requires the crm.objects.owners.read scope
+   * @returns {Promise<Array>} - Owners ({ id, email, firstName, lastName, userId, archived })
+   */
+  async getOwners() {
+    const owners = [];
+    let after;
+    do {
+      const response = await this.client.get('/crm/v3/owners', {
+        params: { limit: 100, archived: false, ...(after ? { after } : {}) }
+      });
+      owners.push(...(response.data?.results || []));
+      after = response.data?.paging?.next?.after;
+    } while (after);
+    return owners;
+  }
+
   /**
    * Store tokens after initial OAuth callback
    */
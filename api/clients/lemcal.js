@@ -31,6 +31,15 @@ class LemcalClient {
     const response = await this.client.get('/meetings', { params });
     return response.data || [];
   }
+
+  /**
+   * Get the users (team members) of the Lemcal account
+   * @returns {Promise<Array>} - Array of users ({ _id, email, name })
+   */
+  async getUsers() {
+    const response = await this.client.get('/users');
+    return response.data || [];
+  }
 }
 
 module.exports = LemcalClient;
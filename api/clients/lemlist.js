@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { lemlistLimiter } = require('../utils/rateLimiter');
 
 /**
  * Lightweight Lemlist client for API server
@@ -15,6 +16,12 @@ class LemlistClient {
         password: config.apiKey
       }
     });
+
+    // Shared rate limiter across all Lemlist client instances
+    this.client.interceptors.request.use(async (requestConfig) => {
+      await lemlistLimiter.acquire();
+      return requestConfig;
+    });
   }
 
   /**
@@ -96,6 +103,20 @@ class LemlistClient {
     return response.data;
   }
 
+  /**
+   * Remove a lead from a campaign (stops its sequence there)
+   * @param {string} campaignId - Campaign ID
+   * @param {string} email - Lead email
+   * @returns {Promise<Object>} - API response
+   */
+  async removeLeadFromCampaign(campaignId, email) {
+    const response = await this.client.delete(
+      `/campaigns/${campaignId}/leads/${encodeURIComponent(email)}`,
+      { params: { action: 'remove' } }
+    );
+    return response.data;
+  }
+
   /**
    * Check if a lead exists in a campaign
    * @param {string} campaignId - Campaign ID
@@ -260,54 +281,6 @@ class LemlistClient {
     return response.data;
   }
 
-  /**
-   * Enrich a lead and wait for results
-   * @param {Object} leadData - Lead data to enrich
-   * @param {Object} options - Options (maxWaitMs, pollIntervalMs)
-   * @returns {Promise<Object>} - Enriched lead data
-   */
-  async enrichLead(leadData, options = {}) {
-    const maxWaitMs = options.maxWaitMs || 30000;
-    const pollIntervalMs = options.pollIntervalMs || 2000;
-
-    // Submit enrichment request
-    const enrichmentJob = await this.submitEnrichment({
-      email: leadData.email,
-      firstName: leadData.firstName,
-      lastName: leadData.lastName,
-      companyName: leadData.companyName
-    });
-
-    if (!enrichmentJob?.id) {
-      return leadData; // Return original if no enrichment ID
-    }
-
-    const enrichmentId = enrichmentJob.id;
-    const startTime = Date.now();
-
-    // Poll for results
-    while (Date.now() - startTime < maxWaitMs) {
-      await this.sleep(pollIntervalMs);
-
-      try {
-        const result = await this.getEnrichmentResult(enrichmentId);
-        const status = result.enrichmentStatus || result.status;
-
-        if (status === 'done' || status === 'completed') {
-          return this.mergeEnrichedData(leadData, result);
-        }
-
-        if (status === 'failed' || status === 'error') {
-          return leadData; // Return original on failure
-        }
-      } catch (error) {
-        // Continue polling on error
-      }
-    }
-
-    return leadData; // Return original on timeout
-  }
-
   /**
    * Merge enriched data with original lead data
    */
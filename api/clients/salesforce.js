@@ -1,6 +1,7 @@
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const { createLogger } = require('../utils/logger');
+const { salesforceLimiter } = require('../utils/rateLimiter');
 
 const logger = createLogger('salesforce-client');
 
@@ -166,6 +167,7 @@ class SalesforceClient {
     const { accessToken, instanceUrl } = await this.getValidToken();
 
     try {
+      await salesforceLimiter.acquire();
       return await axios({
         method,
         url: `${instanceUrl}${path}`,
@@ -189,6 +191,7 @@ class SalesforceClient {
 
         if (tokenData?.refresh_token) {
           const { accessToken: newToken, instanceUrl: newUrl } = await this.refreshToken(tokenData.refresh_token);
+          await salesforceLimiter.acquire();
           return await axios({
             method,
             url: `${newUrl}${path}`,
@@ -237,8 +240,21 @@ class SalesforceClient {
 
   /**
    * Convert a Salesforce Lead into Contact/Account.
+   * @param {string} leadId
+   * @param {Object} options
+   * @param {string} options.convertedStatus - Converted LeadStatus label (default: first converted status)
+   * @param {string} options.accountId - Merge into this existing Account instead of creating one
+   * @param {string} options.ownerId - Salesforce user to own the converted records
+   * @param {boolean} options.createOpportunity - Also create an Opportunity
+   * @param {string} options.opportunityName - Name for the created Opportunity
    */
-  async convertLeadToContact(leadId, convertedStatus = null) {
+  async convertLeadToContact(leadId, {
+    convertedStatus = null,
+    accountId = null,
+    ownerId = null,
+    createOpportunity = false,
+    opportunityName = null
+  } = {}) {
     if (!leadId) {
       throw new Error('Lead ID is required for Salesforce conversion');
     }
@@ -252,6 +268,10 @@ class SalesforceClient {
       .replace(/>/g, '&gt;')
       .replace(/"/g, '&quot;')
       .replace(/'/g, '&apos;');
+    // LeadConvert fields follow the partner WSDL order
+    const optionalTag = (name, value) => (value
+      ? `\n        <urn:${name}>${escapeXml(value)}</urn:${name}>`
+      : '');
 
     const { accessToken, instanceUrl } = await this.getValidToken();
     const body = `<?xml version="1.0" encoding="UTF-8"?>
@@ -263,10 +283,10 @@ class SalesforceClient {
   </env:Header>
   <env:Body>
     <urn:convertLead>
-      <urn:leadConverts>
-        <urn:leadId>${escapeXml(leadId)}</urn:leadId>
+      <urn:leadConverts>${optionalTag('accountId', accountId)}
         <urn:convertedStatus>${escapeXml(statusLabel)}</urn:convertedStatus>
-        <urn:doNotCreateOpportunity>true</urn:doNotCreateOpportunity>
+        <urn:doNotCreateOpportunity>${createOpportunity ? 'false' : 'true'}</urn:doNotCreateOpportunity>
+        <urn:leadId>${escapeXml(leadId)}</urn:leadId>${optionalTag('opportunityName', createOpportunity ? opportunityName : null)}${optionalTag('ownerId', ownerId)}
       </urn:leadConverts>
     </urn:convertLead>
   </env:Body>
@@ -274,6 +294,7 @@ class SalesforceClient {
 
     let responseData;
     try {
+      await salesforceLimiter.acquire();
       const response = await axios.post(
         `${instanceUrl}${soapPath}`,
         body,
@@ -298,6 +319,7 @@ class SalesforceClient {
         if (tokenData?.refresh_token) {
           const refreshed = await this.refreshToken(tokenData.refresh_token);
           const retryBody = body.replace(escapeXml(accessToken), escapeXml(refreshed.accessToken));
+          await salesforceLimiter.acquire();
           const retryResponse = await axios.post(
             `${refreshed.instanceUrl}${soapPath}`,
             retryBody,
@@ -334,6 +356,7 @@ class SalesforceClient {
       leadId: extractTag('leadId') || leadId,
       contactId: extractTag('contactId'),
       accountId: extractTag('accountId'),
+      opportunityId: extractTag('opportunityId'),
       convertedStatus: statusLabel
     };
   }
@@ -4,32 +4,63 @@
  */
 
 const config = {
+  api: {
+    // Public base URL of this API, used for server-to-server calls to itself
+    // (never taken from request headers)
+    baseUrl: (process.env.API_BASE_URL
+      || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null)
+      || `http://localhost:${process.env.API_PORT || 3001}`).replace(/\/+$/, '')
+  },
   supabase: {
     url: process.env.SUPABASE_URL,
     serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
   },
   hubspot: {
     accessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+    // App client secret; signs webhook requests
+    clientSecret: process.env.HUBSPOT_CLIENT_SECRET,
     apiUrl: 'https://api.hubapi.com'
   },
   lemlist: {
     apiKey: process.env.LEMLIST_API_KEY,
+    // Shared secret for inbound activity/sequence-done webhooks
+    webhookSecret: process.env.LEMLIST_WEBHOOK_SECRET,
     apiUrl: 'https://api.lemlist.com/api'
   },
   lemcal: {
     userId: process.env.LEMCAL_USER_ID,
     apiKey: process.env.LEMCAL_API_KEY || process.env.Lemcal_Api_Key,
+    // Shared secret for inbound meeting webhooks
+    webhookSecret: process.env.LEMCAL_WEBHOOK_SECRET,
     apiUrl: 'https://api.lemcal.com/api/lemcal'
   },
   salesforce: {
     loginUrl: 'https://login.salesforce.com'
   },
-  routing: {
-    // HubSpot owner ID to name mapping
-    owners: {
-      '161405486': 'alec',
-      '228077638': 'janae',
-      '75344272': 'kate'
+  // Inbound webhook replay protection
+  webhooks: {
+    // Max clock difference for a request timestamp
+    toleranceMs: (parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300) * 1000,
+    // How long a request nonce is remembered
+    nonceTtlMs: (parseInt(process.env.WEBHOOK_NONCE_TTL_SECONDS, 10) || 86400) * 1000
+  },
+  // Sliding-window limits shared by all API clients, kept under each vendor's documented limit
+  rateLimits: {
+    // HubSpot: 110 requests per 10 seconds per app install
+    hubspot: {
+      maxRequests: parseInt(process.env.HUBSPOT_RATE_LIMIT, 10) || 100,
+      windowMs: 10000
+    },
+    // Lemlist: 20 requests per 2 seconds per API key
+    lemlist: {
+      maxRequests: parseInt(process.env.LEMLIST_RATE_LIMIT, 10) || 18,
+      windowMs: 2000
+    },
+    // Salesforce: no per-second limit, only a daily allocation per org (and 25 concurrent
+    // long-running requests, which a sliding window does not enforce); this paces the rate
+    salesforce: {
+      maxRequests: parseInt(process.env.SALESFORCE_RATE_LIMIT, 10) || 25,
+      windowMs: 1000
     }
   }
 };
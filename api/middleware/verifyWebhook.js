@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+const { config } = require('../config');
+const { verifySignatureV3, getRequestUri } = require('../utils/hubspotSignature');
+const webhookNonceService = require('../services/webhookNonceService');
+
+const logger = createLogger('webhook-auth');
+
+/**
+ * Constant-time string comparison.
+ */
+function safeEqual(a, b) {
+  const aBuffer = Buffer.from(String(a));
+  const bBuffer = Buffer.from(String(b));
+  return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+}
+
+/**
+ * Parse a timestamp header: epoch seconds, epoch ms or ISO 8601.
+ * @returns {number|null} Epoch ms
+ */
+function parseTimestamp(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    const number = Number(text);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function isStale(timestamp, now) {
+  const timestampMs = parseTimestamp(timestamp);
+  return timestampMs === null || Math.abs(now - timestampMs) > config.webhooks.toleranceMs;
+}
+
+/**
+ * Verify a Lemcal/Lemlist request against the provider's shared secret.
+ *
+ * Senders that can sign use X-Webhook-Signature: hex HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" (optionally prefixed "sha256="); the timestamp is
+ * required. Senders that only support a URL (Lemlist) pass the secret itself as
+ * ?token= or X-Webhook-Secret; a timestamp header is checked when present.
+ *
+ * @returns {{valid: boolean, reason?: string, nonce?: string}}
+ */
+function verifySharedSecret(req, secret, now) {
+  const signature = req.headers['x-webhook-signature'];
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const body = req.rawBody || '';
+
+  if (signature) {
+    if (!timestamp) return { valid: false, reason: 'missing_timestamp' };
+    if (isStale(timestamp, now)) return { valid: false, reason: 'stale_timestamp' };
+
+    const provided = String(signature).replace(/^sha256=/i, '');
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+    if (!safeEqual(provided.toLowerCase(), expected)) return { valid: false, reason: 'invalid_signature' };
+
+    // The nonce must come from signed data: an unsigned header could be changed on replay
+    return { valid: true, nonce: expected };
+  }
+
+  const token = req.headers['x-webhook-secret'] || req.query.token;
+  if (!token) return { valid: false, reason: 'missing_signature' };
+  if (!safeEqual(token, secret)) return { valid: false, reason: 'invalid_secret' };
+  if (timestamp && isStale(timestamp, now)) return { valid: false, reason: 'stale_timestamp' };
+
+  // Without a signature, an identical timestamp + body is treated as the same request
+  const nonce = crypto.createHash('sha256').update(`${timestamp || ''}.${body}`, 'utf8').digest('hex');
+  return { valid: true, nonce };
+}
+
+/**
+ * HubSpot v3 signature; the signature doubles as the nonce since it covers the timestamp.
+ */
+function verifyHubSpot(req, secret, now) {
+  const signature = req.headers['x-hubspot-signature-v3'];
+  const verification = verifySignatureV3({
+    secret,
+    method: req.method,
+    uri: getRequestUri(req),
+    body: req.rawBody,
+    signature,
+    timestamp: req.headers['x-hubspot-request-timestamp'],
+    maxAgeMs: config.webhooks.toleranceMs,
+    now
+  });
+  return verification.valid ? { ...verification, nonce: signature } : verification;
+}
+
+const PROVIDERS = {
+  hubspot: { envVar: 'HUBSPOT_CLIENT_SECRET', getSecret: () => config.hubspot.clientSecret, verify: verifyHubSpot },
+  lemcal: { envVar: 'LEMCAL_WEBHOOK_SECRET', getSecret: () => config.lemcal.webhookSecret, verify: verifySharedSecret },
+  lemlist: { envVar: 'LEMLIST_WEBHOOK_SECRET', getSecret: () => config.lemlist.webhookSecret, verify: verifySharedSecret }
+};
+
+/**
+ * Express middleware verifying an inbound webhook: signature or shared secret,
+ * timestamp tolerance and one-time nonce. Bad credentials are logged and rejected
+ * with 401. A replayed nonce is acknowledged with 200 { duplicate: true } without
+ * reaching the handler, so provider retries of a delivered request stop.
+ * Requires req.rawBody (see server.js).
+ *
+ * A nonce is released when the handler responds 5xx, so provider retries still go through.
+ *
+ * @param {string} provider - hubspot, lemcal or lemlist
+ */
+function verifyWebhook(provider) {
+  const settings = PROVIDERS[provider];
+  if (!settings) {
+    throw new Error(`Unknown webhook provider: ${provider}`);
+  }
+
+  return async (req, res, next) => {
+    const secret = settings.getSecret();
+    if (!secret) {
+      // In development, allow unsigned requests (but warn)
+      if (process.env.NODE_ENV === 'development') {
+        logger.warn({ provider }, `${settings.envVar} not configured - accepting unverified webhook`);
+        return next();
+      }
+      logger.error({ provider, path: req.originalUrl }, `${settings.envVar} not configured - rejecting webhook`);
+      return res.status(500).json({ success: false, error: 'Webhook signature secret not configured' });
+    }
+
+    const verification = settings.verify(req, secret, Date.now());
+    if (!verification.valid) {
+      logger.warn({
+        provider,
+        reason: verification.reason,
+        path: req.originalUrl,
+        ip: req.ip
+      }, 'Rejected webhook that failed verification');
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const { nonce } = verification;
+    try {
+      if (!await webhookNonceService.claim(provider, nonce)) {
+        logger.warn({ provider, reason: 'replayed_nonce', path: req.originalUrl, ip: req.ip }, 'Ignored replayed webhook');
+        return res.json({ success: true, duplicate: true, message: 'Webhook already received' });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        webhookNonceService.release(provider, nonce).catch(error => {
+          logger.warn({ provider, error: error.message }, 'Failed to release webhook nonce');
+        });
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = verifyWebhook;
@@ -3,6 +3,10 @@ const router = express.Router();
 const { createLogger } = require('../utils/logger');
 const leadPipelineService = require('../services/leadPipelineService');
 const nurtureService = require('../services/nurtureService');
+const ownerSyncService = require('../services/ownerSyncService');
+const sourceContextService = require('../services/sourceContextService');
+const routingConfig = require('../config/routing.json');
+const { dispatchSyncLeads, dispatchProcessQueue } = require('../utils/pipelineDispatch');
 
 const logger = createLogger('cron-route');
 
@@ -29,9 +33,64 @@ function verifyCronAuth(req) {
   return authHeader === `Bearer ${cronSecret}`;
 }
 
+/**
+ * What started a sync-leads or process-queue call, recorded in run history.
+ */
+function getRunTrigger(req) {
+  if ((parseInt(req.query.chain, 10) || 0) > 0) return 'continuation';
+  return req.query.trigger === 'webhook' ? 'webhook' : 'cron';
+}
+
+/**
+ * Chain a follow-up sync-leads call when a run stopped at its time budget, or when
+ * contacts were queued (by the HubSpot webhook) while it ran.
+ * The follow-up resumes from the saved cursor in its own function invocation.
+ */
+async function triggerContinuation(req, results) {
+  const chain = parseInt(req.query.chain, 10) || 0;
+  const maxChainedRuns = Number(routingConfig.processing?.max_chained_runs) || 0;
+
+  if ((results.complete !== false && !(results.queueRemaining > 0)) || results.dryRun || results.error) {
+    return false;
+  }
+  if (chain >= maxChainedRuns) {
+    logger.warn({ chain, deferred: results.deferred }, 'Max chained sync-leads runs reached; remaining contacts wait for the next cron');
+    return false;
+  }
+
+  if (!await dispatchSyncLeads({ chain: chain + 1 })) {
+    return false;
+  }
+
+  logger.info({ chain: chain + 1, cursor: results.cursor, queued: results.queueRemaining }, 'Triggered sync-leads continuation');
+  return true;
+}
+
+/**
+ * Chain another process-queue call when contacts are still queued, e.g. ones that
+ * arrived while the queue was being processed.
+ */
+async function triggerQueueFollowUp(req, results) {
+  const chain = parseInt(req.query.chain, 10) || 0;
+  const maxChainedRuns = Number(routingConfig.processing?.max_chained_runs) || 0;
+
+  if (!(results.queueRemaining > 0) || results.alreadyRunning || results.error) {
+    return false;
+  }
+  if (chain >= maxChainedRuns) {
+    logger.warn({ chain, queued: results.queueRemaining }, 'Max chained process-queue calls reached; queued contacts wait for the next cron');
+    return false;
+  }
+
+  return dispatchProcessQueue({ chain: chain + 1 });
+}
+
 /**
  * POST /api/cron/sync-leads
  * Triggered by Vercel Cron to sync leads from HubSpot to Lemlist
+ * ?dryRun=true reports what would happen without writing anything
+ * A run that hits its time budget saves a cursor and chains a follow-up call (?chain=N)
+ * ?trigger=webhook marks runs dispatched by the HubSpot webhook
  */
 router.post('/sync-leads', async (req, res) => {
   // Verify authorization
@@ -41,18 +100,26 @@ router.post('/sync-leads', async (req, res) => {
   }
 
   try {
-    logger.info('Cron triggered: sync-leads');
+    const dryRun = req.query.dryRun === 'true';
+    const chain = parseInt(req.query.chain, 10) || 0;
+    const trigger = getRunTrigger(req);
+    logger.info({ dryRun, chain, trigger }, 'Cron triggered: sync-leads');
 
-    const results = await leadPipelineService.run();
+    const results = await leadPipelineService.run({ dryRun, trigger });
+    const continued = await triggerContinuation(req, results);
 
     logger.info({
       processed: results.processed,
       succeeded: results.succeeded,
-      failed: results.failed
+      failed: results.failed,
+      complete: results.complete,
+      continued
     }, 'Cron sync-leads completed');
 
     res.json({
       success: true,
+      complete: results.complete,
+      continued,
       results
     });
   } catch (error) {
@@ -76,12 +143,18 @@ router.get('/sync-leads', async (req, res) => {
   }
 
   try {
-    logger.info('Cron triggered (GET): sync-leads');
+    const dryRun = req.query.dryRun === 'true';
+    const chain = parseInt(req.query.chain, 10) || 0;
+    const trigger = getRunTrigger(req);
+    logger.info({ dryRun, chain, trigger }, 'Cron triggered (GET): sync-leads');
 
-    const results = await leadPipelineService.run();
+    const results = await leadPipelineService.run({ dryRun, trigger });
+    const continued = await triggerContinuation(req, results);
 
     res.json({
       success: true,
+      complete: results.complete,
+      continued,
       results
     });
   } catch (error) {
@@ -93,6 +166,64 @@ router.get('/sync-leads', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/process-queue
+ * Processes only the contacts queued by the HubSpot webhook, dispatched by the webhook
+ * so they are enrolled right away. Leaves the queue to a sync-leads run in progress;
+ * the scheduled sync-leads run drains anything left over.
+ */
+router.post('/process-queue', async (req, res) => {
+  if (!verifyCronAuth(req)) {
+    logger.warn('Unauthorized cron request for process-queue');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const trigger = getRunTrigger(req);
+    logger.info({ trigger }, 'Cron triggered: process-queue');
+
+    const results = await leadPipelineService.processQueue({ trigger });
+    const continued = await triggerQueueFollowUp(req, results);
+
+    logger.info({
+      processed: results.processed,
+      succeeded: results.succeeded,
+      failed: results.failed,
+      alreadyRunning: Boolean(results.alreadyRunning),
+      continued
+    }, 'Cron process-queue completed');
+
+    res.json({ success: true, continued, results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cron process-queue failed');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/cron/process-queue
+ * Support GET for easier testing
+ */
+router.get('/process-queue', async (req, res) => {
+  if (!verifyCronAuth(req)) {
+    logger.warn('Unauthorized cron request for process-queue');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const trigger = getRunTrigger(req);
+    logger.info({ trigger }, 'Cron triggered (GET): process-queue');
+
+    const results = await leadPipelineService.processQueue({ trigger });
+    const continued = await triggerQueueFollowUp(req, results);
+
+    res.json({ success: true, continued, results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cron process-queue failed');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/cron/nurture-automation
  * Triggered daily — processes Closed Lost - Nurture opportunities
@@ -143,4 +274,100 @@ router.get('/nurture-automation', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/sync-owners
+ * Triggered daily before sync-leads — refreshes the owner directory from HubSpot
+ */
+router.post('/sync-owners', async (req, res) => {
+  if (!verifyCronAuth(req)) {
+    logger.warn('Unauthorized cron request for sync-owners');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    logger.info('Cron triggered: sync-owners');
+
+    const results = await ownerSyncService.sync();
+
+    logger.info({
+      hubspotOwners: results.hubspotOwners,
+      created: results.created,
+      warnings: results.warnings.length
+    }, 'Cron sync-owners completed');
+
+    res.json({ success: true, results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cron sync-owners failed');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/cron/sync-owners
+ * Support GET for easier testing
+ */
+router.get('/sync-owners', async (req, res) => {
+  if (!verifyCronAuth(req)) {
+    logger.warn('Unauthorized cron request for sync-owners');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    logger.info('Cron triggered (GET): sync-owners');
+
+    const results = await ownerSyncService.sync();
+
+    res.json({ success: true, results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cron sync-owners failed');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/cron/draft-source-contexts
+ * Drafts AI summaries for source contexts the lead pipeline scaffolded (draft_status unset)
+ */
+router.post('/draft-source-contexts', async (req, res) => {
+  if (!verifyCronAuth(req)) {
+    logger.warn('Unauthorized cron request for draft-source-contexts');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    logger.info('Cron triggered: draft-source-contexts');
+
+    const results = await sourceContextService.draftScaffolded();
+
+    logger.info(results, 'Cron draft-source-contexts completed');
+
+    res.json({ success: true, results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cron draft-source-contexts failed');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/cron/draft-source-contexts
+ * Support GET for easier testing
+ */
+router.get('/draft-source-contexts', async (req, res) => {
+  if (!verifyCronAuth(req)) {
+    logger.warn('Unauthorized cron request for draft-source-contexts');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    logger.info('Cron triggered (GET): draft-source-contexts');
+
+    const results = await sourceContextService.draftScaffolded();
+
+    res.json({ success: true, results });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cron draft-source-contexts failed');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
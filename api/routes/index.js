@@ -10,6 +10,11 @@ const cronRoutes = require('./cron');
 const funnelRoutes = require('./funnel');
 const hubspotRoutes = require('./hubspot');
 const salesforceRoutes = require('./salesforce');
+const routingRoutes = require('./routing');
+const pipelineRoutes = require('./pipeline');
+const ownersRoutes = require('./owners');
+const sourceContextsRoutes = require('./sourceContexts');
+const sourceTaxonomyRoutes = require('./sourceTaxonomy');
 
 // Mount routes
 router.use('/leads', leadsRoutes);
@@ -21,6 +26,11 @@ router.use('/cron', cronRoutes);
 router.use('/funnel', funnelRoutes);
 router.use('/hubspot', hubspotRoutes);
 router.use('/salesforce', salesforceRoutes);
+router.use('/routing', routingRoutes);
+router.use('/pipeline', pipelineRoutes);
+router.use('/owners', ownersRoutes);
+router.use('/source-contexts', sourceContextsRoutes);
+router.use('/source-taxonomy', sourceTaxonomyRoutes);
 
 // API info
 router.get('/', (req, res) => {
@@ -35,7 +45,12 @@ router.get('/', (req, res) => {
       webhooks: '/api/webhooks',
       funnel: '/api/funnel',
       hubspot: '/api/hubspot',
-      salesforce: '/api/salesforce'
+      salesforce: '/api/salesforce',
+      routing: '/api/routing',
+      pipeline: '/api/pipeline',
+      owners: '/api/owners',
+      sourceContexts: '/api/source-contexts',
+      sourceTaxonomy: '/api/source-taxonomy'
     }
   });
 });
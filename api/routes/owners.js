@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const ownerService = require('../services/ownerService');
+const ownerSyncService = require('../services/ownerSyncService');
+
+/**
+ * GET /api/owners
+ * List owners (active only unless ?includeInactive=true)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const owners = await ownerService.list({ includeInactive });
+    res.json(owners);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/owners/sync
+ * Pull HubSpot owners, match Salesforce/Lemcal users and report routing warnings
+ */
+router.post('/sync', async (req, res, next) => {
+  try {
+    const result = await ownerSyncService.sync();
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/owners/sync/latest
+ * Latest owner sync result, including unmapped-owner warnings
+ */
+router.get('/sync/latest', async (req, res, next) => {
+  try {
+    const run = await ownerSyncService.getLatestRun();
+    if (!run) {
+      return res.status(404).json({ error: { message: 'No owner sync has run yet' } });
+    }
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/owners/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const owner = await ownerService.getById(req.params.id);
+    if (!owner) {
+      return res.status(404).json({ error: { message: 'Owner not found' } });
+    }
+    res.json(owner);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/owners
+ * Body: { name, display_name, email, hubspot_owner_id, salesforce_user_id, lemcal_user_id, calendar_link, default_campaign_id, active }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const owner = await ownerService.create(req.body);
+    res.status(201).json(owner);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/owners/:id
+ * Update any owner field (e.g. { active: false } to stop routing to a rep)
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const owner = await ownerService.update(req.params.id, req.body);
+    if (!owner) {
+      return res.status(404).json({ error: { message: 'Owner not found' } });
+    }
+    res.json(owner);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/owners/:id
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const owner = await ownerService.remove(req.params.id);
+    if (!owner) {
+      return res.status(404).json({ error: { message: 'Owner not found' } });
+    }
+    res.json({ success: true, id: owner.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const pipelineFailureService = require('../services/pipelineFailureService');
+const pipelineRunService = require('../services/pipelineRunService');
+const leadPipelineService = require('../services/leadPipelineService');
+const leadPersonalizationService = require('../services/leadPersonalizationService');
+
+const FAILURE_STATUSES = ['pending', 'resolved', 'dead', 'discarded'];
+const RUN_ITEM_OUTCOMES = ['enrolled', 'duplicate', 'skipped', 'failed', 'enrichment_pending'];
+const PERSONALIZATION_STATUSES = ['accepted', 'rejected', 'failed'];
+
+/**
+ * GET /api/pipeline/runs
+ * List pipeline runs, newest first
+ * Query: from, to (ISO dates on started_at), trigger, status, contactId, email, limit, offset
+ * contactId/email return only runs that handled that contact
+ */
+router.get('/runs', async (req, res, next) => {
+  try {
+    const { from, to, trigger, status, contactId, email } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const result = await pipelineRunService.listRuns({
+      from,
+      to,
+      triggerSource: trigger,
+      status,
+      contactId,
+      email,
+      limit,
+      offset
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pipeline/runs/:id
+ * Get a run with each contact's outcome
+ * Query: outcome (enrolled|duplicate|skipped|failed|enrichment_pending), contactId, email
+ */
+router.get('/runs/:id', async (req, res, next) => {
+  try {
+    const { outcome, contactId, email } = req.query;
+    if (outcome && !RUN_ITEM_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: { message: `outcome must be one of: ${RUN_ITEM_OUTCOMES.join(', ')}` } });
+    }
+
+    const run = await pipelineRunService.getRun(req.params.id, { outcome, contactId, email });
+    if (!run) {
+      return res.status(404).json({ error: { message: 'Pipeline run not found' } });
+    }
+    res.json(run);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pipeline/failures
+ * List dead-letter entries (?status=pending|resolved|dead|discarded, ?limit, ?offset)
+ */
+router.get('/failures', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status && !FAILURE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: `status must be one of: ${FAILURE_STATUSES.join(', ')}` } });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const result = await pipelineFailureService.list({ status, limit, offset });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/pipeline/failures/:id/retry
+ * Retry a dead-letter entry immediately (409 while a pipeline run is in progress)
+ */
+router.post('/failures/:id/retry', async (req, res, next) => {
+  try {
+    const failure = await pipelineFailureService.getById(req.params.id);
+    if (!failure) {
+      return res.status(404).json({ error: { message: 'Pipeline failure not found' } });
+    }
+
+    const result = await leadPipelineService.retryFailure(failure);
+    res.json({ contactId: failure.contact_id, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/pipeline/failures/:id/discard
+ * Drop a dead-letter entry so it is never retried
+ */
+router.post('/failures/:id/discard', async (req, res, next) => {
+  try {
+    const failure = await pipelineFailureService.getById(req.params.id);
+    if (!failure) {
+      return res.status(404).json({ error: { message: 'Pipeline failure not found' } });
+    }
+
+    const discarded = await pipelineFailureService.discard(failure.id);
+    res.json(discarded);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pipeline/personalizations
+ * AI personalization snippets for quality review, newest first
+ * Query: campaignId, promptVersion, status (accepted|rejected|failed), limit, offset
+ */
+router.get('/personalizations', async (req, res, next) => {
+  try {
+    const { campaignId, promptVersion, status } = req.query;
+    if (status && !PERSONALIZATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: `status must be one of: ${PERSONALIZATION_STATUSES.join(', ')}` } });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const result = await leadPersonalizationService.list({ campaignId, promptVersion, status, limit, offset });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const routingRulesService = require('../services/routingRulesService');
+const ownerAssignmentService = require('../services/ownerAssignmentService');
+
+/**
+ * Parse a rule set version; null when it is not an integer.
+ */
+function parseVersion(value) {
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : null;
+}
+
+/**
+ * GET /api/routing/rules
+ * Get the active routing rule set (or ?version=N)
+ */
+router.get('/rules', async (req, res, next) => {
+  try {
+    const version = req.query.version ? parseVersion(req.query.version) : null;
+    if (req.query.version && version === null) {
+      return res.status(400).json({ error: { message: 'version must be an integer' } });
+    }
+    const ruleSet = await routingRulesService.getRuleSet(version);
+    if (!ruleSet) {
+      return res.status(404).json({ error: { message: 'Routing rule set not found' } });
+    }
+    res.json(ruleSet);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/routing/rules/versions
+ * List all published rule set versions
+ */
+router.get('/rules/versions', async (req, res, next) => {
+  try {
+    const versions = await routingRulesService.listVersions();
+    res.json(versions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing/rules
+ * Publish a new rule set version
+ * Body: { rules: [{ name, conditions, match, campaign_id, owner }], description, createdBy, activate }
+ */
+router.post('/rules', async (req, res, next) => {
+  try {
+    const { rules, description, createdBy, activate = true } = req.body || {};
+    const ruleSet = await routingRulesService.publish(rules, { description, createdBy, activate });
+    res.status(201).json(ruleSet);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/routing/rules/versions/:version/activate
+ * Activate an existing rule set version (rollback)
+ */
+router.post('/rules/versions/:version/activate', async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (version === null) {
+      return res.status(400).json({ error: { message: 'version must be an integer' } });
+    }
+    await routingRulesService.activate(version);
+    res.json({ success: true, version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/routing/assignment
+ * Assignment pool settings, rotation state and recent assignments
+ */
+router.get('/assignment', async (req, res, next) => {
+  try {
+    const status = await ownerAssignmentService.getStatus();
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
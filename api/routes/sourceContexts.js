@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const sourceContextService = require('../services/sourceContextService');
+
+/**
+ * GET /api/source-contexts
+ * List source contexts (?draftStatus=pending for drafts awaiting review)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const contexts = await sourceContextService.list({ draftStatus: req.query.draftStatus || null });
+    res.json(contexts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/source-contexts/:id/draft
+ * Generate a new AI draft for a source context
+ */
+router.post('/:id/draft', async (req, res, next) => {
+  try {
+    const context = await sourceContextService.redraft(req.params.id);
+    if (!context) {
+      return res.status(404).json({ error: { message: 'Source context not found' } });
+    }
+    res.json(context);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/source-contexts/:id/approve
+ * Use the draft (or an edited version) as the context summary sent to Lemlist
+ * Body: { summary (optional edited text), reviewedBy }
+ */
+router.post('/:id/approve', async (req, res, next) => {
+  try {
+    const { summary, reviewedBy } = req.body || {};
+    const context = await sourceContextService.approve(req.params.id, { summary, reviewedBy });
+    if (!context) {
+      return res.status(404).json({ error: { message: 'Source context not found' } });
+    }
+    res.json(context);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/source-contexts/:id/reject
+ * Body: { reviewedBy }
+ */
+router.post('/:id/reject', async (req, res, next) => {
+  try {
+    const context = await sourceContextService.reject(req.params.id, { reviewedBy: req.body?.reviewedBy });
+    if (!context) {
+      return res.status(404).json({ error: { message: 'Source context not found' } });
+    }
+    res.json(context);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const sourceTaxonomyService = require('../services/sourceTaxonomyService');
+
+/**
+ * GET /api/source-taxonomy
+ * Active source taxonomy rules in priority order
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const rules = await sourceTaxonomyService.getRules({ forceRefresh: true });
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/source-taxonomy/preview
+ * How every distinct source_detail in processed_leads is categorized by the current rules
+ */
+router.get('/preview', async (req, res, next) => {
+  try {
+    const preview = await sourceTaxonomyService.preview();
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const axios = require('axios');
 const dashboardService = require('../services/dashboardService');
 const syncService = require('../services/syncService');
+const sourceTaxonomyService = require('../services/sourceTaxonomyService');
 
 /**
  * GET /api/sync/status
@@ -377,6 +378,7 @@ router.post('/backfill-sfdc-source', async (req, res) => {
 
     let updated = 0;
     const results = [];
+    const taxonomyRules = await sourceTaxonomyService.getRules();
 
     for (const lead of leads) {
       if (!lead.contact_id || !lead.email) continue;
@@ -385,26 +387,19 @@ router.post('/backfill-sfdc-source', async (req, res) => {
         // Fetch source fields from HubSpot
         const hsResponse = await hubspot.client.get(
           `/crm/v3/objects/contacts/${lead.contact_id}`,
-          { params: { properties: 'source__sfdc_contact_record,hs_object_source_detail_1' } }
+          { params: { properties: 'source__sfdc_contact_record,hs_object_source_detail_1,lead_source' } }
         );
 
         const hsProps = hsResponse.data?.properties || {};
         let sfdcSource = hsProps.source__sfdc_contact_record;
 
-        // Fallback: normalize source_detail into standard category
+        // Fallback: categorize source_detail with the shared source taxonomy
         if (!sfdcSource) {
-          const detail = hsProps.hs_object_source_detail_1 || '';
-          if (detail.startsWith('LM -') || detail.toLowerCase().includes('lead magnet')) {
-            sfdcSource = 'Lead Magnet';
-          } else if (detail.startsWith('CU -') || detail.toLowerCase().includes('contact us')) {
-            sfdcSource = 'Contact Us';
-          } else if (detail.toLowerCase().includes('referral') || detail.toLowerCase().includes('partner')) {
-            sfdcSource = 'Referral';
-          } else if (detail.toLowerCase().includes('seo') || detail.toLowerCase().includes('organic')) {
-            sfdcSource = 'Referral';
-          } else {
-            sfdcSource = 'Other';
-          }
+          sfdcSource = sourceTaxonomyService.categorizeWith(
+            taxonomyRules,
+            hsProps.hs_object_source_detail_1,
+            hsProps.lead_source
+          ).sfdcValue;
         }
 
         // Update the lead in Lemlist (campaign-specific for custom fields)
@@ -514,17 +509,20 @@ router.post('/backfill-company', async (req, res) => {
 /**
  * POST /api/sync/trigger
  * Manually trigger a sync for all data types
+ * Body (or query) dryRun: true runs only the lead pipeline and reports decisions without writing
  */
 router.post('/trigger', async (req, res, next) => {
   try {
-    const { type = 'all' } = req.body;
+    const { type = 'all' } = req.body || {};
+    const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true' || req.query.dryRun === 'true';
 
     // Start sync in background
-    const result = await syncService.triggerSync(type);
+    const result = await syncService.triggerSync(type, { dryRun });
 
     res.json({
-      message: 'Sync triggered successfully',
+      message: dryRun ? 'Dry run completed' : 'Sync triggered successfully',
       type,
+      dryRun,
       result
     });
   } catch (error) {
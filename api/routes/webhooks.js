@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { createLogger } = require('../utils/logger');
 const webhookService = require('../services/webhookService');
+const verifyWebhook = require('../middleware/verifyWebhook');
+const { dispatchProcessQueue } = require('../utils/pipelineDispatch');
 
 const logger = createLogger('webhooks-route');
 
@@ -10,12 +12,12 @@ const logger = createLogger('webhooks-route');
  * Handle lemcal meeting booked webhook
  *
  * When a meeting is booked via lemcal:
- * 1. Verify webhook signature (if LEMCAL_WEBHOOK_SECRET is set)
+ * 1. Verify the request against LEMCAL_WEBHOOK_SECRET (see middleware/verifyWebhook.js)
  * 2. Extract lead email from webhook payload
  * 3. Mark lead as "interested" in lemlist
  * 4. Lemlist's native Salesforce integration creates the opportunity
  */
-router.post('/lemcal', async (req, res) => {
+router.post('/lemcal', verifyWebhook('lemcal'), async (req, res) => {
   try {
     const payload = req.body;
 
@@ -59,8 +61,9 @@ router.post('/lemcal', async (req, res) => {
 /**
  * POST /api/webhooks/lemcal/test
  * Test endpoint to manually trigger the interested flow
+ * Requires the Lemcal webhook secret (X-Webhook-Secret header or ?token=)
  */
-router.post('/lemcal/test', async (req, res) => {
+router.post('/lemcal/test', verifyWebhook('lemcal'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -94,9 +97,9 @@ router.post('/lemcal/test', async (req, res) => {
  * Configure in Lemlist:
  * 1. Go to Settings -> Integrations -> Webhooks
  * 2. Add new webhook for events: emailsOpened, emailsClicked, emailsReplied, emailsBounced
- * 3. Set URL to: https://your-api.vercel.app/api/webhooks/lemlist/activity
+ * 3. Set URL to: https://your-api.vercel.app/api/webhooks/lemlist/activity?token=<LEMLIST_WEBHOOK_SECRET>
  */
-router.post('/lemlist/activity', async (req, res) => {
+router.post('/lemlist/activity', verifyWebhook('lemlist'), async (req, res) => {
   try {
     const payload = req.body;
 
@@ -143,9 +146,9 @@ router.post('/lemlist/activity', async (req, res) => {
  * Configure in Lemlist:
  * 1. Go to Settings -> Integrations -> Webhooks
  * 2. Add new webhook for event: emailsSendingDone
- * 3. Set URL to: https://your-api.vercel.app/api/webhooks/lemlist/sequence-done
+ * 3. Set URL to: https://your-api.vercel.app/api/webhooks/lemlist/sequence-done?token=<LEMLIST_WEBHOOK_SECRET>
  */
-router.post('/lemlist/sequence-done', async (req, res) => {
+router.post('/lemlist/sequence-done', verifyWebhook('lemlist'), async (req, res) => {
   try {
     const payload = req.body;
 
@@ -175,6 +178,47 @@ router.post('/lemlist/sequence-done', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/webhooks/hubspot
+ * Handle HubSpot app webhook subscriptions for real-time lead routing
+ *
+ * Configure in the HubSpot app (Webhooks):
+ * 1. Subscribe to contact.propertyChange on the trigger field (add_to_lemlist) and contact.creation
+ * 2. Set the target URL to: https://your-api.vercel.app/api/webhooks/hubspot
+ * 3. Set HUBSPOT_CLIENT_SECRET to the app's client secret so signatures can be verified
+ *
+ * Contacts are queued and processed right away in a separate invocation
+ * (/api/cron/process-queue), so HubSpot gets its response without waiting on the
+ * pipeline. Queued contacts the dispatch did not reach are drained by the scheduled
+ * sync-leads run, which also remains the safety net for missed events.
+ */
+router.post('/hubspot', verifyWebhook('hubspot'), async (req, res) => {
+  const events = Array.isArray(req.body) ? req.body : [];
+  if (events.length === 0) {
+    return res.status(400).json({ error: 'Empty payload' });
+  }
+
+  try {
+    const result = await webhookService.handleHubSpotContactEvents(events);
+    const dispatched = result.queued ? await dispatchProcessQueue({ trigger: 'webhook' }) : false;
+
+    res.json({
+      success: true,
+      message: 'Webhook received',
+      result: { ...result, dispatched }
+    });
+
+  } catch (error) {
+    logger.error({ error: error.message, stack: error.stack }, 'HubSpot webhook error');
+
+    // Non-2xx makes HubSpot retry the batch; the cron still picks the contacts up otherwise
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/webhooks/health
  * Health check for webhook endpoint
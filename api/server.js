@@ -15,7 +15,12 @@ app.use(cors({
   origin: true,
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // Request logging
 app.use((req, res, next) => {
@@ -0,0 +1,205 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const LemlistClient = require('../clients/lemlist');
+const { config } = require('../config');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('campaign-membership');
+
+const POLICIES = ['skip', 'move', 'allow'];
+const CAMPAIGN_LIST_TTL_MS = 10 * 60 * 1000;
+const INACTIVE_CAMPAIGN_STATUSES = ['archived', 'ended', 'draft'];
+
+let supabase, lemlist;
+
+function getClients() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  if (!lemlist) {
+    lemlist = new LemlistClient(config.lemlist);
+  }
+  return { supabase, lemlist };
+}
+
+/**
+ * Campaign Membership Service
+ * Cross-campaign deduplication: finds other Lemlist campaigns a lead is already in
+ * and applies the configured policy for each (skip, move or allow).
+ *
+ * Config (routing.json → cross_campaign_dedupe):
+ *   enabled, source (index | live), default_policy, policies: { campaignId: policy },
+ *   ignore_finished
+ */
+class CampaignMembershipService {
+  constructor() {
+    this.tableAvailable = true;
+    this.campaignListCache = null;
+  }
+
+  getSettings() {
+    const settings = routingConfig.cross_campaign_dedupe || {};
+    return {
+      enabled: settings.enabled === true,
+      source: settings.source === 'live' ? 'live' : 'index',
+      defaultPolicy: POLICIES.includes(settings.default_policy) ? settings.default_policy : 'skip',
+      policies: settings.policies || {},
+      ignoreFinished: settings.ignore_finished !== false
+    };
+  }
+
+  getPolicy(campaignId, settings = this.getSettings()) {
+    const policy = settings.policies[campaignId];
+    return POLICIES.includes(policy) ? policy : settings.defaultPolicy;
+  }
+
+  /**
+   * Find campaigns (other than the target) the lead is already in.
+   * Uses the membership index, or live Lemlist lookups when configured or the index is missing.
+   * @returns {Promise<Array<{campaignId, campaignName, policy, source}>>}
+   */
+  async findConflicts(email, targetCampaignId) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return [];
+
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+    if (!normalizedEmail) return [];
+
+    let memberships = null;
+    if (settings.source === 'index' && this.tableAvailable) {
+      memberships = await this.findIndexedMemberships(normalizedEmail, settings);
+    }
+    if (memberships === null) {
+      memberships = await this.findLiveMemberships(normalizedEmail, targetCampaignId);
+    }
+
+    return memberships
+      .filter(m => m.campaignId !== targetCampaignId)
+      .map(m => ({ ...m, policy: this.getPolicy(m.campaignId, settings) }));
+  }
+
+  /**
+   * Look up memberships in the cached index.
+   * @returns {Promise<Array|null>} null when the index table is unavailable
+   */
+  async findIndexedMemberships(email, settings) {
+    const { supabase } = getClients();
+
+    let query = supabase
+      .from('lemlist_campaign_memberships')
+      .select('campaign_id, campaign_name')
+      .eq('email', email);
+    if (settings.ignoreFinished) {
+      query = query.eq('sequence_finished', false);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      if (error.message && error.message.includes('lemlist_campaign_memberships')) {
+        this.tableAvailable = false;
+        logger.warn('lemlist_campaign_memberships table not found; using live Lemlist lookups for cross-campaign dedupe');
+      } else {
+        logger.warn({ email, error: error.message }, 'Failed to read campaign membership index; using live lookups');
+      }
+      return null;
+    }
+
+    return (data || []).map(row => ({
+      campaignId: row.campaign_id,
+      campaignName: row.campaign_name || null,
+      source: 'index'
+    }));
+  }
+
+  /**
+   * Check every active Lemlist campaign for the lead (one request per campaign).
+   */
+  async findLiveMemberships(email, targetCampaignId) {
+    const { lemlist } = getClients();
+    const campaigns = await this.getActiveCampaigns();
+    const memberships = [];
+
+    for (const campaign of campaigns) {
+      if (campaign.id === targetCampaignId) continue;
+      const lead = await lemlist.checkLeadExists(campaign.id, email);
+      if (lead && typeof lead === 'object' && Object.keys(lead).length > 0) {
+        memberships.push({ campaignId: campaign.id, campaignName: campaign.name, source: 'live' });
+      }
+    }
+
+    return memberships;
+  }
+
+  /**
+   * Active Lemlist campaigns (cached briefly so a run lists them once).
+   */
+  async getActiveCampaigns() {
+    if (this.campaignListCache && Date.now() - this.campaignListCache.fetchedAt < CAMPAIGN_LIST_TTL_MS) {
+      return this.campaignListCache.campaigns;
+    }
+
+    const { lemlist } = getClients();
+    const campaigns = (await lemlist.getCampaigns())
+      .filter(c => c?._id && !INACTIVE_CAMPAIGN_STATUSES.includes(String(c.status || '').toLowerCase()))
+      .map(c => ({ id: c._id, name: c.name || null }));
+
+    this.campaignListCache = { campaigns, fetchedAt: Date.now() };
+    return campaigns;
+  }
+
+  /**
+   * Remove a lead from campaigns before enrolling it elsewhere ("move" policy).
+   */
+  async moveOut(email, conflicts) {
+    const { lemlist } = getClients();
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+
+    for (const conflict of conflicts) {
+      await lemlist.removeLeadFromCampaign(conflict.campaignId, normalizedEmail);
+      logger.info({ email: normalizedEmail, campaignId: conflict.campaignId }, 'Removed lead from campaign before re-routing');
+      await this.removeMembership(conflict.campaignId, normalizedEmail);
+    }
+  }
+
+  /**
+   * Record a pipeline enrollment in the index so it is visible before the next export sync.
+   */
+  async recordMembership(campaignId, email) {
+    if (!this.tableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('lemlist_campaign_memberships')
+      .upsert({
+        campaign_id: campaignId,
+        email: String(email || '').toLowerCase().trim(),
+        sequence_finished: false,
+        source: 'pipeline',
+        synced_at: new Date().toISOString()
+      }, { onConflict: 'campaign_id,email' });
+
+    if (error) {
+      logger.warn({ campaignId, email, error: error.message }, 'Failed to record campaign membership');
+    }
+  }
+
+  async removeMembership(campaignId, email) {
+    if (!this.tableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('lemlist_campaign_memberships')
+      .delete()
+      .eq('campaign_id', campaignId)
+      .eq('email', email);
+
+    if (error) {
+      logger.warn({ campaignId, email, error: error.message }, 'Failed to remove campaign membership');
+    }
+  }
+}
+
+module.exports = new CampaignMembershipService();
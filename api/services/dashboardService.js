@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const { createLogger } = require('../utils/logger');
+const sourceTaxonomyService = require('./sourceTaxonomyService');
 
 const logger = createLogger('dashboard-service');
 
@@ -73,8 +74,9 @@ class DashboardService {
     // Categorize sources using detailed HubSpot source_detail field
     const sourceCategories = {};
     const sourceDetails = {};
+    const taxonomyRules = await sourceTaxonomyService.getRules();
     for (const lead of (currentLeads || [])) {
-      const { category, detail } = this.categorizeSource(lead.source_detail, lead.lead_source);
+      const { category, detail } = sourceTaxonomyService.categorizeWith(taxonomyRules, lead.source_detail, lead.lead_source);
       // Group by category
       sourceCategories[category] = (sourceCategories[category] || 0) + 1;
       // Group by detail (granular)
@@ -759,32 +761,6 @@ class DashboardService {
   // HELPERS
   // ==========================================
 
-  /**
-   * Categorize a lead source from HubSpot's hs_object_source_detail_1 field
-   * Returns { category, detail } where category is the group and detail is the specific source
-   */
-  categorizeSource(sourceDetail, leadSource) {
-    if (sourceDetail) {
-      const trimmed = sourceDetail.trim();
-      // Lead Magnet: starts with "LM - " or "LM-"
-      const lmMatch = trimmed.match(/^LM\s*[-–—]\s*(.+)/i);
-      if (lmMatch) {
-        return { category: 'Lead Magnet', detail: lmMatch[1].trim() };
-      }
-      // Contact Us
-      if (/contact\s*us/i.test(trimmed)) {
-        return { category: 'Contact Us', detail: null };
-      }
-      // Any other known value - use as-is
-      return { category: trimmed, detail: null };
-    }
-    // No source_detail: fall back to lead_source field
-    if (leadSource === 'contact_us') {
-      return { category: 'Contact Us', detail: null };
-    }
-    return { category: 'Inbound (Other)', detail: null };
-  }
-
   /**
    * Get date filter based on range string
    */
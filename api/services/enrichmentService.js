@@ -0,0 +1,305 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const LemlistClient = require('../clients/lemlist');
+const { config } = require('../config');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('enrichment');
+
+const MODES = ['sync', 'async'];
+
+let supabase, lemlist;
+
+function getClients() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  if (!lemlist) {
+    lemlist = new LemlistClient(config.lemlist);
+  }
+  return { supabase, lemlist };
+}
+
+/**
+ * Enrichment Service
+ * Lemlist enrichment with a per-email cache (lead_enrichments) so re-runs reuse results
+ * instead of spending credits again.
+ *
+ * Modes (routing.json → enrichment.mode):
+ *   sync  - submit and poll up to max_wait_seconds, then enroll with whatever is available
+ *   async - submit and defer the contact; later runs poll the result and enroll it once ready
+ */
+class EnrichmentService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  getSettings() {
+    const settings = routingConfig.enrichment || {};
+    return {
+      enabled: settings.enabled !== false,
+      mode: MODES.includes(settings.mode) ? settings.mode : 'sync',
+      cacheTtlMs: (Number(settings.cache_ttl_days) || 90) * 24 * 60 * 60 * 1000,
+      failedTtlMs: (Number(settings.failed_ttl_days) || 7) * 24 * 60 * 60 * 1000,
+      maxWaitMs: (Number(settings.max_wait_seconds) || 30) * 1000,
+      pollIntervalMs: (Number(settings.poll_interval_seconds) || 2) * 1000,
+      pendingTimeoutMs: (Number(settings.pending_timeout_minutes) || 60) * 60 * 1000,
+      deferredBatchSize: Number(settings.deferred_batch_size) || 100
+    };
+  }
+
+  handleTableError(error) {
+    if (error.message && error.message.includes('lead_enrichments')) {
+      if (this.tableAvailable) {
+        logger.warn('lead_enrichments table not found; enrichment results will not be cached');
+      }
+      this.tableAvailable = false;
+      return true;
+    }
+    return false;
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+  }
+
+  /**
+   * Map a Lemlist enrichment result to pending | done | failed.
+   */
+  getResultStatus(result) {
+    const status = result?.enrichmentStatus || result?.status;
+    if (status === 'done' || status === 'completed') return 'done';
+    if (status === 'failed' || status === 'error') return 'failed';
+    return 'pending';
+  }
+
+  isFresh(entry) {
+    return !!entry?.expires_at && new Date(entry.expires_at).getTime() > Date.now();
+  }
+
+  async getEntry(email) {
+    if (!this.tableAvailable) return null;
+    const { supabase } = getClients();
+
+    const { data, error } = await supabase
+      .from('lead_enrichments')
+      .select('*')
+      .eq('email', email)
+      .limit(1);
+
+    if (error) {
+      if (!this.handleTableError(error)) {
+        logger.warn({ email, error: error.message }, 'Failed to read enrichment cache');
+      }
+      return null;
+    }
+    return data?.[0] || null;
+  }
+
+  /**
+   * Upsert the cache row for an email. Returns the merged entry even when the
+   * table is unavailable, so a single call can still poll its own request.
+   */
+  async saveEntry(entry, fields) {
+    const next = { ...entry, ...fields };
+    if (!this.tableAvailable) return next;
+    const { supabase } = getClients();
+
+    const { id, created_at, updated_at, ...row } = next;
+    const { error } = await supabase
+      .from('lead_enrichments')
+      .upsert(row, { onConflict: 'email' });
+
+    if (error && !this.handleTableError(error)) {
+      logger.warn({ email: next.email, error: error.message }, 'Failed to save enrichment cache entry');
+    }
+    return next;
+  }
+
+  /**
+   * Enrich a lead payload, serving repeats from the cache.
+   * @param {Object} leadData - Lemlist lead payload (email, firstName, lastName, companyName)
+   * @param {Object} options
+   * @param {string} options.contactId - HubSpot contact deferred in async mode
+   * @returns {Promise<{status: string, leadData: Object}>} status is cached, enriched,
+   *   pending (async: enroll later), failed, timeout (sync wait elapsed) or disabled
+   */
+  async enrich(leadData, { contactId = null } = {}) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return { status: 'disabled', leadData };
+
+    const { lemlist } = getClients();
+    const email = this.normalizeEmail(leadData.email);
+    let entry = await this.getEntry(email);
+
+    if (entry && entry.status !== 'pending' && this.isFresh(entry)) {
+      return this.applyEntry(entry, leadData, 'cached');
+    }
+
+    if (entry?.status === 'pending' && entry.enrichment_id) {
+      const age = Date.now() - new Date(entry.requested_at).getTime();
+      entry = age > settings.pendingTimeoutMs
+        ? await this.saveEntry(entry, {
+          status: 'failed',
+          error_message: 'Enrichment result not ready before timeout',
+          completed_at: new Date().toISOString(),
+          expires_at: new Date(Date.now() + settings.failedTtlMs).toISOString()
+        })
+        : await this.poll(entry, settings);
+    } else {
+      entry = await this.submit(email, leadData, settings);
+    }
+
+    // Without the cache table nothing remembers a deferred request, so wait for it now
+    const mode = this.tableAvailable ? settings.mode : 'sync';
+
+    if (entry.status === 'pending' && mode === 'sync') {
+      const waitUntil = Date.now() + settings.maxWaitMs;
+      while (entry.status === 'pending' && Date.now() < waitUntil) {
+        await lemlist.sleep(settings.pollIntervalMs);
+        entry = await this.poll(entry, settings);
+      }
+      // Still pending: the next attempt polls this request instead of submitting a new one
+      if (entry.status === 'pending') return { status: 'timeout', leadData };
+    }
+
+    if (entry.status === 'pending') {
+      await this.saveEntry(entry, { deferred_contact_id: contactId ? String(contactId) : null });
+      return { status: 'pending', leadData };
+    }
+
+    return this.applyEntry(entry, leadData, 'enriched');
+  }
+
+  /**
+   * Report what enrich() would do without submitting anything (dry runs).
+   * @returns {Promise<string>} cached | pending | would_enrich | disabled
+   */
+  async peek(email) {
+    if (!this.getSettings().enabled) return 'disabled';
+    const entry = await this.getEntry(this.normalizeEmail(email));
+    if (entry?.status === 'pending') return 'pending';
+    if (entry && this.isFresh(entry)) return 'cached';
+    return 'would_enrich';
+  }
+
+  applyEntry(entry, leadData, status) {
+    const { lemlist } = getClients();
+    if (entry.status === 'done' && entry.result) {
+      return { status, leadData: lemlist.mergeEnrichedData(leadData, entry.result) };
+    }
+    return { status: 'failed', leadData };
+  }
+
+  async submit(email, leadData, settings) {
+    const { lemlist } = getClients();
+    const request = {
+      email,
+      firstName: leadData.firstName,
+      lastName: leadData.lastName,
+      companyName: leadData.companyName
+    };
+
+    const job = await lemlist.submitEnrichment(request);
+    const now = new Date().toISOString();
+    const entry = {
+      email,
+      request,
+      result: null,
+      error_message: null,
+      requested_at: now,
+      completed_at: null,
+      last_polled_at: null,
+      expires_at: null
+    };
+
+    if (!job?.id) {
+      return this.saveEntry(entry, {
+        enrichment_id: null,
+        status: 'failed',
+        error_message: 'No enrichment ID returned',
+        completed_at: now,
+        expires_at: new Date(Date.now() + settings.failedTtlMs).toISOString()
+      });
+    }
+
+    return this.saveEntry(entry, { enrichment_id: job.id, status: 'pending' });
+  }
+
+  /**
+   * Fetch the result of a pending request once. Poll errors leave it pending.
+   */
+  async poll(entry, settings = this.getSettings()) {
+    const { lemlist } = getClients();
+    const now = new Date().toISOString();
+
+    let result;
+    try {
+      result = await lemlist.getEnrichmentResult(entry.enrichment_id);
+    } catch (error) {
+      logger.warn({ email: entry.email, error: error.message }, 'Failed to poll enrichment result');
+      return this.saveEntry(entry, { last_polled_at: now });
+    }
+
+    const status = this.getResultStatus(result);
+    if (status === 'pending') {
+      return this.saveEntry(entry, { last_polled_at: now });
+    }
+
+    const ttlMs = status === 'done' ? settings.cacheTtlMs : settings.failedTtlMs;
+    return this.saveEntry(entry, {
+      status,
+      result,
+      last_polled_at: now,
+      completed_at: now,
+      expires_at: new Date(Date.now() + ttlMs).toISOString()
+    });
+  }
+
+  /**
+   * Contacts whose enrollment was deferred waiting on an enrichment (oldest first).
+   * @returns {Promise<string[]>} HubSpot contact IDs
+   */
+  async getDeferredContactIds() {
+    if (!this.tableAvailable) return [];
+    const { supabase } = getClients();
+    const { deferredBatchSize } = this.getSettings();
+
+    const { data, error } = await supabase
+      .from('lead_enrichments')
+      .select('deferred_contact_id')
+      .not('deferred_contact_id', 'is', null)
+      .order('requested_at', { ascending: true })
+      .limit(deferredBatchSize);
+
+    if (error) {
+      if (!this.handleTableError(error)) {
+        logger.warn({ error: error.message }, 'Failed to load contacts awaiting enrichment');
+      }
+      return [];
+    }
+    return [...new Set((data || []).map(row => String(row.deferred_contact_id)))];
+  }
+
+  /**
+   * Release a deferred contact once the pipeline has reached an outcome for it.
+   */
+  async clearDeferred(contactId) {
+    if (!this.tableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('lead_enrichments')
+      .update({ deferred_contact_id: null })
+      .eq('deferred_contact_id', String(contactId));
+
+    if (error && !this.handleTableError(error)) {
+      logger.warn({ contactId, error: error.message }, 'Failed to clear deferred enrichment');
+    }
+  }
+}
+
+module.exports = new EnrichmentService();
@@ -0,0 +1,219 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const { generateLeadPersonalization } = require('../clients/anthropic');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('lead-personalization');
+
+const DEFAULT_BANNED_PHRASES = [
+  'i hope this email finds you well',
+  'i hope this finds you well',
+  'touch base',
+  'circle back',
+  'synergy',
+  'game-changer',
+  'revolutionize',
+  'as an ai'
+];
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Lead Personalization Service
+ * Optional enrollment step: asks the Anthropic client for an opening line and a pain
+ * hypothesis per lead, validates them (length, banned phrases) and records every
+ * attempt in lead_personalizations with the prompt version for quality review.
+ */
+class LeadPersonalizationService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  getSettings() {
+    const settings = routingConfig.ai_personalization || {};
+    const variables = settings.variables || {};
+    const maxLength = settings.max_length || {};
+    return {
+      enabled: settings.enabled === true,
+      promptVersion: String(settings.prompt_version || 'v1'),
+      variables: {
+        openingLine: variables.opening_line || 'aiOpeningLine',
+        painHypothesis: variables.pain_hypothesis || 'aiPainHypothesis'
+      },
+      maxLengths: {
+        openingLine: Number(maxLength.opening_line) || 200,
+        painHypothesis: Number(maxLength.pain_hypothesis) || 300
+      },
+      minLength: Number(settings.min_length) || 20,
+      bannedPhrases: DEFAULT_BANNED_PHRASES.concat((settings.banned_phrases || []).map(p => String(p).toLowerCase().trim())),
+      maxAttempts: Math.max(1, Number(settings.max_attempts) || 2),
+      contactProperties: settings.contact_properties || ['firstname', 'jobtitle', 'company'],
+      companyProperties: settings.company_properties || ['name', 'industry', 'numberofemployees', 'city']
+    };
+  }
+
+  /**
+   * Check generated text against the length and banned-phrase rules.
+   * @returns {string[]} Violations, e.g. ["openingLine:too_long", "painHypothesis:banned_phrase:synergy"]
+   */
+  validate(output, settings = this.getSettings()) {
+    const violations = [];
+    for (const field of ['openingLine', 'painHypothesis']) {
+      const text = String(output?.[field] || '').trim();
+      if (text.length < settings.minLength) {
+        violations.push(`${field}:too_short`);
+        continue;
+      }
+      if (text.length > settings.maxLengths[field]) {
+        violations.push(`${field}:too_long`);
+      }
+      const lower = text.toLowerCase();
+      const banned = settings.bannedPhrases.find(phrase => phrase && lower.includes(phrase));
+      if (banned) {
+        violations.push(`${field}:banned_phrase:${banned}`);
+      }
+      if (/\{\{|\}\}/.test(text)) {
+        violations.push(`${field}:template_syntax`);
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Build the model input from the contact, its company and the source context.
+   */
+  buildInput({ props, company, sourceContext }, settings) {
+    const pick = (source, keys) => Object.fromEntries(keys
+      .filter(key => source?.[key] !== undefined && source[key] !== null && String(source[key]).trim() !== '')
+      .map(key => [key, source[key]]));
+
+    return {
+      contact: pick(props, settings.contactProperties),
+      company: pick(company?.properties, settings.companyProperties),
+      sourceContext: sourceContext || null
+    };
+  }
+
+  /**
+   * Generate and validate the snippet for one lead.
+   * A failed or invalid generation never blocks enrollment: the variables are left out.
+   * @param {Object} lead - { contactId, email, campaignId, ownerName, props, company, sourceContext }
+   * @returns {Promise<{status: string, variables: Object, violations: string[]}>}
+   *   status is accepted, rejected, failed or disabled
+   */
+  async generate(lead) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return { status: 'disabled', variables: {}, violations: [] };
+
+    const input = this.buildInput(lead, settings);
+    let output = null;
+    let violations = [];
+    // Violations of the last generated output, passed back to the model on retry
+    let previousViolations = [];
+    let attempts = 0;
+    let errorMessage = null;
+
+    while (attempts < settings.maxAttempts) {
+      attempts++;
+      try {
+        output = await generateLeadPersonalization(input, {
+          maxLengths: settings.maxLengths,
+          bannedPhrases: settings.bannedPhrases,
+          previousViolations
+        });
+        errorMessage = null;
+      } catch (error) {
+        output = null;
+        violations = [];
+        errorMessage = error.message;
+        continue;
+      }
+
+      violations = this.validate(output, settings);
+      if (violations.length === 0) break;
+      previousViolations = violations;
+    }
+
+    const status = !output ? 'failed' : (violations.length === 0 ? 'accepted' : 'rejected');
+    await this.record(lead, {
+      prompt_version: settings.promptVersion,
+      model: output?.model || null,
+      status,
+      opening_line: output?.openingLine || null,
+      pain_hypothesis: output?.painHypothesis || null,
+      attempts,
+      violations,
+      input,
+      error_message: errorMessage
+    });
+
+    if (status !== 'accepted') {
+      logger.warn({ contactId: lead.contactId, status, violations, error: errorMessage }, 'AI personalization not used');
+      return { status, variables: {}, violations };
+    }
+
+    return {
+      status,
+      violations,
+      variables: {
+        [settings.variables.openingLine]: output.openingLine,
+        [settings.variables.painHypothesis]: output.painHypothesis
+      }
+    };
+  }
+
+  async record(lead, fields) {
+    if (!this.tableAvailable) return;
+
+    const { error } = await getSupabase()
+      .from('lead_personalizations')
+      .insert({
+        contact_id: String(lead.contactId),
+        email: lead.email,
+        campaign_id: lead.campaignId || null,
+        owner: lead.ownerName || null,
+        ...fields
+      });
+
+    if (error) {
+      if (error.message && error.message.includes('lead_personalizations')) {
+        this.tableAvailable = false;
+        logger.warn('lead_personalizations table not found; AI personalization output will not be stored');
+      } else {
+        logger.warn({ contactId: lead.contactId, error: error.message }, 'Failed to record AI personalization');
+      }
+    }
+  }
+
+  /**
+   * Generated snippets for review, newest first.
+   * @param {Object} options - { campaignId, promptVersion, status, limit, offset }
+   */
+  async list({ campaignId = null, promptVersion = null, status = null, limit = 50, offset = 0 } = {}) {
+    let query = getSupabase()
+      .from('lead_personalizations')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (campaignId) query = query.eq('campaign_id', campaignId);
+    if (promptVersion) query = query.eq('prompt_version', promptVersion);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { personalizations: data || [], total: count || 0 };
+  }
+}
+
+module.exports = new LeadPersonalizationService();
@@ -1,14 +1,63 @@
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const { createLogger } = require('../utils/logger');
 const HubSpotClient = require('../clients/hubspot');
 const LemlistClient = require('../clients/lemlist');
 const SalesforceClient = require('../clients/salesforce');
+const routingRulesService = require('./routingRulesService');
+const ownerAssignmentService = require('./ownerAssignmentService');
+const pipelineFailureService = require('./pipelineFailureService');
+const pipelineRunService = require('./pipelineRunService');
+const pipelineQueueService = require('./pipelineQueueService');
+const campaignMembershipService = require('./campaignMembershipService');
+const enrichmentService = require('./enrichmentService');
+const salesforceConversionService = require('./salesforceConversionService');
+const leadPersonalizationService = require('./leadPersonalizationService');
+const sourceTaxonomyService = require('./sourceTaxonomyService');
+const ownerService = require('./ownerService');
+const { forEachWithConcurrency } = require('../utils/concurrency');
+const { evaluateConditions, isEmpty } = require('../utils/conditions');
+const { validateContact, isPersonalEmail } = require('../utils/contactQuality');
+const fieldMapping = require('../utils/fieldMapping');
 const { config } = require('../config');
 const routingConfig = require('../config/routing.json');
 const curatedSourceContexts = require('../config/source-contexts.json');
 
 const logger = createLogger('lead-pipeline');
 
+// HubSpot search returns at most 10k results per query; paging past this fails.
+const SEARCH_RESULT_CEILING = 10000;
+const CHECKPOINT_PIPELINE = 'leads';
+
+// Outlasts any single run (time budget plus contacts in flight); a crashed run's lease lapses after this
+const RUN_LEASE_SECONDS = 10 * 60;
+
+// Routing and exclusion rule conditions on "company.<property>" read the associated company
+const COMPANY_PROPERTY_PREFIX = 'company.';
+
+// HubSpot-defined contact -> company association type for the primary company
+const PRIMARY_COMPANY_ASSOCIATION_TYPE_ID = 1;
+
+// Recorded on enrollments routed by the owner -> campaign mapping rather than a rule.
+const OWNER_FALLBACK_RULE = Object.freeze({
+  id: 'owner_fallback',
+  name: 'Owner mapping',
+  version: null
+});
+
+/**
+ * Run a processing step, tagging any thrown error with the step name
+ * so the dead-letter queue records where the contact failed.
+ */
+async function runStep(step, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (!error.pipelineStep) error.pipelineStep = step;
+    throw error;
+  }
+}
+
 // Lazy initialization
 let supabase, hubspot, lemlist, salesforce;
 
@@ -40,61 +89,178 @@ class LeadPipelineService {
     this.sourceContextCache = new Map();
     this.sourceContextTableAvailable = true;
     this.loggedSourceContextTableUnavailable = false;
+    this.checkpointTableAvailable = true;
+    this.leaseAvailable = true;
+    this.enrollmentTableAvailable = true;
+    // Writeback properties found missing in HubSpot by the last checkWritebackProperties()
+    this.missingWritebackProperties = new Set();
   }
 
   /**
    * Run the lead pipeline - triggered by Vercel Cron
-   * @returns {Promise<Object>} Pipeline run results
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Make every read and decision but skip all writes,
+   *   returning a per-contact decision report
+   * @param {string} options.trigger - What started the run (cron, manual, api), recorded in run history
+   * @param {number} options.timeBudgetMs - Stop starting new contacts once this much time has
+   *   passed (defaults to routing.json processing.time_budget_seconds)
+   * @returns {Promise<Object>} Pipeline run results; `complete` is false when the budget ran out
+   *   and the remaining contacts were deferred to the next run, `alreadyRunning` is true when
+   *   another run held the pipeline and nothing was done
    */
-  async run() {
-    const { supabase, hubspot, lemlist } = getClients();
+  async run({ dryRun = false, trigger = 'manual', timeBudgetMs = null } = {}) {
+    // Only one run at a time, so a contact is never processed by two runs at once.
+    // Dry runs write nothing and may overlap.
+    const leaseHolder = dryRun ? null : await this.acquireRunLease();
+    if (leaseHolder === false) {
+      logger.info({ trigger }, 'Lead pipeline run already in progress; skipping');
+      return { startedAt: new Date().toISOString(), trigger, alreadyRunning: true, complete: true, processed: 0 };
+    }
+
+    try {
+      return await this.runLeased({ dryRun, trigger, timeBudgetMs });
+    } finally {
+      if (leaseHolder) await this.releaseRunLease(leaseHolder);
+    }
+  }
 
+  async runLeased({ dryRun, trigger, timeBudgetMs }) {
     const results = {
       startedAt: new Date().toISOString(),
+      dryRun,
+      trigger,
+      complete: true,
       processed: 0,
       succeeded: 0,
       failed: 0,
       skipped: 0,
       duplicates: 0,
+      deferred: 0,
+      enrichmentPending: 0,
       errors: []
     };
+    const deadline = Date.now() + this.getTimeBudgetMs(timeBudgetMs);
+    if (dryRun) {
+      results.report = [];
+    }
+
+    // Run history (pipeline_runs / pipeline_run_items); dry runs are not recorded
+    const runId = dryRun
+      ? null
+      : await pipelineRunService.startRun({ triggerSource: trigger, startedAt: results.startedAt });
+    results.runId = runId;
+    const tracker = this.createRunTracker({ runId, dryRun, results });
 
     try {
-      logger.info('Starting lead pipeline run');
+      logger.info({ dryRun, trigger, runId }, 'Starting lead pipeline run');
+
+      // Search for contacts where add_to_lemlist = true, touched since the last successful run
+      const searchSettings = routingConfig.search || {};
+      const since = searchSettings.incremental === false
+        ? null
+        : await this.getHighWaterMark();
+      const { contacts: searchedContacts, highWaterMark } = await this.searchTriggeredContacts({ since });
+
+      results.searchedSince = since;
+      logger.info({ count: searchedContacts.length, since }, 'Found triggered contacts');
 
-      // Search for contacts where add_to_lemlist = true
-      const contacts = await this.searchTriggeredContacts();
+      // Contacts queued by the HubSpot webhook since the last run
+      const queuedContacts = await this.loadQueuedContacts({ dryRun });
 
-      logger.info({ count: contacts.length }, 'Found triggered contacts');
+      // Retry due dead-letter entries before new contacts. Contacts with a pending
+      // entry that is not yet due are left alone until their backoff elapses.
+      const pendingFailureIds = await pipelineFailureService.getPendingContactIds(
+        [...queuedContacts, ...searchedContacts].map(contact => contact.id)
+      );
+      const retryContacts = await this.loadDueRetries({ dryRun });
+      const retryIds = new Set(retryContacts.map(contact => String(contact.id)));
+
+      // Then contacts whose enrollment was deferred waiting on an async enrichment
+      const enrichmentContacts = (await this.loadDeferredEnrichments({ dryRun }))
+        .filter(contact => !retryIds.has(String(contact.id)));
+      const enrichmentIds = new Set(enrichmentContacts.map(contact => String(contact.id)));
+
+      // Queued contacts already handled above (or waiting on a backoff) leave the queue
+      const isNew = contact => !retryIds.has(String(contact.id))
+        && !pendingFailureIds.has(String(contact.id))
+        && !enrichmentIds.has(String(contact.id));
+      const newQueuedContacts = queuedContacts.filter(isNew);
+      const queuedIds = new Set(newQueuedContacts.map(contact => String(contact.id)));
+      if (!dryRun) {
+        await pipelineQueueService.remove(queuedContacts.filter(contact => !isNew(contact)).map(contact => contact.id));
+      }
+
+      const contacts = [
+        ...retryContacts,
+        ...enrichmentContacts,
+        ...newQueuedContacts,
+        ...searchedContacts.filter(contact => isNew(contact) && !queuedIds.has(String(contact.id)))
+      ];
+      results.retried = retryContacts.length;
+      results.queued = newQueuedContacts.length;
 
       if (contacts.length === 0) {
+        if (!dryRun) {
+          await this.saveHighWaterMark(highWaterMark);
+          results.queueRemaining = await pipelineQueueService.count();
+        }
         results.completedAt = new Date().toISOString();
+        await pipelineRunService.finishRun(runId, results, 'success');
         return results;
       }
 
-      // Process each contact
-      for (const contact of contacts) {
-        results.processed++;
+      // Outcomes are written back to HubSpot in batches
+      results.hubspotUpdated = 0;
+      await this.checkWritebackProperties(results);
 
-        try {
-          const result = await this.processContact(contact);
-
-          if (result.skipped) {
-            results.skipped++;
-          } else if (result.duplicate) {
-            results.duplicates++;
-            results.succeeded++;
-          } else {
-            results.succeeded++;
+      // Process contacts in parallel; the shared per-provider rate limiters in the
+      // clients keep the combined request rate under each vendor's limit.
+      const concurrency = Math.max(1, Number(routingConfig.processing?.concurrency) || 1);
+      logger.info({ count: contacts.length, concurrency }, 'Processing contacts');
+
+      // Contacts not started before the deadline are deferred. Workers take contacts
+      // in order, so the deferred contacts are always a suffix of the list.
+      let firstDeferredSearched = null;
+
+      await forEachWithConcurrency(contacts, concurrency, async (contact) => {
+        const isRetry = retryIds.has(String(contact.id));
+        const awaitedEnrichment = enrichmentIds.has(String(contact.id));
+        const isQueued = queuedIds.has(String(contact.id));
+
+        if (Date.now() >= deadline) {
+          results.deferred++;
+          if (!firstDeferredSearched && !isRetry && !awaitedEnrichment && !isQueued) {
+            firstDeferredSearched = contact;
           }
-        } catch (error) {
-          results.failed++;
-          results.errors.push({
-            contactId: contact.id,
-            error: error.message
-          });
-          logger.error({ contactId: contact.id, error: error.message }, 'Failed to process contact');
+          return;
+        }
+
+        await this.processRunContact(contact, tracker, {
+          isRetry,
+          resolveFailure: isRetry || pendingFailureIds.has(String(contact.id)),
+          awaitedEnrichment,
+          isQueued
+        });
+      });
+
+      await this.flushRunTracker(tracker);
+      if (!dryRun) {
+        // Contacts queued while this run was in progress call for a follow-up run
+        results.queueRemaining = await pipelineQueueService.count();
+      }
+
+      // Deferred search results resume from the first one not started: it becomes the
+      // continuation cursor saved in place of the high-water mark. Deferred retries stay
+      // due in the dead-letter queue.
+      let checkpoint = highWaterMark;
+      if (results.deferred > 0) {
+        results.complete = false;
+        const cursorMs = firstDeferredSearched ? this.getLastModifiedMs(firstDeferredSearched) : null;
+        if (firstDeferredSearched) {
+          checkpoint = cursorMs !== null ? new Date(cursorMs).toISOString() : since;
         }
+        results.cursor = checkpoint;
+        logger.warn({ deferred: results.deferred, cursor: results.cursor }, 'Time budget reached; remaining contacts deferred to the next run');
       }
 
       results.completedAt = new Date().toISOString();
@@ -106,34 +272,393 @@ class LeadPipelineService {
         failed: results.failed,
         skipped: results.skipped,
         duplicates: results.duplicates,
-        durationMs: results.durationMs
+        deferred: results.deferred,
+        enrichmentPending: results.enrichmentPending,
+        complete: results.complete,
+        durationMs: results.durationMs,
+        dryRun
       }, 'Lead pipeline run complete');
 
+      if (dryRun) {
+        return results;
+      }
+
+      // Failed contacts are retried from the dead-letter queue. If any could not be
+      // queued, keep the high-water mark so they are searched again instead.
+      if (tracker.unqueuedFailures === 0) {
+        await this.saveHighWaterMark(checkpoint);
+      }
+
       // Update sync status
-      await this.updateSyncStatus('leads', results.failed === 0 ? 'success' : 'partial', results.succeeded);
+      const status = results.failed === 0 && !results.hubspotWritebackFailed && results.complete ? 'success' : 'partial';
+      await this.updateSyncStatus('leads', status, results.succeeded);
+      await pipelineRunService.finishRun(runId, results, status);
 
     } catch (error) {
       results.error = error.message;
       logger.error({ error: error.message }, 'Lead pipeline error');
-      await this.updateSyncStatus('leads', 'failed', 0, error.message);
+      if (!dryRun) {
+        await this.updateSyncStatus('leads', 'failed', 0, error.message);
+        await pipelineRunService.recordItems(tracker.runItems.splice(0));
+        await pipelineRunService.finishRun(runId, results, 'failed');
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Process only the contacts queued by the HubSpot webhook, without searching HubSpot
+   * or touching the high-water mark. Dispatched by the webhook so queued contacts are
+   * enrolled right away; holds the same lease as run(). While a run holds the lease the
+   * queue is left to it (a run that ends with contacts queued chains a follow-up), and
+   * anything left over is drained by the next scheduled run.
+   * @param {Object} options
+   * @param {string} options.trigger - Recorded in run history
+   * @param {number} options.timeBudgetMs - See run()
+   * @returns {Promise<Object>} Run results; `alreadyRunning` when another run held the lease
+   */
+  async processQueue({ trigger = 'webhook', timeBudgetMs = null } = {}) {
+    const leaseHolder = await this.acquireRunLease();
+    if (leaseHolder === false) {
+      logger.info({ trigger }, 'Lead pipeline run in progress; leaving queued contacts to it');
+      return { startedAt: new Date().toISOString(), trigger, alreadyRunning: true, processed: 0 };
+    }
+
+    try {
+      return await this.processQueueLeased({ trigger, timeBudgetMs });
+    } finally {
+      if (leaseHolder) await this.releaseRunLease(leaseHolder);
+    }
+  }
+
+  async processQueueLeased({ trigger, timeBudgetMs }) {
+    const results = {
+      startedAt: new Date().toISOString(),
+      trigger,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+      duplicates: 0,
+      deferred: 0,
+      enrichmentPending: 0,
+      errors: []
+    };
+    const deadline = Date.now() + this.getTimeBudgetMs(timeBudgetMs);
+
+    // Contacts waiting out a dead-letter backoff are left to the retry schedule
+    const queuedContacts = await this.loadQueuedContacts();
+    const pendingFailureIds = await pipelineFailureService.getPendingContactIds(queuedContacts.map(contact => contact.id));
+    const contacts = queuedContacts.filter(contact => !pendingFailureIds.has(String(contact.id)));
+    await pipelineQueueService.remove(queuedContacts
+      .filter(contact => pendingFailureIds.has(String(contact.id)))
+      .map(contact => contact.id));
+    results.queued = contacts.length;
+
+    if (contacts.length === 0) {
+      results.queueRemaining = await pipelineQueueService.count();
+      return results;
+    }
+
+    const enrichmentIds = new Set(await enrichmentService.getDeferredContactIds());
+    const runId = await pipelineRunService.startRun({ triggerSource: trigger, startedAt: results.startedAt });
+    results.runId = runId;
+    const tracker = this.createRunTracker({ runId, dryRun: false, results });
+
+    try {
+      results.hubspotUpdated = 0;
+      await this.checkWritebackProperties(results);
+
+      const concurrency = Math.max(1, Number(routingConfig.processing?.concurrency) || 1);
+      logger.info({ count: contacts.length, concurrency, trigger, runId }, 'Processing queued contacts');
+
+      await forEachWithConcurrency(contacts, concurrency, async (contact) => {
+        if (Date.now() >= deadline) {
+          results.deferred++;
+          return;
+        }
+        await this.processRunContact(contact, tracker, {
+          awaitedEnrichment: enrichmentIds.has(String(contact.id)),
+          isQueued: true
+        });
+      });
+
+      await this.flushRunTracker(tracker);
+      results.queueRemaining = await pipelineQueueService.count();
+      results.completedAt = new Date().toISOString();
+
+      logger.info({
+        processed: results.processed,
+        succeeded: results.succeeded,
+        failed: results.failed,
+        deferred: results.deferred,
+        queueRemaining: results.queueRemaining
+      }, 'Queued contacts processed');
+
+      const status = results.failed === 0 && !results.hubspotWritebackFailed && results.deferred === 0 ? 'success' : 'partial';
+      await pipelineRunService.finishRun(runId, results, status);
+    } catch (error) {
+      results.error = error.message;
+      logger.error({ error: error.message }, 'Queued contact processing error');
+      await pipelineRunService.recordItems(tracker.runItems.splice(0));
+      await pipelineRunService.finishRun(runId, results, 'failed');
     }
 
     return results;
   }
 
   /**
-   * Search HubSpot for contacts with trigger field set
+   * Per-run bookkeeping shared by run() and processQueue(): run history items,
+   * batched HubSpot writebacks and contacts to remove from the queue.
+   */
+  createRunTracker({ runId, dryRun, results }) {
+    const writebackSettings = routingConfig.hubspot_writeback || {};
+    return {
+      runId,
+      dryRun,
+      results,
+      writebackBatchSize: Math.min(Number(writebackSettings.batch_size) || 100, 100),
+      runItems: [],
+      hubspotUpdates: [],
+      dequeued: [],
+      // Failures that could not be queued for retry (they hold back the high-water mark)
+      unqueuedFailures: 0
+    };
+  }
+
+  async recordRunItem(tracker, contact, outcome) {
+    if (!tracker.runId) return;
+    tracker.runItems.push(pipelineRunService.buildItem(tracker.runId, contact, outcome));
+    if (tracker.runItems.length >= 100) {
+      await pipelineRunService.recordItems(tracker.runItems.splice(0));
+    }
+  }
+
+  async queueWriteback(tracker, contact, result) {
+    const update = this.buildHubSpotWriteback(contact, result);
+    if (!update) return;
+    if (tracker.dryRun) {
+      if (result.report) result.report.hubspotUpdate = update.properties;
+      return;
+    }
+    tracker.hubspotUpdates.push(update);
+    if (tracker.hubspotUpdates.length >= tracker.writebackBatchSize) {
+      await this.flushHubSpotWritebacks(tracker.hubspotUpdates.splice(0), tracker.results);
+    }
+  }
+
+  /**
+   * Process one contact of a run and record its outcome: run item, HubSpot writeback,
+   * dead-letter entry, deferred enrichment and queue bookkeeping, and result counters.
+   * @param {Object} contact - HubSpot contact
+   * @param {Object} tracker - From createRunTracker()
+   * @param {Object} flags
+   * @param {boolean} flags.isRetry - Due dead-letter retry
+   * @param {boolean} flags.resolveFailure - Resolve the contact's dead-letter entry on success
+   * @param {boolean} flags.awaitedEnrichment - Enrollment was waiting on an async enrichment
+   * @param {boolean} flags.isQueued - Taken from the pipeline queue
    */
-  async searchTriggeredContacts() {
+  async processRunContact(contact, tracker, { isRetry = false, resolveFailure = false, awaitedEnrichment = false, isQueued = false } = {}) {
+    const { results, dryRun } = tracker;
+    results.processed++;
+
+    try {
+      const result = await this.processContact(contact, { dryRun });
+      await this.queueWriteback(tracker, contact, result);
+      await this.recordRunItem(tracker, contact, { report: result.report, isRetry });
+      if (dryRun) {
+        if (isRetry) result.report.retry = true;
+        results.report.push(result.report);
+      } else {
+        if (resolveFailure) {
+          await pipelineFailureService.resolve(contact.id);
+        }
+        if (awaitedEnrichment && !result.enrichmentPending) {
+          await enrichmentService.clearDeferred(contact.id);
+        }
+        if (isQueued) tracker.dequeued.push(contact.id);
+      }
+
+      if (result.skipped) {
+        results.skipped++;
+      } else if (result.enrichmentPending) {
+        results.enrichmentPending++;
+      } else if (result.duplicate) {
+        results.duplicates++;
+        results.succeeded++;
+      } else {
+        results.succeeded++;
+      }
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        contactId: contact.id,
+        step: error.pipelineStep || 'unknown',
+        error: error.message
+      });
+      logger.error({ contactId: contact.id, step: error.pipelineStep, error: error.message }, 'Failed to process contact');
+      await this.queueWriteback(tracker, contact, { error: error.message });
+      await this.recordRunItem(tracker, contact, { error, isRetry });
+      if (dryRun) {
+        results.report.push({
+          contactId: contact.id,
+          outcome: 'failed',
+          step: error.pipelineStep || 'unknown',
+          reason: error.message
+        });
+      } else if (!(await pipelineFailureService.recordFailure(contact, error))) {
+        tracker.unqueuedFailures++;
+      } else if (isQueued) {
+        tracker.dequeued.push(contact.id);
+      }
+    }
+  }
+
+  /**
+   * Write out a run's remaining HubSpot updates and run items, and dequeue its queued contacts.
+   */
+  async flushRunTracker(tracker) {
+    await this.flushHubSpotWritebacks(tracker.hubspotUpdates.splice(0), tracker.results);
+    await pipelineRunService.recordItems(tracker.runItems.splice(0));
+    if (!tracker.dryRun) {
+      await pipelineQueueService.remove(tracker.dequeued.splice(0));
+    }
+  }
+
+  /**
+   * Time budget for a run in milliseconds, leaving room for contacts already in flight
+   * (enrichment polling alone can take 30s) to finish before the function deadline.
+   */
+  getTimeBudgetMs(override = null) {
+    if (Number(override) > 0) return Number(override);
+    const settings = routingConfig.processing || {};
+    const budgetSeconds = Number(settings.time_budget_seconds) || 240;
+    const reserveSeconds = Number(settings.contact_reserve_seconds) || 45;
+    return Math.max(budgetSeconds - reserveSeconds, 1) * 1000;
+  }
+
+  /**
+   * Search HubSpot for contacts with trigger field set.
+   * Pages through every result via paging.next.after. When `since` is given, only
+   * contacts with lastmodifieddate >= since (minus a small overlap for HubSpot's
+   * search index lag) are returned. Results are sorted by lastmodifieddate so the
+   * time window can be moved forward whenever the 10k search ceiling is reached.
+   *
+   * @param {Object} options
+   * @param {string|null} options.since - ISO timestamp high-water mark from the last successful run
+   * @returns {Promise<{contacts: Array, highWaterMark: string|null}>}
+   */
+  async searchTriggeredContacts({ since = null } = {}) {
     const { hubspot } = getClients();
 
+    const searchSettings = routingConfig.search || {};
+    const pageSize = Math.min(Number(searchSettings.page_size) || 100, 100);
+    const overlapMs = (Number(searchSettings.overlap_minutes) || 0) * 60 * 1000;
+
     const triggerField = routingConfig.trigger_field;
-    const triggerValue = routingConfig.trigger_value;
-    const aiContextProps = routingConfig.ai_context_fields
-      ? Object.values(routingConfig.ai_context_fields)
-      : [];
+    const properties = await this.getContactProperties();
+
+    // Search for both "true" and "Yes" values (HubSpot checkbox can return either)
+    const triggerValues = this.getTriggerValues();
+    const buildFilterGroups = (windowStartMs) => triggerValues.map(val => {
+      const filters = [{
+        propertyName: triggerField,
+        operator: 'EQ',
+        value: val
+      }];
+      if (windowStartMs !== null) {
+        filters.push({
+          propertyName: 'lastmodifieddate',
+          operator: 'GTE',
+          value: String(windowStartMs)
+        });
+      }
+      return { filters };
+    });
 
-    const properties = Array.from(new Set([
+    const sinceMs = since ? new Date(since).getTime() : NaN;
+    let windowStartMs = Number.isNaN(sinceMs) ? null : Math.max(0, sinceMs - overlapMs);
+    let after;
+    let maxModifiedMs = Number.isNaN(sinceMs) ? null : sinceMs;
+    let pages = 0;
+    const contactsById = new Map();
+
+    try {
+      while (true) {
+        const body = {
+          filterGroups: buildFilterGroups(windowStartMs),
+          properties,
+          sorts: [{ propertyName: 'lastmodifieddate', direction: 'ASCENDING' }],
+          limit: pageSize
+        };
+        if (after) body.after = after;
+
+        const response = await hubspot.client.post('/crm/v3/objects/contacts/search', body);
+        const pageResults = response.data?.results || [];
+        pages++;
+
+        for (const contact of pageResults) {
+          contactsById.set(contact.id, contact);
+          const modifiedMs = this.getLastModifiedMs(contact);
+          if (modifiedMs !== null && (maxModifiedMs === null || modifiedMs > maxModifiedMs)) {
+            maxModifiedMs = modifiedMs;
+          }
+        }
+
+        const nextAfter = response.data?.paging?.next?.after;
+        if (!nextAfter || pageResults.length === 0) {
+          break;
+        }
+
+        if (Number(nextAfter) + pageSize > SEARCH_RESULT_CEILING) {
+          // Restart the query from the newest timestamp seen so far.
+          const lastModifiedMs = this.getLastModifiedMs(pageResults[pageResults.length - 1]);
+          if (lastModifiedMs === null || (windowStartMs !== null && lastModifiedMs <= windowStartMs)) {
+            logger.warn({
+              windowStart: windowStartMs !== null ? new Date(windowStartMs).toISOString() : null,
+              fetched: contactsById.size
+            }, 'HubSpot search ceiling reached and time window cannot advance; remaining contacts deferred to next run');
+            break;
+          }
+
+          logger.info({
+            windowStart: new Date(lastModifiedMs).toISOString(),
+            fetched: contactsById.size
+          }, 'HubSpot search ceiling reached, moving time window forward');
+          windowStartMs = lastModifiedMs;
+          after = undefined;
+          continue;
+        }
+
+        after = nextAfter;
+      }
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to search HubSpot contacts');
+      throw error;
+    }
+
+    logger.debug({ pages, count: contactsById.size }, 'HubSpot triggered contact search complete');
+
+    return {
+      contacts: Array.from(contactsById.values()),
+      highWaterMark: maxModifiedMs !== null ? new Date(maxModifiedMs).toISOString() : null
+    };
+  }
+
+  /**
+   * HubSpot contact properties the pipeline reads (search, retries and routing rules).
+   */
+  async getContactProperties() {
+    const mappedProps = fieldMapping.getSourceProperties(routingConfig.field_mappings, 'contact');
+    const isContactProperty = (property) => !property.startsWith(COMPANY_PROPERTY_PREFIX);
+    const routingRuleProps = (await routingRulesService.getReferencedProperties()).filter(isContactProperty);
+    const writebackProps = Object.values(routingConfig.hubspot_writeback?.properties || {});
+    const exclusionProps = this.getExclusionProperties().filter(isContactProperty);
+    const personalization = leadPersonalizationService.getSettings();
+    const personalizationProps = personalization.enabled ? personalization.contactProperties : [];
+
+    return Array.from(new Set([
       'email',
       'firstname',
       'lastname',
@@ -146,260 +671,994 @@ class LeadPipelineService {
       'source__sfdc_contact_record',
       'salesforcecontactid',
       'salesforceleadid',
-      triggerField,
-      ...aiContextProps
+      'lastmodifieddate',
+      routingConfig.trigger_field,
+      ...mappedProps,
+      ...routingRuleProps,
+      ...writebackProps,
+      ...exclusionProps,
+      ...personalizationProps
+    ]));
+  }
+
+  /**
+   * Company properties referenced by routing and exclusion rules (company.<property>).
+   * @returns {Promise<string[]>} Property names without the prefix
+   */
+  async getRuleCompanyProperties() {
+    const ruleProps = [
+      ...await routingRulesService.getReferencedProperties(),
+      ...this.getExclusionProperties()
+    ];
+    return Array.from(new Set(ruleProps
+      .filter(property => property.startsWith(COMPANY_PROPERTY_PREFIX))
+      .map(property => property.slice(COMPANY_PROPERTY_PREFIX.length))));
+  }
+
+  /**
+   * Associated-company properties to fetch: routing.json associated_company.properties,
+   * plus any read by field mappings, routing/exclusion rules or AI personalization.
+   */
+  async getCompanyProperties() {
+    const personalization = leadPersonalizationService.getSettings();
+    return Array.from(new Set([
+      'name',
+      'hubspot_owner_id',
+      ...(routingConfig.associated_company?.properties || []),
+      ...fieldMapping.getSourceProperties(routingConfig.field_mappings, 'company'),
+      ...await this.getRuleCompanyProperties(),
+      ...(personalization.enabled ? personalization.companyProperties : [])
     ]));
+  }
+
+  getTriggerValues() {
+    const triggerValue = routingConfig.trigger_value;
+    return Array.isArray(triggerValue) ? triggerValue : [triggerValue];
+  }
+
+  /**
+   * Fetch fresh HubSpot data for dead-letter entries whose retry is due.
+   * Entries for contacts whose trigger was cleared are resolved without a retry;
+   * contacts deleted from HubSpot count as another failed attempt.
+   * @returns {Promise<Array>} Contacts to retry
+   */
+  async loadDueRetries({ dryRun = false } = {}) {
+    const dueFailures = await pipelineFailureService.getDueFailures();
+    if (dueFailures.length === 0) return [];
 
+    const { hubspot } = getClients();
+    let contacts;
     try {
-      // Search for both "true" and "Yes" values (HubSpot checkbox can return either)
-      const triggerValues = Array.isArray(triggerValue) ? triggerValue : [triggerValue];
-      const filterGroups = triggerValues.map(val => ({
-        filters: [{
-          propertyName: triggerField,
-          operator: 'EQ',
-          value: val
-        }]
-      }));
-
-      const response = await hubspot.client.post('/crm/v3/objects/contacts/search', {
-        filterGroups,
-        properties,
-        limit: 100
-      });
+      const properties = await this.getContactProperties();
+      contacts = await hubspot.batchReadContacts(dueFailures.map(f => f.contact_id), properties);
+    } catch (error) {
+      logger.warn({ count: dueFailures.length, error: error.message }, 'Failed to load contacts for pipeline retries; retrying next run');
+      return [];
+    }
 
-      return response.data?.results || [];
+    const contactsById = new Map(contacts.map(contact => [String(contact.id), contact]));
+    const triggerValues = this.getTriggerValues().map(v => String(v).toLowerCase());
+    const retries = [];
+
+    for (const failure of dueFailures) {
+      const contact = contactsById.get(String(failure.contact_id));
+      if (!contact) {
+        if (!dryRun) {
+          const error = new Error('Contact no longer exists in HubSpot');
+          error.pipelineStep = 'hubspot_lookup';
+          await pipelineFailureService.recordFailure({ id: failure.contact_id, properties: { email: failure.email } }, error);
+        }
+        continue;
+      }
+
+      const trigger = String(contact.properties?.[routingConfig.trigger_field] ?? '').toLowerCase();
+      if (!triggerValues.includes(trigger)) {
+        logger.info({ contactId: contact.id }, 'Trigger cleared since failure; resolving dead-letter entry');
+        if (!dryRun) {
+          await pipelineFailureService.resolve(contact.id);
+        }
+        continue;
+      }
+
+      retries.push(contact);
+    }
+
+    logger.info({ due: dueFailures.length, retrying: retries.length }, 'Loaded due pipeline retries');
+    return retries;
+  }
+
+  /**
+   * Load contacts whose enrollment waits on an async enrichment, so their result is
+   * polled (and the contact enrolled once ready) on this run. Contacts that are gone
+   * or no longer triggered are released.
+   */
+  async loadDeferredEnrichments({ dryRun = false } = {}) {
+    const contactIds = await enrichmentService.getDeferredContactIds();
+    if (contactIds.length === 0) return [];
+
+    const { hubspot } = getClients();
+    let contacts;
+    try {
+      const properties = await this.getContactProperties();
+      contacts = await hubspot.batchReadContacts(contactIds, properties);
     } catch (error) {
-      logger.error({ error: error.message }, 'Failed to search HubSpot contacts');
+      logger.warn({ count: contactIds.length, error: error.message }, 'Failed to load contacts awaiting enrichment; retrying next run');
+      return [];
+    }
+
+    const contactsById = new Map(contacts.map(contact => [String(contact.id), contact]));
+    const triggerValues = this.getTriggerValues().map(v => String(v).toLowerCase());
+    const waiting = [];
+
+    for (const contactId of contactIds) {
+      const contact = contactsById.get(contactId);
+      const trigger = String(contact?.properties?.[routingConfig.trigger_field] ?? '').toLowerCase();
+      if (!contact || !triggerValues.includes(trigger)) {
+        if (!dryRun) {
+          await enrichmentService.clearDeferred(contactId);
+        }
+        continue;
+      }
+      waiting.push(contact);
+    }
+
+    logger.info({ deferred: contactIds.length, loaded: waiting.length }, 'Loaded contacts awaiting enrichment');
+    return waiting;
+  }
+
+  /**
+   * Retry a single dead-letter entry immediately (manual retry from the API).
+   * Holds the run lease so it cannot race a pipeline run on the same contact;
+   * while a run holds it the retry is refused with a 409.
+   * @param {Object} failure - pipeline_failures row
+   * @returns {Promise<Object>} { success, report } or { success: false, step, error }
+   */
+  async retryFailure(failure) {
+    const leaseHolder = await this.acquireRunLease();
+    if (leaseHolder === false) {
+      const error = new Error('A lead pipeline run is in progress; retry once it finishes');
+      error.statusCode = 409;
       throw error;
     }
+
+    try {
+      return await this.retryFailureLeased(failure);
+    } finally {
+      if (leaseHolder) await this.releaseRunLease(leaseHolder);
+    }
+  }
+
+  async retryFailureLeased(failure) {
+    const { hubspot } = getClients();
+    const properties = await this.getContactProperties();
+    const [contact] = await hubspot.batchReadContacts([failure.contact_id], properties);
+
+    if (!contact) {
+      const error = new Error(`Contact ${failure.contact_id} no longer exists in HubSpot`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    let result;
+    try {
+      result = await this.processContact(contact);
+    } catch (error) {
+      logger.error({ contactId: contact.id, step: error.pipelineStep, error: error.message }, 'Manual retry failed');
+      await pipelineFailureService.recordFailure(contact, error);
+      const update = this.buildHubSpotWriteback(contact, { error: error.message });
+      await this.flushHubSpotWritebacks(update ? [update] : []);
+      return { success: false, step: error.pipelineStep || 'unknown', error: error.message };
+    }
+
+    await pipelineFailureService.resolve(contact.id, { statuses: ['pending', 'dead', 'discarded'] });
+    const update = this.buildHubSpotWriteback(contact, result);
+    await this.flushHubSpotWritebacks(update ? [update] : []);
+    return { success: true, report: result.report };
+  }
+
+  /**
+   * Load contacts queued by the HubSpot webhook with fresh HubSpot data. Only contacts
+   * whose trigger is still set are returned; the rest (and deleted contacts) leave the queue.
+   * @returns {Promise<Array>} Contacts to process
+   */
+  async loadQueuedContacts({ dryRun = false } = {}) {
+    const contactIds = await pipelineQueueService.getContactIds();
+    if (contactIds.length === 0) return [];
+
+    const { hubspot } = getClients();
+    let contacts;
+    try {
+      const properties = await this.getContactProperties();
+      contacts = await hubspot.batchReadContacts(contactIds, properties);
+    } catch (error) {
+      logger.warn({ count: contactIds.length, error: error.message }, 'Failed to load queued contacts; retrying next run');
+      return [];
+    }
+
+    const contactsById = new Map(contacts.map(contact => [String(contact.id), contact]));
+    const triggerValues = this.getTriggerValues().map(v => String(v).toLowerCase());
+    const queued = [];
+    const dropped = [];
+
+    for (const contactId of contactIds) {
+      const contact = contactsById.get(contactId);
+      const trigger = String(contact?.properties?.[routingConfig.trigger_field] ?? '').toLowerCase();
+      if (!contact || !triggerValues.includes(trigger)) {
+        dropped.push(contactId);
+        continue;
+      }
+      queued.push(contact);
+    }
+
+    if (!dryRun) {
+      await pipelineQueueService.remove(dropped);
+    }
+
+    logger.info({ queued: contactIds.length, loaded: queued.length }, 'Loaded queued contacts');
+    return queued;
+  }
+
+  /**
+   * Parse a contact's lastmodifieddate into epoch milliseconds.
+   */
+  getLastModifiedMs(contact) {
+    const raw = contact?.properties?.lastmodifieddate || contact?.updatedAt;
+    if (!raw) return null;
+    const ms = /^\d+$/.test(String(raw)) ? Number(raw) : new Date(raw).getTime();
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  /**
+   * Read the incremental search high-water mark for the lead pipeline.
+   * Returns null (full scan) when no checkpoint exists or the table is missing.
+   */
+  async getHighWaterMark() {
+    if (!this.checkpointTableAvailable) return null;
+    const { supabase } = getClients();
+
+    const { data, error } = await supabase
+      .from('pipeline_checkpoints')
+      .select('high_water_mark')
+      .eq('pipeline', CHECKPOINT_PIPELINE)
+      .limit(1);
+
+    if (error) {
+      if (error.message && error.message.includes('pipeline_checkpoints')) {
+        this.checkpointTableAvailable = false;
+        logger.warn('pipeline_checkpoints table not found; running full triggered contact search');
+      } else {
+        logger.warn({ error: error.message }, 'Failed to read pipeline checkpoint; running full search');
+      }
+      return null;
+    }
+
+    return data?.[0]?.high_water_mark || null;
+  }
+
+  /**
+   * Persist the incremental search high-water mark after a successful run.
+   */
+  async saveHighWaterMark(highWaterMark) {
+    if (!highWaterMark || !this.checkpointTableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('pipeline_checkpoints')
+      .upsert({
+        pipeline: CHECKPOINT_PIPELINE,
+        high_water_mark: highWaterMark
+      }, { onConflict: 'pipeline' });
+
+    if (error) {
+      logger.warn({ highWaterMark, error: error.message }, 'Failed to save pipeline checkpoint');
+    }
+  }
+
+  /**
+   * Take the pipeline run lease (on the pipeline_checkpoints row).
+   * @returns {Promise<string|null|false>} Lease holder ID; null when leases are unavailable
+   *   (the run goes ahead unguarded); false while another run holds the lease
+   */
+  async acquireRunLease() {
+    if (!this.leaseAvailable) return null;
+    const { supabase } = getClients();
+    const holder = crypto.randomUUID();
+
+    const { data: acquired, error } = await supabase.rpc('acquire_pipeline_lease', {
+      p_pipeline: CHECKPOINT_PIPELINE,
+      p_holder: holder,
+      p_ttl_seconds: RUN_LEASE_SECONDS
+    });
+
+    if (error) {
+      if (error.message && (error.message.includes('acquire_pipeline_lease') || error.message.includes('lease_'))) {
+        this.leaseAvailable = false;
+        logger.warn('acquire_pipeline_lease function not found; pipeline runs are not serialized');
+      } else {
+        logger.warn({ error: error.message }, 'Failed to acquire pipeline run lease; running unguarded');
+      }
+      return null;
+    }
+
+    return acquired ? holder : false;
+  }
+
+  async releaseRunLease(holder) {
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('pipeline_checkpoints')
+      .update({ lease_holder: null, lease_expires_at: null })
+      .eq('pipeline', CHECKPOINT_PIPELINE)
+      .eq('lease_holder', holder);
+
+    if (error) {
+      logger.warn({ error: error.message }, 'Failed to release pipeline run lease');
+    }
+  }
+
+  /**
+   * Process a single contact.
+   * Every return carries a `report` describing each decision taken (owner resolution,
+   * routing rule, campaign, Salesforce conversion, payload), used for dry-run output.
+   * An owner reserved from the assignment pool is released unless the contact is enrolled.
+   *
+   * @param {Object} contact - HubSpot contact search result
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Do all reads and decisions but skip every write
+   */
+  async processContact(contact, { dryRun = false } = {}) {
+    const reservation = { assignment: null };
+    try {
+      return await this.routeContact(contact, { dryRun }, reservation);
+    } finally {
+      if (reservation.assignment) {
+        await ownerAssignmentService.release(contact.id, reservation.assignment);
+      }
+    }
   }
 
   /**
-   * Process a single contact
+   * processContact body. A pool assignment is kept in `reservation.assignment`
+   * until it is confirmed at enrollment.
    */
-  async processContact(contact) {
+  async routeContact(contact, { dryRun = false }, reservation) {
     const { supabase, lemlist } = getClients();
 
     const contactId = contact.id;
-    const props = contact.properties || {};
-    const email = props.email;
+    let props = contact.properties || {};
+    let email = props.email;
     const sourceDetail = props.hs_object_source_detail_1
       ? String(props.hs_object_source_detail_1).trim()
       : '';
 
+    const report = {
+      contactId,
+      email: email || null,
+      outcome: null,
+      reason: null,
+      ownerResolution: null,
+      ownerName: null,
+      routingRule: null,
+      campaignId: null,
+      salesforce: null,
+      company: null,
+      dataQuality: null,
+      personalization: null,
+      payload: null
+    };
+    const skip = (reason) => {
+      report.outcome = 'skipped';
+      report.reason = reason;
+      return { skipped: true, reason, report };
+    };
+
     if (!email) {
       logger.warn({ contactId }, 'Contact missing email, skipping');
-      return { skipped: true };
+      return skip('missing_email');
+    }
+
+    // Offline data-quality stage: reject unusable contacts, continue with normalized values
+    const quality = validateContact(props, routingConfig.data_quality);
+    report.dataQuality = { status: quality.status, reason: quality.reason, fixes: quality.fixes, flags: quality.flags };
+    if (quality.status === 'rejected') {
+      logger.info({ contactId, email, reason: quality.reason }, 'Contact rejected by data-quality checks');
+      return skip(`invalid_contact:${quality.reason}`);
+    }
+    if (quality.status === 'fixed') {
+      props = { ...props, ...quality.properties };
+      email = props.email;
+      report.email = email;
+      logger.info({ contactId, email, fixes: quality.fixes }, 'Contact data normalized');
+    }
+
+    let associatedCompany = null;
+    let associatedCompanyLoaded = false;
+    const loadAssociatedCompany = async () => {
+      if (!associatedCompanyLoaded) {
+        associatedCompany = await this.getAssociatedCompanyData(contactId, await this.getCompanyProperties());
+        associatedCompanyLoaded = true;
+        report.company = associatedCompany
+          ? { id: associatedCompany.id, name: associatedCompany.name, primary: associatedCompany.primary }
+          : null;
+      }
+      return associatedCompany;
+    };
+
+    // Rules see contact properties plus company.<property> for the associated company,
+    // which is only fetched up front when a rule references it
+    let ruleRecord = props;
+    if ((await this.getRuleCompanyProperties()).length > 0) {
+      ruleRecord = { ...props, ...this.getCompanyRuleRecord(await loadAssociatedCompany()) };
     }
 
     // Check exclusion rules
-    if (this.shouldExclude(props)) {
-      logger.info({ contactId, email }, 'Contact excluded by rule');
-      return { skipped: true };
+    const exclusionReason = this.getExclusionReason(ruleRecord);
+    if (exclusionReason) {
+      logger.info({ contactId, email, exclusionReason }, 'Contact excluded by rule');
+      return skip(exclusionReason);
     }
 
+    // Evaluate ordered routing rules first; the owner -> campaign mapping is the fallback rule.
+    const matchedRule = await routingRulesService.match(ruleRecord);
+    const routingRule = matchedRule || OWNER_FALLBACK_RULE;
+    report.routingRule = { id: routingRule.id, name: routingRule.name, version: routingRule.version };
+
     // Resolve owner and campaign.
-    // Priority: contact owner -> associated account owner.
+    // Priority: routing rule owner -> contact owner -> associated account owner.
     const contactOwnerId = props.hubspot_owner_id
       ? String(props.hubspot_owner_id).trim()
       : null;
-    let ownerName = contactOwnerId ? routingConfig.owners[contactOwnerId] : null;
-    let ownerResolution = contactOwnerId ? 'contact_owner' : 'none';
-    let associatedCompany = null;
+    let ownerName = matchedRule?.owner
+      || (await ownerService.getByHubSpotOwnerId(contactOwnerId))?.name
+      || null;
+    let ownerResolution = matchedRule?.owner
+      ? 'routing_rule'
+      : (contactOwnerId ? 'contact_owner' : 'none');
 
     if (!ownerName) {
-      associatedCompany = await this.getAssociatedCompanyData(contactId);
+      await loadAssociatedCompany();
       const accountOwnerId = associatedCompany?.ownerId
         ? String(associatedCompany.ownerId).trim()
         : null;
-      if (accountOwnerId && routingConfig.owners[accountOwnerId]) {
-        ownerName = routingConfig.owners[accountOwnerId];
+      const accountOwner = await ownerService.getByHubSpotOwnerId(accountOwnerId);
+      if (accountOwner) {
+        ownerName = accountOwner.name;
         ownerResolution = 'account_owner';
       } else {
-        logger.warn({
-          contactId,
-          email,
-          contactOwnerId,
-          accountOwnerId,
-          associatedCompanyId: associatedCompany?.id || null
-        }, 'Unable to resolve owner from contact or account owner, skipping');
-        return { skipped: true };
+        // Last resort: pick a rep from the assignment pool (if configured)
+        const assignment = await runStep('owner_assignment', () => ownerAssignmentService.assign({ contactId, dryRun }));
+        if (!assignment) {
+          logger.warn({
+            contactId,
+            email,
+            contactOwnerId,
+            accountOwnerId,
+            associatedCompanyId: associatedCompany?.id || null
+          }, 'Unable to resolve owner from contact or account owner, skipping');
+          report.ownerResolution = 'none';
+          return skip('owner_unresolved');
+        }
+
+        ownerName = assignment.ownerName;
+        ownerResolution = `assignment_${assignment.strategy}`;
+        if (!assignment.existing && !dryRun) {
+          reservation.assignment = assignment;
+        }
       }
     }
 
+    report.ownerResolution = ownerResolution;
+    report.ownerName = ownerName || null;
+
     if (!ownerName) {
       logger.warn({ contactId, email, contactOwnerId }, 'Unknown owner ID, skipping');
-      return { skipped: true };
+      return skip('unknown_owner');
     }
 
-    const campaignId = this.getCampaignIdForOwner(ownerName);
+    const owner = await ownerService.getByName(ownerName);
+    let campaignId = matchedRule?.campaignId || this.getCampaignIdForOwner(ownerName, owner);
+    report.campaignId = campaignId || null;
 
     if (!campaignId || campaignId === 'PLACEHOLDER') {
-      logger.warn({ contactId, ownerName }, 'No campaign configured for owner, skipping');
-      return { skipped: true };
+      logger.warn({ contactId, ownerName, routingRule: routingRule.id }, 'No campaign configured for owner, skipping');
+      return skip('no_campaign_configured');
     }
 
     // Ensure Salesforce has a Contact for this person.
     // HubSpot often syncs these as Leads; Lemlist opportunity creation relies on Contact records.
-    const conversionResult = await this.ensureSalesforceContactForContact({
+    const conversionResult = await runStep('salesforce_conversion', () => this.ensureSalesforceContactForContact({
       contactId,
       email,
       firstName: props.firstname || '',
       lastName: props.lastname || '',
       salesforceContactId: props.salesforcecontactid || null,
-      salesforceLeadId: props.salesforceleadid || null
-    });
+      salesforceLeadId: props.salesforceleadid || null,
+      owner,
+      campaignId,
+      resolveCompanyName: async () => (await loadAssociatedCompany())?.name || props.company || null,
+      dryRun
+    }));
+    report.salesforce = conversionResult;
     logger.info({ contactId, email, conversionStatus: conversionResult.status }, 'Salesforce contact readiness check complete');
 
-    const sourceContextSummary = await this.getSourceContextSummary(sourceDetail);
+    const sourceContextSummary = await this.getSourceContextSummary(sourceDetail, { dryRun });
 
-    // Check if already processed in Supabase
+    // Check if already processed in Supabase; processed contacts are only
+    // re-enrolled when the recycling policy allows it.
     const { data: existing } = await supabase
       .from('processed_leads')
-      .select('id')
+      .select('*')
       .or(`contact_id.eq.${contactId},email.eq.${email}`)
+      .order('processed_at', { ascending: false })
       .limit(1);
 
+    let recycle = null;
     if (existing && existing.length > 0) {
-      logger.debug({ contactId, email }, 'Contact already processed, skipping');
-      return { skipped: true };
+      recycle = this.getRecycleDecision(existing[0], { sourceDetail });
+      if (!recycle) {
+        logger.debug({ contactId, email }, 'Contact already processed, skipping');
+        return skip('already_processed');
+      }
+
+      campaignId = this.getRecycleCampaignIdForOwner(ownerName) || campaignId;
+      report.campaignId = campaignId;
+      report.recycle = recycle;
+      logger.info({ contactId, email, ...recycle, campaignId }, 'Processed contact eligible for re-enrollment');
     }
 
     // Check if lead exists in Lemlist
-    const existingLead = await this.checkLeadExistsInLemlist(campaignId, email);
+    const existingLead = await runStep('lemlist_add', () => this.checkLeadExistsInLemlist(campaignId, email));
+
+    // A recycled lead still in its campaign is removed and re-added below, restarting the sequence
+    const readdLead = !!(existingLead && recycle);
+    if (readdLead) {
+      logger.info({ contactId, email, campaignId }, 'Recycled lead still in Lemlist campaign, re-adding it');
+      report.readdLead = true;
+    } else if (existingLead) {
+      logger.info({ contactId, email, dryRun }, 'Lead already exists in Lemlist, marking as processed');
+      if (!dryRun) {
+        await runStep('supabase_write', () => this.markProcessed(
+          contactId,
+          email,
+          ownerName,
+          campaignId,
+          props.lead_source,
+          sourceDetail,
+          sourceContextSummary,
+          routingRule
+        ));
+      }
+      report.outcome = 'duplicate';
+      report.reason = 'already_in_lemlist_campaign';
+      return { duplicate: true, reason: report.reason, report };
+    }
 
-    if (existingLead) {
-      logger.info({ contactId, email }, 'Lead already exists in Lemlist, marking as processed');
-      await this.markProcessed(
-        contactId,
-        email,
-        ownerName,
-        campaignId,
-        props.lead_source,
-        sourceDetail,
-        sourceContextSummary
-      );
-      return { duplicate: true };
+    // Cross-campaign dedupe: apply each conflicting campaign's policy (skip, move or allow)
+    const conflicts = await runStep('lemlist_add', () => campaignMembershipService.findConflicts(email, campaignId));
+    if (conflicts.length > 0) {
+      report.crossCampaign = conflicts;
+      const blocking = conflicts.find(c => c.policy === 'skip');
+      if (blocking) {
+        logger.info({ contactId, email, campaignId, conflictCampaignId: blocking.campaignId }, 'Lead already in another Lemlist campaign, not enrolling');
+        report.outcome = 'duplicate';
+        report.reason = `already_in_campaign:${blocking.campaignId}`;
+        return { duplicate: true, reason: report.reason, report };
+      }
     }
+    const moveFrom = conflicts.filter(c => c.policy === 'move');
 
-    // Build lead payload
-    let leadPayload = {
+    // Build lead payload from routing.json field_mappings
+    const sourceCategory = await sourceTaxonomyService.categorize(sourceDetail, props.lead_source);
+    const mappingContext = {
       email,
-      firstName: props.firstname || '',
-      lastName: props.lastname || '',
-      companyName: props.company || ''
+      owner: ownerName,
+      ownerDisplayName: owner?.display_name || null,
+      ownerCalendarLink: owner?.calendar_link || null,
+      campaignId,
+      sourceDetail,
+      sourceContextSummary,
+      sourceCategory: sourceCategory.sfdcValue,
+      emailDomainCompany: this.deriveCompanyFromEmail(email)
     };
+    const mappingResolvers = {
+      contact: (property) => props[property],
+      company: async (property) => (await loadAssociatedCompany())?.properties?.[property],
+      supabase: (spec) => this.lookupMappedValue(spec, mappingContext),
+      context: (key) => mappingContext[key]
+    };
+    const fieldMappings = routingConfig.field_mappings || {};
+    let leadPayload = await runStep('field_mapping', () => fieldMapping.buildPayload(fieldMappings, mappingResolvers));
+    leadPayload.email = leadPayload.email || email;
+
+    // Enrich the lead before adding to campaign; repeats are served from the enrichment cache.
+    // Dry runs skip the enrichment request itself since it spends Lemlist credits.
+    if (dryRun) {
+      report.enrichment = await enrichmentService.peek(email);
+    } else {
+      logger.info({ contactId, email }, 'Enriching lead data');
+      try {
+        const enrichment = await enrichmentService.enrich(leadPayload, { contactId });
+        report.enrichment = enrichment.status;
+
+        // Async mode: enroll on a later run once the result is ready
+        if (enrichment.status === 'pending') {
+          logger.info({ contactId, email }, 'Enrichment pending, deferring enrollment');
+          report.outcome = 'enrichment_pending';
+          report.reason = 'enrichment_pending';
+          return { enrichmentPending: true, reason: report.reason, report };
+        }
 
-    // If HubSpot contact is missing company, try to fetch from associated company
-    if (!leadPayload.companyName) {
-      if (!associatedCompany) {
-        associatedCompany = await this.getAssociatedCompanyData(contactId);
-      }
-      if (associatedCompany?.name) {
-        leadPayload.companyName = associatedCompany.name;
-        logger.info({ contactId, email, companyName: associatedCompany.name }, 'Got company from HubSpot association');
+        leadPayload = enrichment.leadData;
+        if (leadPayload.enriched) {
+          logger.info({ contactId, email, enriched: true, cached: enrichment.status === 'cached' }, 'Lead enrichment completed');
+        }
+      } catch (enrichError) {
+        // Log but don't fail - continue with original data
+        logger.warn({ contactId, email, error: enrichError.message }, 'Lead enrichment failed, continuing with original data');
       }
     }
 
-    // Enrich the lead before adding to campaign
-    logger.info({ contactId, email }, 'Enriching lead data');
-    try {
-      leadPayload = await lemlist.enrichLead(leadPayload, {
-        maxWaitMs: 30000,
-        pollIntervalMs: 2000
-      });
-
-      if (leadPayload.enriched) {
-        logger.info({ contactId, email, enriched: true }, 'Lead enrichment completed');
-      }
-    } catch (enrichError) {
-      // Log but don't fail - continue with original data
-      logger.warn({ contactId, email, error: enrichError.message }, 'Lead enrichment failed, continuing with original data');
+    // Variables still empty after enrichment fall back (e.g. company name from the email domain)
+    const filled = await runStep('field_mapping', () => fieldMapping.applyEnrichmentFallbacks(leadPayload, fieldMappings, mappingResolvers));
+    if (filled.length > 0) {
+      logger.info({ contactId, email, filled }, 'Filled mapped fields from enrichment fallbacks');
     }
 
-    // If companyName is still empty after enrichment, derive from email domain
-    if (!leadPayload.companyName) {
-      leadPayload.companyName = this.deriveCompanyFromEmail(email);
-      logger.warn({ contactId, email, companyName: leadPayload.companyName }, 'Company missing after enrichment, using email domain fallback');
+    const missingFields = fieldMapping.getMissingRequired(leadPayload, fieldMappings);
+    if (missingFields.length > 0) {
+      logger.warn({ contactId, email, missingFields }, 'Required Lemlist fields missing, skipping');
+      report.payload = leadPayload;
+      return skip(`missing_required_field:${missingFields.join(',')}`);
     }
 
-    // Add Salesforce source field (maps to Source__c in SF via Lemlist field mapping)
-    // Priority: source__sfdc_contact_record → normalized source_detail → "Other"
-    leadPayload.sfdcSource = props.source__sfdc_contact_record
-      ? String(props.source__sfdc_contact_record)
-      : this.normalizeSourceDetail(sourceDetail);
-
-    // Add AI context fields - always send all fields, use empty string if no data
-    for (const [lemlistVar, hubspotProp] of Object.entries(routingConfig.ai_context_fields || {})) {
-      if (hubspotProp === 'hs_object_source_detail_1') {
-        leadPayload[lemlistVar] = sourceContextSummary || sourceDetail || '';
+    // Optional AI opening line and pain hypothesis, sent as extra Lemlist variables.
+    // Dry runs skip generation since it calls the model.
+    if (leadPersonalizationService.getSettings().enabled) {
+      if (dryRun) {
+        report.personalization = 'would_generate';
       } else {
-        leadPayload[lemlistVar] = props[hubspotProp] ? String(props[hubspotProp]) : '';
+        const personalization = await leadPersonalizationService.generate({
+          contactId,
+          email,
+          campaignId,
+          ownerName,
+          props,
+          company: await loadAssociatedCompany(),
+          sourceContext: sourceContextSummary
+        });
+        report.personalization = personalization.status;
+        Object.assign(leadPayload, personalization.variables);
       }
     }
 
-    // Backward compatibility safety: keep leadSource populated even if routing config changes.
-    if (!Object.prototype.hasOwnProperty.call(leadPayload, 'leadSource') && (sourceContextSummary || sourceDetail)) {
-      leadPayload.leadSource = sourceContextSummary || sourceDetail;
+    report.payload = leadPayload;
+
+    if (recycle) {
+      report.reason = `recycled:${recycle.reason}`;
     }
 
-    // Add owner name for AI personalization
-    const ownerNameMap = {
-      'alec': 'Alec McCullough',
-      'janae': 'Janae Gilliam',
-      'kate': 'Kate Norton'
-    };
-    leadPayload.Owner = ownerNameMap[ownerName] || ownerName;
+    if (dryRun) {
+      report.outcome = 'would_enroll';
+      logger.info({ contactId, email, campaignId, ownerResolution, routingRule: routingRule.id }, 'Dry run: lead would be added to Lemlist campaign');
+      return { success: true, report };
+    }
 
-    // Fetch seller's Lemcal calendar link from Supabase
-    const calendarLink = await this.getCalendarLink(ownerName);
-    if (calendarLink) {
-      leadPayload.lemcal_calendar_link = calendarLink;
-    } else {
-      logger.warn({ ownerName }, 'No calendar link found for owner');
+    // Stop the lead's other sequences before enrolling it here ("move" policy)
+    if (moveFrom.length > 0) {
+      await runStep('lemlist_add', () => campaignMembershipService.moveOut(email, moveFrom));
+    }
+
+    if (readdLead) {
+      await runStep('lemlist_add', () => lemlist.removeLeadFromCampaign(campaignId, email));
     }
 
     // Add lead to Lemlist campaign
-    await lemlist.addLeadToCampaign(campaignId, leadPayload);
+    await runStep('lemlist_add', () => lemlist.addLeadToCampaign(campaignId, leadPayload));
+    await campaignMembershipService.recordMembership(campaignId, email);
 
-    // Mark as processed in Supabase (this prevents re-processing since we can't clear HubSpot trigger)
-    await this.markProcessed(
+    // Mark as processed in Supabase (dedupe safety net; the HubSpot trigger is reset after the run)
+    await runStep('supabase_write', () => this.markProcessed(
       contactId,
       email,
       ownerName,
       campaignId,
       props.lead_source,
       sourceDetail,
-      sourceContextSummary
-    );
+      sourceContextSummary,
+      routingRule,
+      { recycle }
+    ));
+    await this.recordEnrollment({
+      contactId,
+      email,
+      ownerName,
+      campaignId,
+      sourceDetail,
+      routingRule,
+      recycle
+    });
 
-    logger.info({ contactId, email, campaignId, ownerResolution }, 'Lead added to Lemlist campaign');
+    // The pool owner counts (and is written back to HubSpot) only once the lead is enrolled
+    if (reservation.assignment) {
+      const writtenBack = await this.writeBackOwner(contactId, reservation.assignment);
+      await ownerAssignmentService.confirm(contactId, reservation.assignment, { writtenBack });
+      reservation.assignment = null;
+    }
 
-    return { success: true };
+    logger.info({
+      contactId,
+      email,
+      campaignId,
+      ownerResolution,
+      routingRule: routingRule.id,
+      routingRuleVersion: routingRule.version,
+      recycled: !!recycle
+    }, 'Lead added to Lemlist campaign');
+
+    report.outcome = 'enrolled';
+    return { success: true, report };
+  }
+
+  /**
+   * Build the HubSpot property update that records a contact's pipeline outcome.
+   * Enrolled and duplicate contacts get their trigger field reset; skipped contacts
+   * keep it (unless reset_trigger_on_skip) so they are retried once the cause is fixed.
+   * Contacts waiting on an async enrichment are left untouched until they are enrolled.
+   *
+   * Properties that already hold the target value are left out, so re-seen skipped
+   * contacts are not rewritten (and their lastmodifieddate not bumped) on every run.
+   *
+   * @param {Object} contact - HubSpot contact search result
+   * @param {Object} result - processContact result, or { error } when processing threw
+   * @returns {Object|null} Batch update input { id, properties }, or null if nothing to write
+   */
+  buildHubSpotWriteback(contact, result) {
+    const settings = routingConfig.hubspot_writeback || {};
+    if (!settings.enabled || !contact?.id || !result || result.enrichmentPending) return null;
+
+    const propertyMap = settings.properties || {};
+    const properties = {};
+    const setProperty = (key, value) => {
+      // Properties missing in HubSpot would make the whole batch update fail
+      if (propertyMap[key] && !this.missingWritebackProperties.has(propertyMap[key])) {
+        properties[propertyMap[key]] = value === null || value === undefined ? '' : String(value).slice(0, 255);
+      }
+    };
+
+    let resetTrigger = false;
+    if (result.error) {
+      setProperty('status', 'failed');
+      setProperty('skip_reason', result.error);
+    } else if (result.skipped) {
+      setProperty('status', 'skipped');
+      setProperty('skip_reason', result.reason);
+      resetTrigger = settings.reset_trigger_on_skip === true || result.reason === 'already_processed';
+    } else if (result.duplicate) {
+      setProperty('status', 'already_enrolled');
+      setProperty('campaign_id', result.report?.campaignId);
+      setProperty('skip_reason', '');
+      resetTrigger = true;
+    } else {
+      setProperty('status', 'enrolled');
+      setProperty('campaign_id', result.report?.campaignId);
+      setProperty('enrolled_at', new Date().toISOString());
+      setProperty('skip_reason', '');
+      resetTrigger = true;
+    }
+
+    if (resetTrigger && settings.reset_trigger !== false && routingConfig.trigger_field) {
+      properties[routingConfig.trigger_field] = settings.trigger_reset_value ?? '';
+    }
+
+    const current = contact.properties || {};
+    for (const [name, value] of Object.entries(properties)) {
+      if ((current[name] ?? '') === value) {
+        delete properties[name];
+      }
+    }
+
+    return Object.keys(properties).length > 0
+      ? { id: String(contact.id), properties }
+      : null;
+  }
+
+  /**
+   * Check once per run that the configured writeback properties exist in HubSpot.
+   * Missing ones are left out of every update (the trigger reset still goes through)
+   * and reported in results.hubspotWritebackError.
+   * @param {Object} results - Run results
+   * @returns {Promise<string[]>} Missing property names
+   */
+  async checkWritebackProperties(results) {
+    const settings = routingConfig.hubspot_writeback || {};
+    this.missingWritebackProperties = new Set();
+    if (!settings.enabled) return [];
+
+    const { hubspot } = getClients();
+    const names = [...new Set(Object.values(settings.properties || {}).filter(Boolean))];
+    for (const name of names) {
+      try {
+        await hubspot.client.get(`/crm/v3/properties/contacts/${encodeURIComponent(name)}`);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          this.missingWritebackProperties.add(name);
+        } else {
+          logger.warn({ property: name, error: error.message }, 'Could not check HubSpot writeback property');
+        }
+      }
+    }
+
+    const missing = Array.from(this.missingWritebackProperties);
+    if (missing.length > 0) {
+      results.hubspotWritebackError = `HubSpot contact properties missing: ${missing.join(', ')}. `
+        + 'Create them in HubSpot or update routing.json hubspot_writeback.properties.';
+      logger.error({ missing }, 'HubSpot writeback properties do not exist; writing outcomes without them');
+    }
+    return missing;
+  }
+
+  /**
+   * Send queued outcome updates to HubSpot. Failures are logged and counted in
+   * results (hubspotWritebackFailed, hubspotWritebackError), never thrown:
+   * processed_leads still prevents duplicate enrollment.
+   * @param {Array} updates - Batch update inputs
+   * @param {Object} results - Run results to count into (optional)
+   * @returns {Promise<number>} Number of contacts updated
+   */
+  async flushHubSpotWritebacks(updates, results = null) {
+    if (!updates || updates.length === 0) return 0;
+    const { hubspot } = getClients();
+
+    try {
+      await hubspot.batchUpdateContacts(updates);
+      logger.info({ count: updates.length }, 'Wrote pipeline outcomes back to HubSpot');
+      if (results) results.hubspotUpdated = (results.hubspotUpdated || 0) + updates.length;
+      return updates.length;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      logger.error({ count: updates.length, error: message }, 'Failed to write pipeline outcomes back to HubSpot');
+      if (results) {
+        results.hubspotWritebackFailed = (results.hubspotWritebackFailed || 0) + updates.length;
+        results.hubspotWritebackError = results.hubspotWritebackError || message;
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * Write a pool-assigned owner back to the HubSpot contact when enabled.
+   * @returns {Promise<boolean>} True if hubspot_owner_id was updated
+   */
+  async writeBackOwner(contactId, assignment) {
+    if (!assignment.writeBackOwner) return false;
+
+    if (!assignment.hubspotOwnerId) {
+      logger.warn({ contactId, ownerName: assignment.ownerName }, 'No HubSpot owner ID mapped for assigned owner; skipping write-back');
+      return false;
+    }
+
+    const { hubspot } = getClients();
+    try {
+      await hubspot.client.patch(`/crm/v3/objects/contacts/${contactId}`, {
+        properties: { hubspot_owner_id: assignment.hubspotOwnerId }
+      });
+      logger.info({ contactId, ownerName: assignment.ownerName }, 'Wrote assigned owner back to HubSpot');
+      return true;
+    } catch (error) {
+      // Enrollment still proceeds with the assigned owner
+      logger.warn({ contactId, error: error.response?.data?.message || error.message }, 'Failed to write assigned owner back to HubSpot');
+      return false;
+    }
   }
 
   /**
    * Check if contact should be excluded
    */
   shouldExclude(props) {
+    return this.getExclusionReason(props) !== null;
+  }
+
+  /**
+   * Get the exclusion rule a contact matches.
+   * @returns {string|null} Skip reason, or null if the contact is not excluded
+   */
+  getExclusionReason(props) {
     const rules = routingConfig.exclusion_rules || {};
 
     // Check lifecycle stage
     if (rules.exclude_lifecycle_stages?.length > 0) {
       const lifecycle = props.lifecyclestage?.toLowerCase();
       if (lifecycle && rules.exclude_lifecycle_stages.includes(lifecycle)) {
-        return true;
+        return `excluded_lifecycle_stage:${lifecycle}`;
       }
     }
 
     // Check email opt-out
     if (rules.exclude_if_email_optout) {
       if (props.hs_email_optout === 'true' || props.hs_email_optout === true) {
-        return true;
+        return 'excluded_email_optout';
+      }
+    }
+
+    // Email domain blocklist: "acme.com" also matches subdomains, ".edu" matches a suffix
+    if (rules.blocked_email_domains?.length > 0 && props.email) {
+      const domain = String(props.email).split('@')[1]?.trim().toLowerCase();
+      const blocked = domain && rules.blocked_email_domains
+        .map(entry => String(entry).trim().toLowerCase())
+        .find(entry => entry && (entry.startsWith('.')
+          ? domain.endsWith(entry)
+          : domain === entry || domain.endsWith(`.${entry}`)));
+      if (blocked) {
+        return `excluded_email_domain:${blocked}`;
+      }
+    }
+
+    // Company blocklist (competitors, agencies), ignoring case and punctuation
+    if (rules.blocked_companies?.length > 0 && !isEmpty(props.company)) {
+      const normalizeCompany = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+      const company = normalizeCompany(props.company);
+      const blocked = rules.blocked_companies.find(entry => normalizeCompany(entry) === company);
+      if (blocked) {
+        return `excluded_company:${blocked}`;
+      }
+    }
+
+    // Job title regexes (case-insensitive)
+    if (rules.job_title_patterns?.length > 0 && !isEmpty(props.jobtitle)) {
+      const pattern = rules.job_title_patterns.find(entry => {
+        try {
+          return new RegExp(entry, 'i').test(String(props.jobtitle));
+        } catch {
+          logger.warn({ pattern: entry }, 'Invalid job title exclusion pattern');
+          return false;
+        }
+      });
+      if (pattern) {
+        return `excluded_job_title:${pattern}`;
+      }
+    }
+
+    // Country allow/deny lists
+    const countries = rules.countries || {};
+    if (countries.allow?.length > 0 || countries.deny?.length > 0 || countries.exclude_unknown) {
+      const country = isEmpty(props.country) ? null : String(props.country).trim().toLowerCase();
+      const inList = (list) => (list || []).some(entry => String(entry).trim().toLowerCase() === country);
+      if (!country) {
+        if (countries.exclude_unknown) return 'excluded_country:unknown';
+      } else if (inList(countries.deny) || (countries.allow?.length > 0 && !inList(countries.allow))) {
+        return `excluded_country:${country}`;
       }
     }
 
-    return false;
+    // Arbitrary property predicates: [{ name, conditions, match }]
+    for (const rule of rules.property_rules || []) {
+      const conditions = Array.isArray(rule?.conditions) ? rule.conditions : [];
+      if (conditions.length > 0 && evaluateConditions(conditions, props, rule.match === 'any' ? 'any' : 'all')) {
+        return `excluded_rule:${rule.name || 'unnamed'}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * HubSpot properties referenced by exclusion rules (beyond the pipeline defaults).
+   */
+  getExclusionProperties() {
+    const rules = routingConfig.exclusion_rules || {};
+    const properties = new Set();
+    if (rules.job_title_patterns?.length > 0) properties.add('jobtitle');
+    const countries = rules.countries || {};
+    if (countries.allow?.length > 0 || countries.deny?.length > 0 || countries.exclude_unknown) {
+      properties.add('country');
+    }
+    for (const rule of rules.property_rules || []) {
+      for (const condition of (Array.isArray(rule?.conditions) ? rule.conditions : [])) {
+        if (condition?.property) properties.add(condition.property);
+      }
+    }
+    return Array.from(properties);
   }
 
   /**
@@ -429,8 +1688,9 @@ class LeadPipelineService {
 
   /**
    * Mark contact as processed in Supabase
+   * A recycled enrollment moves the row back to in_sequence and bumps enrollment_count.
    */
-  async markProcessed(contactId, email, owner, campaignId, leadSource, sourceDetail, sourceContextSummary = null) {
+  async markProcessed(contactId, email, owner, campaignId, leadSource, sourceDetail, sourceContextSummary = null, routingRule = null, { recycle = null } = {}) {
     const { supabase } = getClients();
 
     const payload = {
@@ -441,8 +1701,15 @@ class LeadPipelineService {
       lead_source: leadSource || 'trigger',
       source_detail: sourceDetail || null,
       source_context_summary: sourceContextSummary || null,
+      routing_rule_id: routingRule?.id || null,
+      routing_rule_name: routingRule?.name || null,
+      routing_rule_version: routingRule?.version ?? null,
       processed_at: new Date().toISOString()
     };
+    if (recycle) {
+      payload.status = 'in_sequence';
+      payload.enrollment_count = recycle.enrollmentNumber;
+    }
 
     const { error } = await supabase
       .from('processed_leads')
@@ -452,12 +1719,19 @@ class LeadPipelineService {
       return;
     }
 
-    // Backward-compatible fallback for environments where the new migration
-    // has not been applied yet.
-    if (error.message && error.message.includes('source_context_summary')) {
-      logger.warn({ error: error.message }, 'processed_leads.source_context_summary column missing; retrying without context snapshot');
+    // Backward-compatible fallback for environments where the new migrations
+    // have not been applied yet.
+    const optionalColumns = [
+      'source_context_summary',
+      'routing_rule_id',
+      'routing_rule_name',
+      'routing_rule_version',
+      'enrollment_count'
+    ];
+    if (error.message && optionalColumns.some(column => error.message.includes(column))) {
+      logger.warn({ error: error.message }, 'processed_leads optional columns missing; retrying with legacy payload');
       const legacyPayload = { ...payload };
-      delete legacyPayload.source_context_summary;
+      optionalColumns.forEach(column => delete legacyPayload[column]);
 
       const { error: legacyError } = await supabase
         .from('processed_leads')
@@ -472,9 +1746,103 @@ class LeadPipelineService {
     throw error;
   }
 
+  /**
+   * Decide whether an already-processed contact may be re-enrolled.
+   * Config (routing.json → recycling): enabled, after_days, statuses, on_source_change,
+   * source_change_statuses, max_enrollments, campaign_id, campaigns.
+   *
+   * @param {Object} processedLead - Latest processed_leads row for the contact
+   * @param {Object} options
+   * @param {string} options.sourceDetail - Current hs_object_source_detail_1
+   * @returns {Object|null} { reason, previousStatus, previousEnrolledAt, enrollmentNumber } or null
+   */
+  getRecycleDecision(processedLead, { sourceDetail = '' } = {}) {
+    const settings = routingConfig.recycling || {};
+    if (!settings.enabled || !processedLead) return null;
+
+    const status = processedLead.status || 'in_sequence';
+    const enrollmentCount = Number(processedLead.enrollment_count) || 1;
+    const maxEnrollments = Number(settings.max_enrollments) || 0;
+    if (status === 'meeting_booked' || (maxEnrollments > 0 && enrollmentCount >= maxEnrollments)) {
+      return null;
+    }
+
+    const decision = (reason) => ({
+      reason,
+      previousStatus: status,
+      previousEnrolledAt: processedLead.processed_at || null,
+      enrollmentNumber: enrollmentCount + 1
+    });
+
+    const enrolledAtMs = processedLead.processed_at ? new Date(processedLead.processed_at).getTime() : NaN;
+    const daysSince = Number.isNaN(enrolledAtMs) ? 0 : (Date.now() - enrolledAtMs) / (24 * 60 * 60 * 1000);
+    const afterDays = Number(settings.after_days) || 0;
+    const statuses = settings.statuses || ['sequence_finished'];
+    if (afterDays > 0 && statuses.includes(status) && daysSince >= afterDays) {
+      return decision(`${status}_after_days`);
+    }
+
+    const sourceChangeStatuses = settings.source_change_statuses || ['sequence_finished'];
+    const previousSource = String(processedLead.source_detail || '').trim().toLowerCase();
+    const currentSource = String(sourceDetail || '').trim().toLowerCase();
+    if (settings.on_source_change && currentSource && currentSource !== previousSource
+      && sourceChangeStatuses.includes(status)) {
+      return decision('source_changed');
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the campaign for recycled enrollments.
+   * Priority: LEMLIST_RECYCLE_CAMPAIGN_<OWNER> env → recycling.campaigns[owner] → recycling.campaign_id.
+   * Returns null to reuse the normally routed campaign.
+   */
+  getRecycleCampaignIdForOwner(ownerName) {
+    const settings = routingConfig.recycling || {};
+    const envKey = `LEMLIST_RECYCLE_CAMPAIGN_${String(ownerName).toUpperCase()}`;
+    const envCampaignId = process.env[envKey];
+    if (envCampaignId && envCampaignId.trim()) {
+      return envCampaignId.trim();
+    }
+    return settings.campaigns?.[ownerName] || settings.campaign_id || null;
+  }
+
+  /**
+   * Append an enrollment to lead_enrollments (history of every enrollment per contact).
+   */
+  async recordEnrollment({ contactId, email, ownerName, campaignId, sourceDetail, routingRule = null, recycle = null }) {
+    if (!this.enrollmentTableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('lead_enrollments')
+      .insert({
+        contact_id: String(contactId),
+        email,
+        owner: ownerName,
+        campaign_id: campaignId,
+        source_detail: sourceDetail || null,
+        enrollment_type: recycle ? 'recycle' : 'initial',
+        recycle_reason: recycle?.reason || null,
+        previous_status: recycle?.previousStatus || null,
+        routing_rule_id: routingRule?.id || null
+      });
+
+    if (error) {
+      if (error.message && error.message.includes('lead_enrollments')) {
+        this.enrollmentTableAvailable = false;
+        logger.warn('lead_enrollments table not found; enrollment history will not be recorded');
+      } else {
+        logger.warn({ contactId, error: error.message }, 'Failed to record enrollment history');
+      }
+    }
+  }
+
   /**
    * Ensure an email maps to a Salesforce Contact.
-   * If only a Salesforce Lead exists, convert it before continuing.
+   * If only a Salesforce Lead exists, convert it before continuing
+   * (account matching, status, owner and Opportunity per routing.json salesforce_conversion).
    */
   async ensureSalesforceContactForContact({
     contactId,
@@ -482,7 +1850,11 @@ class LeadPipelineService {
     firstName,
     lastName,
     salesforceContactId = null,
-    salesforceLeadId = null
+    salesforceLeadId = null,
+    owner = null,
+    campaignId = null,
+    resolveCompanyName = async () => null,
+    dryRun = false
   }) {
     const { salesforce } = getClients();
     const normalizedEmail = String(email || '').toLowerCase().trim();
@@ -533,7 +1905,27 @@ class LeadPipelineService {
       };
     }
 
-    const converted = await salesforce.convertLeadToContact(lead.Id);
+    const conversionContext = {
+      hubspotContactId: contactId,
+      email: normalizedEmail,
+      companyName: await resolveCompanyName(),
+      owner,
+      campaignId
+    };
+
+    if (dryRun) {
+      const plan = await salesforceConversionService.plan(conversionContext);
+      return {
+        status: 'would_convert_lead',
+        leadId: lead.Id,
+        accountId: plan.accountId,
+        accountDecision: plan.accountDecision,
+        ownerId: plan.ownerId,
+        createOpportunity: plan.createOpportunity
+      };
+    }
+
+    const converted = await salesforceConversionService.convert(lead.Id, conversionContext);
 
     logger.info({
       contactId,
@@ -541,13 +1933,17 @@ class LeadPipelineService {
       firstName,
       lastName,
       leadId: lead.Id,
-      contactIdFromConversion: converted.contactId
+      contactIdFromConversion: converted.contactId,
+      accountDecision: converted.accountDecision
     }, 'Converted Salesforce Lead to Contact for Lemlist-ready workflow');
 
     return {
       status: 'lead_converted',
       leadId: converted.leadId,
-      contactId: converted.contactId
+      contactId: converted.contactId,
+      accountId: converted.accountId || null,
+      accountDecision: converted.accountDecision,
+      opportunityId: converted.opportunityId || null
     };
   }
 
@@ -561,23 +1957,24 @@ class LeadPipelineService {
   }
 
   /**
-   * Resolve campaign ID for owner.
-   * Supports per-owner env overrides without changing routing.json.
+   * Resolve campaign ID for owner: the owner's default campaign from the owners table.
+   * Supports per-owner env overrides without changing the directory.
    */
-  getCampaignIdForOwner(ownerName) {
+  getCampaignIdForOwner(ownerName, owner = null) {
     const envKey = `LEMLIST_CAMPAIGN_${String(ownerName).toUpperCase()}`;
     const envCampaignId = process.env[envKey];
     if (envCampaignId && envCampaignId.trim()) {
       return envCampaignId.trim();
     }
-    return routingConfig.campaigns[ownerName];
+    return owner?.default_campaign_id || null;
   }
 
   /**
    * Get rich context summary for a HubSpot source detail value.
-   * If mapping does not exist yet, create scaffold 1:1 mapping and use raw value.
+   * If mapping does not exist yet, create scaffold 1:1 mapping and use raw value;
+   * the draft-source-contexts cron drafts an AI summary for review (see sourceContextService).
    */
-  async getSourceContextSummary(sourceDetail) {
+  async getSourceContextSummary(sourceDetail, { dryRun = false } = {}) {
     const sourceValue = sourceDetail ? String(sourceDetail).trim() : '';
     if (!sourceValue) return '';
     const sourceKey = sourceValue.toLowerCase();
@@ -629,6 +2026,11 @@ class LeadPipelineService {
       return curatedSummary;
     }
 
+    // Dry runs never scaffold new mapping rows.
+    if (dryRun) {
+      return sourceValue;
+    }
+
     // No table mapping and no curated entry: keep legacy behavior.
     if (!this.sourceContextTableAvailable) {
       this.sourceContextCache.set(sourceKey, sourceValue);
@@ -650,6 +2052,7 @@ class LeadPipelineService {
         logger.warn({ sourceValue, error: upsertError.message }, 'Failed to scaffold source context mapping');
       }
 
+      // The raw value is used until someone approves the drafted summary
       this.sourceContextCache.set(sourceKey, summary);
       return summary;
     } catch (error) {
@@ -660,32 +2063,45 @@ class LeadPipelineService {
   }
 
   /**
-   * Fetch associated company data from HubSpot for a contact.
+   * Fetch the contact's associated company from HubSpot.
+   * With several associated companies the one labelled Primary is used; without a
+   * primary label the first association is used.
+   * @param {string} contactId
+   * @param {string[]} properties - Company properties to read (see getCompanyProperties)
+   * @returns {Promise<Object|null>} { id, name, ownerId, primary, properties }
    */
-  async getAssociatedCompanyData(contactId) {
+  async getAssociatedCompanyData(contactId, properties = ['name', 'hubspot_owner_id']) {
     const { hubspot } = getClients();
 
     try {
-      // Use HubSpot associations API to find associated company
       const assocResponse = await hubspot.client.get(
-        `/crm/v3/objects/contacts/${contactId}/associations/companies`
+        `/crm/v4/objects/contacts/${contactId}/associations/companies`
       );
-      const companyIds = (assocResponse.data?.results || []).map(r => r.id);
-      if (companyIds.length === 0) {
+      const associations = assocResponse.data?.results || [];
+      if (associations.length === 0) {
         return null;
       }
 
-      // Fetch the first associated company's name + owner
+      const primaryAssociation = associations.find(association => (association.associationTypes || [])
+        .some(type => type.typeId === PRIMARY_COMPANY_ASSOCIATION_TYPE_ID || String(type.label || '').toLowerCase() === 'primary'));
+      if (!primaryAssociation && associations.length > 1) {
+        logger.debug({ contactId, companies: associations.length }, 'No primary company association; using the first company');
+      }
+      const companyId = String((primaryAssociation || associations[0]).toObjectId);
+
+      const requested = Array.from(new Set(['name', 'hubspot_owner_id', ...properties]));
       const companyResponse = await hubspot.client.get(
-        `/crm/v3/objects/companies/${companyIds[0]}`,
-        { params: { properties: 'name,hubspot_owner_id' } }
+        `/crm/v3/objects/companies/${companyId}`,
+        { params: { properties: requested.join(',') } }
       );
-      const properties = companyResponse.data?.properties || {};
+      const companyProperties = companyResponse.data?.properties || {};
 
       return {
-        id: companyIds[0],
-        name: properties.name || null,
-        ownerId: properties.hubspot_owner_id ? String(properties.hubspot_owner_id).trim() : null
+        id: companyId,
+        name: companyProperties.name || null,
+        ownerId: companyProperties.hubspot_owner_id ? String(companyProperties.hubspot_owner_id).trim() : null,
+        primary: !!primaryAssociation,
+        properties: companyProperties
       };
     } catch (error) {
       logger.debug({ contactId, error: error.message }, 'Could not fetch associated company');
@@ -693,21 +2109,26 @@ class LeadPipelineService {
     }
   }
 
+  /**
+   * Company properties keyed company.<property> for routing and exclusion rules.
+   */
+  getCompanyRuleRecord(company) {
+    const record = {};
+    for (const [property, value] of Object.entries(company?.properties || {})) {
+      record[`${COMPANY_PROPERTY_PREFIX}${property}`] = value;
+    }
+    return record;
+  }
+
   /**
    * Derive a company name from email domain as last resort
    * Salesforce requires Company field — this ensures it's never empty
    */
   deriveCompanyFromEmail(email) {
-    const PERSONAL_DOMAINS = new Set([
-      'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com',
-      'icloud.com', 'me.com', 'mac.com', 'live.com', 'msn.com',
-      'protonmail.com', 'proton.me', 'mail.com', 'zoho.com', 'ymail.com'
-    ]);
-
     const domain = email.split('@')[1]?.toLowerCase();
     if (!domain) return 'Unknown';
 
-    if (PERSONAL_DOMAINS.has(domain)) {
+    if (isPersonalEmail(email)) {
       // For personal emails, use "Independent" — clearly signals no company
       return 'Independent';
     }
@@ -718,45 +2139,26 @@ class LeadPipelineService {
   }
 
   /**
-   * Normalize HubSpot source_detail into standardized categories for Salesforce
-   * Patterns: "LM - ..." → Lead Magnet, "CU - ..." → Contact Us, etc.
+   * Resolve a `supabase` field mapping source: one column of the first row matching
+   * `match`, whose values may reference mapping context keys as {{key}}.
    */
-  normalizeSourceDetail(sourceDetail) {
-    if (!sourceDetail) return 'Other';
-
-    const val = sourceDetail.trim();
-    if (val.startsWith('LM -') || val.toLowerCase().includes('lead magnet')) return 'Lead Magnet';
-    if (val.startsWith('CU -') || val.toLowerCase().includes('contact us')) return 'Contact Us';
-    if (val.toLowerCase().includes('referral') || val.toLowerCase().includes('partner')) return 'Referral';
-    if (val.toLowerCase().includes('seo') || val.toLowerCase().includes('organic')) return 'Referral';
-
-    return 'Other';
-  }
-
-  /**
-   * Get the Lemcal calendar link for an owner
-   */
-  async getCalendarLink(ownerName) {
+  async lookupMappedValue(spec, context) {
     const { supabase } = getClients();
+    if (!spec.table || !spec.column) return null;
 
-    const { data, error } = await supabase
-      .from('seller_calendar_links')
-      .select('calendar_link')
-      .eq('owner', ownerName)
-      .single();
-
-    if (error || !data) {
-      logger.debug({ ownerName, error: error?.message }, 'Could not fetch calendar link');
-      return null;
+    let query = supabase.from(spec.table).select(spec.column);
+    for (const [column, template] of Object.entries(spec.match || {})) {
+      const value = String(template).replace(/\{\{(\w+)\}\}/g, (m, key) => context[key] ?? '');
+      if (isEmpty(value)) return null;
+      query = query.eq(column, value);
     }
 
-    // Don't return placeholder values
-    if (data.calendar_link.startsWith('PLACEHOLDER')) {
-      logger.debug({ ownerName }, 'Calendar link is a placeholder, skipping');
+    const { data, error } = await query.limit(1);
+    if (error || !data?.length) {
+      logger.debug({ table: spec.table, match: spec.match, error: error?.message }, 'Mapped field lookup found no row');
       return null;
     }
-
-    return data.calendar_link;
+    return data[0][spec.column];
   }
 
   /**
@@ -0,0 +1,390 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const ownerService = require('./ownerService');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('owner-assignment');
+
+const STRATEGIES = ['round_robin', 'weighted', 'capacity'];
+const MAX_STATE_RETRIES = 5;
+
+// Unconfirmed reservations older than this (e.g. from a crashed run) no longer hold capacity
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Owner Assignment Service
+ * Picks a rep from the configured assignment pool for contacts whose owner
+ * (and associated company owner) cannot be resolved. A pick is reserved while the
+ * contact is processed, then confirmed on enrollment or released on any other outcome.
+ *
+ * Config (routing.json → assignment):
+ *   enabled, pool_name, strategy (round_robin | weighted | capacity),
+ *   write_back_owner, capacity_window_days,
+ *   overrides: { <owner>: { weight, capacity, in_pool } }
+ *
+ * The pool is every active owner in the owner directory; overrides only adjust
+ * an owner's weight or capacity, or leave them out of the pool (in_pool: false).
+ */
+class OwnerAssignmentService {
+  async getSettings() {
+    const settings = routingConfig.assignment || {};
+    const strategy = STRATEGIES.includes(settings.strategy) ? settings.strategy : 'round_robin';
+    const overrides = settings.overrides || {};
+    const members = (await ownerService.getActive())
+      .map(owner => ({ owner: owner.name, override: overrides[owner.name] || {} }))
+      .filter(({ override }) => override.in_pool !== false)
+      .map(({ owner, override }) => ({
+        owner,
+        weight: Number(override.weight) > 0 ? Number(override.weight) : 1,
+        capacity: Number(override.capacity) > 0 ? Number(override.capacity) : null
+      }));
+
+    return {
+      enabled: settings.enabled === true && members.length > 0,
+      pool: settings.pool_name || 'default',
+      strategy,
+      writeBackOwner: settings.write_back_owner === true,
+      capacityWindowDays: Number(settings.capacity_window_days) || 7,
+      members
+    };
+  }
+
+  /**
+   * Look up the HubSpot owner ID for an owner name from the owner directory.
+   */
+  async getHubSpotOwnerId(ownerName) {
+    const owner = await ownerService.getByName(ownerName);
+    return owner?.hubspot_owner_id || null;
+  }
+
+  /**
+   * Pick an owner for an unowned contact (sticky per confirmed contact) and reserve it.
+   * With dryRun the next owner is previewed without advancing the rotation state.
+   * A new pick must be passed to confirm() or release().
+   * @param {Object} params - { contactId, dryRun }
+   * @returns {Promise<Object|null>} { ownerName, hubspotOwnerId, strategy, pool, existing, reservationId } or null when disabled/full
+   */
+  async assign({ contactId, dryRun = false }) {
+    const settings = await this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    // Assignments are sticky: a contact seen again keeps the owner it was given.
+    const db = getSupabase();
+    const { data: previous } = await db
+      .from('owner_assignments')
+      .select('owner, strategy, hubspot_owner_id')
+      .eq('contact_id', contactId)
+      .eq('status', 'confirmed')
+      .order('assigned_at', { ascending: false })
+      .limit(1);
+
+    if (previous && previous.length > 0) {
+      return {
+        ownerName: previous[0].owner,
+        hubspotOwnerId: previous[0].hubspot_owner_id || await this.getHubSpotOwnerId(previous[0].owner),
+        strategy: previous[0].strategy,
+        pool: settings.pool,
+        writeBackOwner: settings.writeBackOwner,
+        existing: true
+      };
+    }
+
+    let ownerName = null;
+    let reservationId = null;
+    let rotation = null;
+    if (dryRun) {
+      ownerName = settings.strategy === 'capacity'
+        ? await this.pickByCapacity(settings)
+        : (await this.pickByRotation(settings, { dryRun })).ownerName;
+    } else if (settings.strategy === 'capacity') {
+      const reservation = await this.reserveByCapacity(settings, contactId);
+      ownerName = reservation?.ownerName || null;
+      reservationId = reservation?.reservationId || null;
+    } else {
+      rotation = await this.pickByRotation(settings);
+      ownerName = rotation.ownerName;
+      reservationId = await this.reserve(settings, contactId, ownerName);
+    }
+
+    if (!ownerName) {
+      logger.warn({ contactId, pool: settings.pool, strategy: settings.strategy }, 'Assignment pool has no available owner');
+      return null;
+    }
+
+    const assignment = {
+      ownerName,
+      hubspotOwnerId: await this.getHubSpotOwnerId(ownerName),
+      strategy: settings.strategy,
+      pool: settings.pool,
+      writeBackOwner: settings.writeBackOwner,
+      existing: false,
+      reservationId,
+      rotation
+    };
+
+    logger.info({ contactId, ownerName, strategy: settings.strategy, pool: settings.pool }, 'Reserved owner from pool');
+    return assignment;
+  }
+
+  /**
+   * Hold a rotation pick for a contact until it is confirmed or released.
+   * @returns {Promise<number|null>} Reservation row ID
+   */
+  async reserve(settings, contactId, ownerName) {
+    const { data, error } = await getSupabase()
+      .from('owner_assignments')
+      .insert({
+        pool: settings.pool,
+        contact_id: contactId,
+        owner: ownerName,
+        strategy: settings.strategy,
+        status: 'reserved'
+      })
+      .select('id');
+
+    if (error) throw error;
+    return data?.[0]?.id || null;
+  }
+
+  /**
+   * Capacity-based pick and reservation in one locked transaction (reserve_owner_capacity).
+   * @returns {Promise<{reservationId: number, ownerName: string}|null>} null when every member is full
+   */
+  async reserveByCapacity(settings, contactId) {
+    const now = Date.now();
+    const { data, error } = await getSupabase().rpc('reserve_owner_capacity', {
+      p_pool: settings.pool,
+      p_contact_id: String(contactId),
+      p_members: settings.members.map(m => ({ owner: m.owner, capacity: m.capacity })),
+      p_since: new Date(now - settings.capacityWindowDays * 24 * 60 * 60 * 1000).toISOString(),
+      p_reserved_since: new Date(now - RESERVATION_TTL_MS).toISOString()
+    });
+
+    if (error) throw error;
+    const row = data?.[0];
+    return row ? { reservationId: row.reservation_id, ownerName: row.reserved_owner } : null;
+  }
+
+  /**
+   * Confirm a reserved assignment once the contact is enrolled.
+   */
+  async confirm(contactId, assignment, { writtenBack = false } = {}) {
+    if (!assignment.reservationId) return;
+
+    const { error } = await getSupabase()
+      .from('owner_assignments')
+      .update({
+        status: 'confirmed',
+        hubspot_owner_id: assignment.hubspotOwnerId,
+        written_back: writtenBack,
+        confirmed_at: new Date().toISOString()
+      })
+      .eq('id', assignment.reservationId);
+
+    if (error) {
+      logger.warn({ contactId, error: error.message }, 'Failed to confirm owner assignment');
+    }
+  }
+
+  /**
+   * Release a reservation for a contact that was not enrolled, freeing its capacity.
+   * A rotation turn is handed back only when no other pick advanced the rotation since.
+   */
+  async release(contactId, assignment) {
+    if (!assignment.reservationId) return;
+    const db = getSupabase();
+
+    const { error } = await db
+      .from('owner_assignments')
+      .delete()
+      .eq('id', assignment.reservationId)
+      .eq('status', 'reserved');
+
+    if (error) {
+      logger.warn({ contactId, error: error.message }, 'Failed to release owner assignment');
+    }
+
+    const rotation = assignment.rotation;
+    if (rotation) {
+      const { error: stateError } = await db
+        .from('owner_assignment_state')
+        .update({ ...rotation.previous, revision: rotation.revision + 1 })
+        .eq('pool', assignment.pool)
+        .eq('revision', rotation.revision);
+
+      if (stateError) {
+        logger.warn({ contactId, error: stateError.message }, 'Failed to roll back assignment rotation');
+      }
+    }
+
+    logger.info({ contactId, ownerName: assignment.ownerName, pool: assignment.pool }, 'Released owner reservation');
+  }
+
+  /**
+   * Round-robin and smooth weighted round-robin, with optimistic concurrency on the state row.
+   * @returns {Promise<Object>} { ownerName, previous, revision }: the state before the pick and
+   *   the revision written, so release() can undo an unused turn
+   */
+  async pickByRotation(settings, { dryRun = false } = {}) {
+    const db = getSupabase();
+
+    for (let attempt = 0; attempt < MAX_STATE_RETRIES; attempt++) {
+      const state = await this.loadState(settings, { dryRun });
+      let ownerName;
+      const next = { last_index: state.last_index, current_weights: { ...(state.current_weights || {}) } };
+
+      if (settings.strategy === 'weighted') {
+        // Smooth weighted round-robin: add each weight, pick the largest, subtract the total.
+        const totalWeight = settings.members.reduce((sum, m) => sum + m.weight, 0);
+        let best = null;
+        for (const member of settings.members) {
+          const current = (Number(next.current_weights[member.owner]) || 0) + member.weight;
+          next.current_weights[member.owner] = current;
+          if (!best || current > next.current_weights[best.owner]) {
+            best = member;
+          }
+        }
+        next.current_weights[best.owner] -= totalWeight;
+        ownerName = best.owner;
+      } else {
+        next.last_index = (state.last_index + 1) % settings.members.length;
+        ownerName = settings.members[next.last_index].owner;
+      }
+
+      if (dryRun) {
+        return { ownerName, previous: null, revision: state.revision };
+      }
+
+      const { data, error } = await db
+        .from('owner_assignment_state')
+        .update({
+          strategy: settings.strategy,
+          last_index: next.last_index,
+          current_weights: next.current_weights,
+          revision: state.revision + 1
+        })
+        .eq('pool', settings.pool)
+        .eq('revision', state.revision)
+        .select('id');
+
+      if (error) throw error;
+      if (data && data.length > 0) {
+        return {
+          ownerName,
+          previous: { last_index: state.last_index, current_weights: state.current_weights || {} },
+          revision: state.revision + 1
+        };
+      }
+
+      logger.debug({ pool: settings.pool, attempt }, 'Assignment state changed concurrently, retrying');
+    }
+
+    throw new Error(`Could not update assignment state for pool ${settings.pool}`);
+  }
+
+  /**
+   * Capacity-based preview (dry runs): the member with the most remaining capacity in the window.
+   * Members without a capacity are treated as unlimited and ranked by fewest assignments.
+   * Real picks go through reserveByCapacity, which applies the same ranking atomically.
+   */
+  async pickByCapacity(settings) {
+    const db = getSupabase();
+    const now = Date.now();
+    const since = new Date(now - settings.capacityWindowDays * 24 * 60 * 60 * 1000).toISOString();
+    const reservedSince = new Date(now - RESERVATION_TTL_MS).toISOString();
+
+    const { data, error } = await db
+      .from('owner_assignments')
+      .select('owner')
+      .eq('pool', settings.pool)
+      .gte('assigned_at', since)
+      .or(`status.eq.confirmed,assigned_at.gte.${reservedSince}`);
+
+    if (error) throw error;
+
+    const counts = {};
+    (data || []).forEach(row => {
+      counts[row.owner] = (counts[row.owner] || 0) + 1;
+    });
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const member of settings.members) {
+      const assigned = counts[member.owner] || 0;
+      if (member.capacity !== null && assigned >= member.capacity) continue;
+      const score = member.capacity !== null ? member.capacity - assigned : -assigned;
+      if (score > bestScore) {
+        best = member;
+        bestScore = score;
+      }
+    }
+
+    return best ? best.owner : null;
+  }
+
+  /**
+   * Load (or create) the rotation state row for a pool.
+   */
+  async loadState(settings, { dryRun = false } = {}) {
+    const db = getSupabase();
+
+    const { data, error } = await db
+      .from('owner_assignment_state')
+      .select('last_index, current_weights, revision')
+      .eq('pool', settings.pool)
+      .limit(1);
+
+    if (error) throw error;
+    if (data && data.length > 0) {
+      return data[0];
+    }
+
+    if (dryRun) {
+      return { last_index: -1, current_weights: {}, revision: 0 };
+    }
+
+    const initial = { pool: settings.pool, strategy: settings.strategy, last_index: -1, current_weights: {}, revision: 0 };
+    const { error: insertError } = await db
+      .from('owner_assignment_state')
+      .upsert(initial, { onConflict: 'pool', ignoreDuplicates: true });
+
+    if (insertError) throw insertError;
+    return { last_index: -1, current_weights: {}, revision: 0 };
+  }
+
+  /**
+   * Current pool state and recent assignments (for monitoring).
+   */
+  async getStatus() {
+    const settings = await this.getSettings();
+    const db = getSupabase();
+
+    const [{ data: state }, { data: recent }] = await Promise.all([
+      db.from('owner_assignment_state').select('*').eq('pool', settings.pool).limit(1),
+      db.from('owner_assignments').select('*').eq('pool', settings.pool)
+        .order('assigned_at', { ascending: false }).limit(50)
+    ]);
+
+    return {
+      settings,
+      state: state?.[0] || null,
+      recentAssignments: recent || []
+    };
+  }
+}
+
+module.exports = new OwnerAssignmentService();
@@ -0,0 +1,236 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('owners');
+
+// Owners change rarely; cache per serverless instance for a minute.
+const OWNERS_CACHE_TTL_MS = 60 * 1000;
+
+const EDITABLE_FIELDS = [
+  'name',
+  'display_name',
+  'hubspot_owner_id',
+  'salesforce_user_id',
+  'lemcal_user_id',
+  'email',
+  'calendar_link',
+  'default_campaign_id',
+  'active'
+];
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Owner Service
+ * Sales rep directory (owners table): HubSpot owner ID, Salesforce and Lemcal
+ * user IDs, email, display name, calendar link, default campaign and active flag.
+ * IDs and emails are kept in step with HubSpot by ownerSyncService.
+ */
+class OwnerService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+    this.tableAvailable = true;
+  }
+
+  /**
+   * All owners, including inactive ones (cached).
+   * @returns {Promise<Array>}
+   */
+  async getAll({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.cache && Date.now() - this.cachedAt < OWNERS_CACHE_TTL_MS) {
+      return this.cache;
+    }
+    if (!this.tableAvailable) return [];
+
+    const { data, error } = await getSupabase()
+      .from('owners')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      if (error.message && error.message.includes('owners')) {
+        this.tableAvailable = false;
+        logger.warn('owners table not found; no owners can be resolved');
+      } else {
+        logger.warn({ error: error.message }, 'Failed to load owners');
+      }
+      return this.cache || [];
+    }
+
+    this.cache = data || [];
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  async getActive() {
+    return (await this.getAll()).filter(owner => owner.active);
+  }
+
+  /**
+   * Active owner by owner key (e.g. "alec").
+   */
+  async getByName(name) {
+    if (!name) return null;
+    const key = String(name).toLowerCase().trim();
+    return (await this.getActive()).find(owner => owner.name === key) || null;
+  }
+
+  /**
+   * Active owner by HubSpot owner ID.
+   */
+  async getByHubSpotOwnerId(hubspotOwnerId) {
+    if (!hubspotOwnerId) return null;
+    const id = String(hubspotOwnerId).trim();
+    return (await this.getActive()).find(owner => owner.hubspot_owner_id === id) || null;
+  }
+
+  /**
+   * Active owner whose default campaign is the given Lemlist campaign.
+   */
+  async getByCampaignId(campaignId) {
+    if (!campaignId) return null;
+    return (await this.getActive()).find(owner => owner.default_campaign_id === campaignId) || null;
+  }
+
+  /**
+   * Active owner whose key starts a campaign name ("Alec - Inbound" → alec).
+   */
+  async findByCampaignName(campaignName) {
+    if (!campaignName) return null;
+    const normalized = String(campaignName).toLowerCase().trim();
+    return (await this.getActive()).find(owner => normalized.startsWith(owner.name)) || null;
+  }
+
+  /**
+   * List owners for the API.
+   * @param {Object} options - { includeInactive }
+   */
+  async list({ includeInactive = false } = {}) {
+    const owners = await this.getAll({ forceRefresh: true });
+    return includeInactive ? owners : owners.filter(owner => owner.active);
+  }
+
+  async getById(id) {
+    const { data, error } = await getSupabase()
+      .from('owners')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Validate and normalize a create/update body.
+   */
+  buildRow(input, { partial = false } = {}) {
+    const row = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (input[field] !== undefined) row[field] = input[field];
+    }
+
+    if (row.name !== undefined) {
+      row.name = String(row.name || '').toLowerCase().trim();
+      if (!/^[a-z0-9_-]+$/.test(row.name)) {
+        throw badRequest('name must be a lowercase key (letters, digits, - or _)');
+      }
+    }
+    if (row.display_name !== undefined) {
+      row.display_name = String(row.display_name || '').trim();
+      if (!row.display_name) throw badRequest('display_name cannot be empty');
+    }
+    for (const field of ['hubspot_owner_id', 'salesforce_user_id', 'lemcal_user_id', 'email', 'calendar_link', 'default_campaign_id']) {
+      if (row[field] !== undefined) {
+        row[field] = row[field] === null || String(row[field]).trim() === '' ? null : String(row[field]).trim();
+      }
+    }
+    if (row.email) {
+      row.email = row.email.toLowerCase();
+    }
+    if (row.active !== undefined && typeof row.active !== 'boolean') {
+      throw badRequest('active must be a boolean');
+    }
+
+    if (!partial && (!row.name || !row.display_name)) {
+      throw badRequest('name and display_name are required');
+    }
+    return row;
+  }
+
+  async create(input) {
+    const row = this.buildRow(input || {});
+    const { data, error } = await getSupabase()
+      .from('owners')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw this.toRequestError(error);
+    this.cache = null;
+    logger.info({ owner: data.name }, 'Owner created');
+    return data;
+  }
+
+  async update(id, input) {
+    const row = this.buildRow(input || {}, { partial: true });
+    if (Object.keys(row).length === 0) {
+      throw badRequest(`Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const { data, error } = await getSupabase()
+      .from('owners')
+      .update(row)
+      .eq('id', id)
+      .select();
+
+    if (error) throw this.toRequestError(error);
+    this.cache = null;
+    return data?.[0] || null;
+  }
+
+  async remove(id) {
+    const { data, error } = await getSupabase()
+      .from('owners')
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    this.cache = null;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Unique violations (duplicate name or HubSpot owner ID) are client errors.
+   */
+  toRequestError(error) {
+    if (error.code === '23505') {
+      return badRequest(`An owner with this name or HubSpot owner ID already exists: ${error.details || error.message}`);
+    }
+    return error;
+  }
+}
+
+module.exports = new OwnerService();
@@ -0,0 +1,337 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const HubSpotClient = require('../clients/hubspot');
+const SalesforceClient = require('../clients/salesforce');
+const LemcalClient = require('../clients/lemcal');
+const ownerService = require('./ownerService');
+const leadPipelineService = require('./leadPipelineService');
+const { config } = require('../config');
+
+const logger = createLogger('owner-sync');
+
+let supabase, hubspot, salesforce, lemcal;
+
+function getClients() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  if (!hubspot) {
+    hubspot = new HubSpotClient(config.hubspot);
+  }
+  if (!salesforce) {
+    salesforce = new SalesforceClient();
+  }
+  if (!lemcal) {
+    lemcal = new LemcalClient(config.lemcal);
+  }
+  return { supabase, hubspot, salesforce, lemcal };
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).toLowerCase().trim() : null;
+}
+
+/**
+ * Owner Sync Service
+ * Pulls HubSpot owners into the owner directory, matches them to Salesforce and
+ * Lemcal users by email, and warns about reps who own triggered contacts but
+ * cannot be routed (not in the directory, inactive, or without a campaign).
+ *
+ * New HubSpot owners are added inactive: routing to them starts once someone
+ * sets their campaign and activates them.
+ */
+class OwnerSyncService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  async sync() {
+    const { supabase, hubspot } = getClients();
+    const startedAt = new Date().toISOString();
+    const runId = await this.startRun(startedAt);
+
+    try {
+      const hubspotOwners = await hubspot.getOwners();
+      logger.info({ count: hubspotOwners.length }, 'Fetched HubSpot owners');
+
+      const directory = await ownerService.getAll({ forceRefresh: true });
+      const result = {
+        hubspotOwners: hubspotOwners.length,
+        created: 0,
+        updated: 0,
+        salesforceMatched: 0,
+        lemcalMatched: 0,
+        warnings: [],
+        unmatched: { salesforce: [], lemcal: [] }
+      };
+
+      // 1. HubSpot owners → directory (match by owner ID, then email)
+      const takenNames = new Set(directory.map(owner => owner.name));
+      for (const hubspotOwner of hubspotOwners) {
+        const hubspotOwnerId = String(hubspotOwner.id);
+        const email = normalizeEmail(hubspotOwner.email);
+        const existing = directory.find(owner => owner.hubspot_owner_id === hubspotOwnerId)
+          || (email ? directory.find(owner => normalizeEmail(owner.email) === email) : null);
+
+        if (existing) {
+          const changes = { hubspot_synced_at: startedAt };
+          if (existing.hubspot_owner_id !== hubspotOwnerId) changes.hubspot_owner_id = hubspotOwnerId;
+          if (email && normalizeEmail(existing.email) !== email) changes.email = email;
+
+          const { error } = await supabase.from('owners').update(changes).eq('id', existing.id);
+          if (error) {
+            logger.warn({ owner: existing.name, error: error.message }, 'Failed to update owner from HubSpot');
+            continue;
+          }
+          Object.assign(existing, changes);
+          if (changes.hubspot_owner_id || changes.email) result.updated++;
+          continue;
+        }
+
+        const row = {
+          name: this.buildOwnerName(hubspotOwner, takenNames),
+          display_name: [hubspotOwner.firstName, hubspotOwner.lastName].filter(Boolean).join(' ') || email || hubspotOwnerId,
+          hubspot_owner_id: hubspotOwnerId,
+          email,
+          active: false,
+          hubspot_synced_at: startedAt
+        };
+        const { data, error } = await supabase.from('owners').insert(row).select().single();
+        if (error) {
+          logger.warn({ hubspotOwnerId, error: error.message }, 'Failed to add HubSpot owner to directory');
+          continue;
+        }
+        takenNames.add(row.name);
+        directory.push(data);
+        result.created++;
+        logger.info({ owner: row.name, hubspotOwnerId }, 'Added HubSpot owner to directory (inactive until a campaign is mapped)');
+      }
+
+      // 2. Salesforce and Lemcal users by email
+      const activeOwners = directory.filter(owner => owner.active);
+      await this.matchSalesforceUsers(directory, result);
+      await this.matchLemcalUsers(directory, result);
+      result.unmatched.salesforce = activeOwners.filter(owner => !owner.salesforce_user_id).map(owner => owner.name);
+      result.unmatched.lemcal = activeOwners.filter(owner => !owner.lemcal_user_id).map(owner => owner.name);
+
+      // 3. Reps who own triggered contacts but cannot be routed
+      result.warnings = await this.findRoutingWarnings(directory, hubspotOwners);
+      for (const warning of result.warnings) {
+        logger.warn(warning, warning.message);
+      }
+
+      ownerService.clearCache();
+      await this.finishRun(runId, 'success', result);
+      await this.updateSyncStatus('success', hubspotOwners.length);
+      logger.info({
+        created: result.created,
+        updated: result.updated,
+        warnings: result.warnings.length
+      }, 'Owner sync completed');
+
+      return { runId, ...result };
+    } catch (error) {
+      await this.finishRun(runId, 'failed', null, error.message);
+      await this.updateSyncStatus('failed', 0, error.message);
+      logger.error({ error: error.message }, 'Owner sync failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Owner key from the first name ("alec"), made unique with the last name or a number.
+   */
+  buildOwnerName(hubspotOwner, takenNames) {
+    const slug = value => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+    const first = slug(hubspotOwner.firstName) || slug(String(hubspotOwner.email || '').split('@')[0]) || `owner${hubspotOwner.id}`;
+    const candidates = [first, `${first}${slug(hubspotOwner.lastName).charAt(0)}`, `${first}${slug(hubspotOwner.lastName)}`];
+
+    for (const candidate of candidates) {
+      if (candidate && !takenNames.has(candidate)) return candidate;
+    }
+    let suffix = 2;
+    while (takenNames.has(`${first}${suffix}`)) suffix++;
+    return `${first}${suffix}`;
+  }
+
+  /**
+   * Set salesforce_user_id on owners whose email matches an active Salesforce user.
+   * Salesforce being unavailable is logged, not fatal.
+   */
+  async matchSalesforceUsers(directory, result) {
+    const { supabase, salesforce } = getClients();
+
+    let users;
+    try {
+      users = await salesforce.query('SELECT Id, Email FROM User WHERE IsActive = true');
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Could not load Salesforce users; skipping Salesforce matching');
+      return;
+    }
+
+    const userIdByEmail = new Map(users.map(user => [normalizeEmail(user.Email), user.Id]));
+    for (const owner of directory) {
+      const userId = userIdByEmail.get(normalizeEmail(owner.email));
+      if (!userId) continue;
+      result.salesforceMatched++;
+      if (owner.salesforce_user_id === userId) continue;
+
+      const { error } = await supabase.from('owners').update({ salesforce_user_id: userId }).eq('id', owner.id);
+      if (!error) owner.salesforce_user_id = userId;
+    }
+  }
+
+  /**
+   * Set lemcal_user_id on owners whose email matches a Lemcal user.
+   */
+  async matchLemcalUsers(directory, result) {
+    const { supabase, lemcal } = getClients();
+    if (!config.lemcal?.apiKey) return;
+
+    let users;
+    try {
+      users = await lemcal.getUsers();
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Could not load Lemcal users; skipping Lemcal matching');
+      return;
+    }
+
+    const userIdByEmail = new Map((Array.isArray(users) ? users : [])
+      .map(user => [normalizeEmail(user.email), user._id || user.id]));
+    for (const owner of directory) {
+      const userId = userIdByEmail.get(normalizeEmail(owner.email));
+      if (!userId) continue;
+      result.lemcalMatched++;
+      if (owner.lemcal_user_id === userId) continue;
+
+      const { error } = await supabase.from('owners').update({ lemcal_user_id: userId }).eq('id', owner.id);
+      if (!error) owner.lemcal_user_id = userId;
+    }
+  }
+
+  /**
+   * Count triggered contacts per HubSpot owner and flag owners the pipeline would skip.
+   * @returns {Promise<Array>} [{ type, hubspot_owner_id, owner, email, triggered_contacts, message }]
+   */
+  async findRoutingWarnings(directory, hubspotOwners) {
+    const { contacts } = await leadPipelineService.searchTriggeredContacts({ since: null });
+
+    const counts = new Map();
+    for (const contact of contacts) {
+      const ownerId = contact.properties?.hubspot_owner_id ? String(contact.properties.hubspot_owner_id).trim() : null;
+      if (ownerId) counts.set(ownerId, (counts.get(ownerId) || 0) + 1);
+    }
+
+    const hubspotById = new Map(hubspotOwners.map(owner => [String(owner.id), owner]));
+    const warnings = [];
+
+    for (const [hubspotOwnerId, triggeredContacts] of counts) {
+      const owner = directory.find(o => o.hubspot_owner_id === hubspotOwnerId);
+      const email = normalizeEmail(owner?.email || hubspotById.get(hubspotOwnerId)?.email);
+      const base = { hubspot_owner_id: hubspotOwnerId, owner: owner?.name || null, email, triggered_contacts: triggeredContacts };
+
+      if (!owner) {
+        warnings.push({ ...base, type: 'unknown_owner', message: `HubSpot owner ${hubspotOwnerId} owns ${triggeredContacts} triggered contacts but is not in the owner directory` });
+      } else if (!owner.active) {
+        warnings.push({ ...base, type: 'inactive_owner', message: `Owner ${owner.name} owns ${triggeredContacts} triggered contacts but is inactive` });
+      } else if (!leadPipelineService.getCampaignIdForOwner(owner.name, owner)) {
+        warnings.push({ ...base, type: 'missing_campaign', message: `Owner ${owner.name} owns ${triggeredContacts} triggered contacts but has no campaign mapping` });
+      }
+    }
+
+    return warnings.sort((a, b) => b.triggered_contacts - a.triggered_contacts);
+  }
+
+  handleTableError(error) {
+    if (error.message && error.message.includes('owner_sync_runs')) {
+      if (this.tableAvailable) {
+        logger.warn('owner_sync_runs table not found; owner sync results will not be stored');
+      }
+      this.tableAvailable = false;
+      return true;
+    }
+    return false;
+  }
+
+  async startRun(startedAt) {
+    if (!this.tableAvailable) return null;
+    const { supabase } = getClients();
+
+    const { data, error } = await supabase
+      .from('owner_sync_runs')
+      .insert({ status: 'running', started_at: startedAt })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (!this.handleTableError(error)) {
+        logger.warn({ error: error.message }, 'Failed to record owner sync start');
+      }
+      return null;
+    }
+    return data.id;
+  }
+
+  async finishRun(runId, status, result, errorMessage = null) {
+    if (!runId || !this.tableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('owner_sync_runs')
+      .update({
+        status,
+        completed_at: new Date().toISOString(),
+        hubspot_owners: result?.hubspotOwners || 0,
+        created: result?.created || 0,
+        updated: result?.updated || 0,
+        salesforce_matched: result?.salesforceMatched || 0,
+        lemcal_matched: result?.lemcalMatched || 0,
+        warnings: result?.warnings || [],
+        unmatched: result?.unmatched || {},
+        error_message: errorMessage
+      })
+      .eq('id', runId);
+
+    if (error) {
+      logger.warn({ runId, error: error.message }, 'Failed to record owner sync result');
+    }
+  }
+
+  async updateSyncStatus(status, recordsSynced, errorMessage = null) {
+    const { supabase } = getClients();
+    const { error } = await supabase
+      .from('sync_status')
+      .upsert({
+        sync_type: 'owners',
+        last_sync_at: new Date().toISOString(),
+        status,
+        records_synced: recordsSynced,
+        error_message: errorMessage
+      }, { onConflict: 'sync_type' });
+
+    if (error) {
+      logger.error({ error }, 'Failed to update owners sync status');
+    }
+  }
+
+  /**
+   * Latest completed owner sync, including its warnings.
+   */
+  async getLatestRun() {
+    const { supabase } = getClients();
+    const { data, error } = await supabase
+      .from('owner_sync_runs')
+      .select('*')
+      .neq('status', 'running')
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+}
+
+module.exports = new OwnerSyncService();
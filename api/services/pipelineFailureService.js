@@ -0,0 +1,250 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('pipeline-failures');
+
+// Supabase returns at most 1000 rows per request; ID filters are sent in chunks
+const PAGE_SIZE = 1000;
+const ID_CHUNK_SIZE = 200;
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Pipeline Failure Service
+ * Dead-letter queue for contacts that threw in LeadPipelineService.processContact.
+ * Entries are retried with exponential backoff until max_attempts, then marked dead.
+ */
+class PipelineFailureService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  getSettings() {
+    const settings = routingConfig.failure_retry || {};
+    return {
+      maxAttempts: Number(settings.max_attempts) || 6,
+      baseDelayMs: (Number(settings.base_delay_minutes) || 15) * 60 * 1000,
+      maxDelayMs: (Number(settings.max_delay_minutes) || 24 * 60) * 60 * 1000,
+      batchSize: Number(settings.batch_size) || 50
+    };
+  }
+
+  /**
+   * Backoff before attempt N+1: base * 2^(attempts - 1), capped.
+   */
+  getNextRetryAt(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.getSettings();
+    const delay = Math.min(baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)), maxDelayMs);
+    return new Date(Date.now() + delay).toISOString();
+  }
+
+  handleTableError(error) {
+    if (error.message && error.message.includes('pipeline_failures')) {
+      if (this.tableAvailable) {
+        logger.warn('pipeline_failures table not found; failed contacts will not be queued for retry');
+      }
+      this.tableAvailable = false;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a failed contact (or bump the attempt count of an existing entry).
+   * @param {Object} contact - HubSpot contact
+   * @param {Error} error - Error thrown by processContact (pipelineStep tags the failed step)
+   * @returns {Promise<boolean>} True if the failure is queued for retry or marked dead
+   */
+  async recordFailure(contact, error) {
+    if (!this.tableAvailable) return false;
+    const db = getSupabase();
+    const { maxAttempts } = this.getSettings();
+    const contactId = String(contact.id);
+
+    const { data: existing, error: readError } = await db
+      .from('pipeline_failures')
+      .select('attempts, status')
+      .eq('contact_id', contactId)
+      .limit(1);
+
+    if (readError) {
+      if (!this.handleTableError(readError)) {
+        logger.error({ contactId, error: readError.message }, 'Failed to read pipeline failure entry');
+      }
+      return false;
+    }
+
+    // A resolved, dead or discarded entry starts counting again from 1
+    const previous = existing?.[0];
+    const attempts = previous && previous.status === 'pending' ? previous.attempts + 1 : 1;
+    const status = attempts >= maxAttempts ? 'dead' : 'pending';
+
+    const { error: upsertError } = await db
+      .from('pipeline_failures')
+      .upsert({
+        contact_id: contactId,
+        email: contact.properties?.email || null,
+        step: error.pipelineStep || 'unknown',
+        error_message: String(error.message || error).slice(0, 2000),
+        attempts,
+        status,
+        next_retry_at: status === 'pending' ? this.getNextRetryAt(attempts) : null,
+        last_failed_at: new Date().toISOString(),
+        resolved_at: null
+      }, { onConflict: 'contact_id' });
+
+    if (upsertError) {
+      logger.error({ contactId, error: upsertError.message }, 'Failed to record pipeline failure');
+      return false;
+    }
+
+    if (status === 'dead') {
+      logger.error({ contactId, attempts, step: error.pipelineStep }, 'Contact reached max pipeline attempts, marked dead');
+    }
+    return true;
+  }
+
+  /**
+   * Pending entries whose backoff has elapsed, oldest first.
+   */
+  async getDueFailures() {
+    if (!this.tableAvailable) return [];
+    const db = getSupabase();
+    const { batchSize } = this.getSettings();
+
+    const { data, error } = await db
+      .from('pipeline_failures')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_retry_at', new Date().toISOString())
+      .order('next_retry_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) {
+      if (!this.handleTableError(error)) {
+        logger.warn({ error: error.message }, 'Failed to load due pipeline failures');
+      }
+      return [];
+    }
+    return data || [];
+  }
+
+  /**
+   * Contact IDs with an open (pending) entry.
+   * @param {string[]|null} contactIds - Only check these contacts (otherwise every pending entry)
+   * @returns {Promise<Set<string>>}
+   */
+  async getPendingContactIds(contactIds = null) {
+    if (!this.tableAvailable) return new Set();
+    const db = getSupabase();
+    const pending = new Set();
+
+    const fetchPage = contactIds
+      ? (index) => {
+        const chunk = contactIds.slice(index * ID_CHUNK_SIZE, (index + 1) * ID_CHUNK_SIZE).map(String);
+        if (chunk.length === 0) return null;
+        return db.from('pipeline_failures').select('contact_id').eq('status', 'pending').in('contact_id', chunk);
+      }
+      : (index) => db.from('pipeline_failures').select('contact_id').eq('status', 'pending')
+        .order('contact_id', { ascending: true })
+        .range(index * PAGE_SIZE, (index + 1) * PAGE_SIZE - 1);
+
+    for (let index = 0; ; index++) {
+      const query = fetchPage(index);
+      if (!query) break;
+
+      const { data, error } = await query;
+      if (error) {
+        this.handleTableError(error);
+        return pending;
+      }
+      (data || []).forEach(row => pending.add(String(row.contact_id)));
+      if (!contactIds && (data || []).length < PAGE_SIZE) break;
+    }
+    return pending;
+  }
+
+  /**
+   * Mark a contact's entry resolved after it processed successfully.
+   * @param {string} contactId
+   * @param {Object} options - { statuses }: entry statuses to resolve; a manual retry
+   *   also resolves dead and discarded entries
+   */
+  async resolve(contactId, { statuses = ['pending'] } = {}) {
+    if (!this.tableAvailable) return;
+    const db = getSupabase();
+
+    const { error } = await db
+      .from('pipeline_failures')
+      .update({ status: 'resolved', resolved_at: new Date().toISOString(), next_retry_at: null })
+      .eq('contact_id', String(contactId))
+      .in('status', statuses);
+
+    if (error) {
+      logger.warn({ contactId, error: error.message }, 'Failed to resolve pipeline failure');
+    }
+  }
+
+  /**
+   * List entries for the API, newest failure first.
+   */
+  async list({ status = null, limit = 50, offset = 0 } = {}) {
+    const db = getSupabase();
+
+    let query = db
+      .from('pipeline_failures')
+      .select('*', { count: 'exact' })
+      .order('last_failed_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { failures: data || [], total: count || 0 };
+  }
+
+  async getById(id) {
+    const db = getSupabase();
+    const { data, error } = await db
+      .from('pipeline_failures')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Manually drop an entry so it is never retried.
+   */
+  async discard(id) {
+    const db = getSupabase();
+    const { data, error } = await db
+      .from('pipeline_failures')
+      .update({ status: 'discarded', next_retry_at: null })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    logger.info({ id, contactId: data?.contact_id }, 'Discarded pipeline failure');
+    return data;
+  }
+}
+
+module.exports = new PipelineFailureService();
@@ -0,0 +1,126 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('pipeline-queue');
+
+// Contacts loaded from the queue per run
+const BATCH_SIZE = 500;
+const ID_CHUNK_SIZE = 200;
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Pipeline Queue Service
+ * Contacts handed to the lead pipeline outside its HubSpot search (pipeline_queue),
+ * e.g. by the HubSpot webhook. Each run processes the queued contacts and removes
+ * them once they have an outcome.
+ */
+class PipelineQueueService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  handleTableError(error, message) {
+    if (error.message && error.message.includes('pipeline_queue')) {
+      this.tableAvailable = false;
+      logger.warn('pipeline_queue table not found; queued contacts are left to the scheduled search');
+    } else {
+      logger.warn({ error: error.message }, message);
+    }
+  }
+
+  /**
+   * Queue contacts for the next run. Contacts already queued keep their place.
+   * @param {string[]} contactIds - HubSpot contact IDs
+   * @param {string} source - What queued them (webhook)
+   * @returns {Promise<boolean>} false when the contacts could not be queued
+   */
+  async enqueue(contactIds, source = 'webhook') {
+    if (contactIds.length === 0) return true;
+    if (!this.tableAvailable) return false;
+
+    const { error } = await getSupabase()
+      .from('pipeline_queue')
+      .upsert(
+        contactIds.map(contactId => ({ contact_id: String(contactId), source })),
+        { onConflict: 'contact_id', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      this.handleTableError(error, 'Failed to queue contacts for the lead pipeline');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Queued contact IDs, oldest first.
+   * @returns {Promise<string[]>}
+   */
+  async getContactIds() {
+    if (!this.tableAvailable) return [];
+
+    const { data, error } = await getSupabase()
+      .from('pipeline_queue')
+      .select('contact_id')
+      .order('queued_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) {
+      this.handleTableError(error, 'Failed to load queued contacts');
+      return [];
+    }
+    return (data || []).map(row => row.contact_id);
+  }
+
+  /**
+   * Remove contacts from the queue.
+   * @param {string[]} contactIds
+   */
+  async remove(contactIds) {
+    if (!this.tableAvailable || contactIds.length === 0) return;
+
+    const ids = contactIds.map(String);
+    for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+      const { error } = await getSupabase()
+        .from('pipeline_queue')
+        .delete()
+        .in('contact_id', ids.slice(i, i + ID_CHUNK_SIZE));
+
+      if (error) {
+        logger.warn({ count: ids.length, error: error.message }, 'Failed to remove contacts from the pipeline queue');
+        return;
+      }
+    }
+  }
+
+  /**
+   * Number of contacts waiting in the queue.
+   * @returns {Promise<number>}
+   */
+  async count() {
+    if (!this.tableAvailable) return 0;
+
+    const { count, error } = await getSupabase()
+      .from('pipeline_queue')
+      .select('contact_id', { count: 'exact', head: true });
+
+    if (error) {
+      this.handleTableError(error, 'Failed to count queued contacts');
+      return 0;
+    }
+    return count || 0;
+  }
+}
+
+module.exports = new PipelineQueueService();
@@ -0,0 +1,226 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('pipeline-runs');
+
+const ITEM_BATCH_SIZE = 100;
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Pipeline Run Service
+ * Persists lead pipeline run history (pipeline_runs) and each contact's
+ * outcome (pipeline_run_items). Recording is best-effort: failures are
+ * logged and never interrupt the pipeline.
+ */
+class PipelineRunService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  handleTableError(error) {
+    if (error.message && (error.message.includes('pipeline_runs') || error.message.includes('pipeline_run_items'))) {
+      if (this.tableAvailable) {
+        logger.warn('pipeline_runs tables not found; run history will not be recorded');
+      }
+      this.tableAvailable = false;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Insert a running pipeline_runs row.
+   * @returns {Promise<number|null>} Run ID, or null when history is unavailable
+   */
+  async startRun({ pipeline = 'leads', triggerSource = 'manual', startedAt }) {
+    if (!this.tableAvailable) return null;
+    const db = getSupabase();
+
+    const { data, error } = await db
+      .from('pipeline_runs')
+      .insert({
+        pipeline,
+        trigger_source: triggerSource,
+        status: 'running',
+        started_at: startedAt || new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (!this.handleTableError(error)) {
+        logger.warn({ error: error.message }, 'Failed to record pipeline run start');
+      }
+      return null;
+    }
+    return data.id;
+  }
+
+  /**
+   * Build a pipeline_run_items row from a processContact report (or a failure).
+   */
+  buildItem(runId, contact, { report = null, error = null, isRetry = false } = {}) {
+    const outcome = error ? 'failed' : report?.outcome;
+    return {
+      run_id: runId,
+      contact_id: String(contact.id),
+      email: report?.email || contact.properties?.email || null,
+      outcome,
+      reason: error
+        ? String(error.message || error).slice(0, 2000)
+        : report?.reason || null,
+      step: error ? (error.pipelineStep || 'unknown') : null,
+      owner: report?.ownerName || null,
+      owner_resolution: report?.ownerResolution || null,
+      campaign_id: report?.campaignId || null,
+      routing_rule_id: report?.routingRule?.id || null,
+      routing_rule_version: report?.routingRule?.version ?? null,
+      salesforce_status: report?.salesforce?.status || null,
+      data_quality_status: report?.dataQuality?.status || null,
+      data_quality_reason: report?.dataQuality?.reason || null,
+      is_retry: isRetry
+    };
+  }
+
+  /**
+   * Insert buffered run items.
+   */
+  async recordItems(items) {
+    if (!this.tableAvailable || !items || items.length === 0) return;
+    const db = getSupabase();
+
+    for (let i = 0; i < items.length; i += ITEM_BATCH_SIZE) {
+      const { error } = await db
+        .from('pipeline_run_items')
+        .insert(items.slice(i, i + ITEM_BATCH_SIZE));
+
+      if (error) {
+        if (!this.handleTableError(error)) {
+          logger.warn({ runId: items[0].run_id, count: items.length, error: error.message }, 'Failed to record pipeline run items');
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Record the final status and counts of a run.
+   * @param {number|null} runId
+   * @param {Object} results - LeadPipelineService.run() results
+   * @param {string} status - success | partial | failed
+   */
+  async finishRun(runId, results, status) {
+    if (!runId || !this.tableAvailable) return;
+    const db = getSupabase();
+    const completedAt = results.completedAt || new Date().toISOString();
+
+    const { error } = await db
+      .from('pipeline_runs')
+      .update({
+        status,
+        completed_at: completedAt,
+        duration_ms: new Date(completedAt) - new Date(results.startedAt),
+        searched_since: results.searchedSince || null,
+        processed: results.processed,
+        succeeded: results.succeeded,
+        failed: results.failed,
+        skipped: results.skipped,
+        duplicates: results.duplicates,
+        retried: results.retried || 0,
+        deferred: results.deferred || 0,
+        enrichment_pending: results.enrichmentPending || 0,
+        complete: results.complete !== false,
+        resume_cursor: results.cursor || null,
+        hubspot_updated: results.hubspotUpdated || 0,
+        error_message: results.error || null
+      })
+      .eq('id', runId);
+
+    if (error) {
+      logger.warn({ runId, error: error.message }, 'Failed to record pipeline run completion');
+    }
+  }
+
+  /**
+   * List runs, newest first.
+   * contactId/email restrict the list to runs that handled that contact.
+   */
+  async listRuns({ from = null, to = null, triggerSource = null, status = null, contactId = null, email = null, limit = 50, offset = 0 } = {}) {
+    const db = getSupabase();
+
+    let query = db
+      .from('pipeline_runs')
+      .select('*', { count: 'exact' })
+      .order('started_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (from) query = query.gte('started_at', from);
+    if (to) query = query.lte('started_at', to);
+    if (triggerSource) query = query.eq('trigger_source', triggerSource);
+    if (status) query = query.eq('status', status);
+
+    if (contactId || email) {
+      let itemQuery = db.from('pipeline_run_items').select('run_id');
+      if (contactId) itemQuery = itemQuery.eq('contact_id', String(contactId));
+      if (email) itemQuery = itemQuery.ilike('email', email);
+
+      const { data: items, error: itemError } = await itemQuery;
+      if (itemError) throw itemError;
+
+      const runIds = Array.from(new Set((items || []).map(item => item.run_id)));
+      if (runIds.length === 0) {
+        return { runs: [], total: 0 };
+      }
+      query = query.in('id', runIds);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { runs: data || [], total: count || 0 };
+  }
+
+  /**
+   * Get a run with its per-contact items.
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(id, { outcome = null, contactId = null, email = null } = {}) {
+    const db = getSupabase();
+
+    const { data: runs, error } = await db
+      .from('pipeline_runs')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    if (!runs || runs.length === 0) return null;
+
+    let itemQuery = db
+      .from('pipeline_run_items')
+      .select('*')
+      .eq('run_id', id)
+      .order('id', { ascending: true });
+
+    if (outcome) itemQuery = itemQuery.eq('outcome', outcome);
+    if (contactId) itemQuery = itemQuery.eq('contact_id', String(contactId));
+    if (email) itemQuery = itemQuery.ilike('email', email);
+
+    const { data: items, error: itemError } = await itemQuery;
+    if (itemError) throw itemError;
+
+    return { ...runs[0], items: items || [] };
+  }
+}
+
+module.exports = new PipelineRunService();
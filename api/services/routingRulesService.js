@@ -0,0 +1,246 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const { evaluateConditions } = require('../utils/conditions');
+
+const logger = createLogger('routing-rules');
+
+// Rules change rarely; cache per serverless instance for a minute.
+const RULES_CACHE_TTL_MS = 60 * 1000;
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Routing Rules Service
+ * Loads the active, versioned rule set from Supabase and matches contacts against it.
+ */
+class RoutingRulesService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+    this.tableAvailable = true;
+  }
+
+  /**
+   * Get the active rule set (cached).
+   * @returns {Promise<{version: number|null, rules: Array}>}
+   */
+  async getActiveRules({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.cache && Date.now() - this.cachedAt < RULES_CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    if (!this.tableAvailable) {
+      return { version: null, rules: [] };
+    }
+
+    const db = getSupabase();
+
+    try {
+      const { data: sets, error: setError } = await db
+        .from('routing_rule_sets')
+        .select('version')
+        .eq('is_active', true)
+        .limit(1);
+
+      if (setError) throw setError;
+
+      const version = sets?.[0]?.version ?? null;
+      if (version === null) {
+        this.cache = { version: null, rules: [] };
+        this.cachedAt = Date.now();
+        return this.cache;
+      }
+
+      const { data: rules, error: rulesError } = await db
+        .from('routing_rules')
+        .select('id, priority, name, conditions, match, campaign_id, owner, is_active')
+        .eq('rule_set_version', version)
+        .eq('is_active', true)
+        .order('priority', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (rulesError) throw rulesError;
+
+      this.cache = { version, rules: rules || [] };
+      this.cachedAt = Date.now();
+      return this.cache;
+    } catch (error) {
+      if (error.message && error.message.includes('routing_rule')) {
+        this.tableAvailable = false;
+        logger.warn('routing_rule_sets table not found; using owner mapping only');
+      } else {
+        logger.warn({ error: error.message }, 'Failed to load routing rules; using owner mapping only');
+      }
+      return { version: null, rules: [] };
+    }
+  }
+
+  /**
+   * Find the first rule matching a contact.
+   * @param {Object} record - Flat map of contact properties
+   * @returns {Promise<Object|null>} { id, name, version, campaignId, owner } or null
+   */
+  async match(record) {
+    const { version, rules } = await this.getActiveRules();
+
+    for (const rule of rules) {
+      if (evaluateConditions(rule.conditions, record, rule.match)) {
+        return {
+          id: String(rule.id),
+          name: rule.name,
+          version,
+          campaignId: rule.campaign_id || null,
+          owner: rule.owner || null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Contact properties referenced by the active rules, so the HubSpot search can fetch them.
+   * @returns {Promise<string[]>}
+   */
+  async getReferencedProperties() {
+    const { rules } = await this.getActiveRules();
+    const properties = new Set();
+    for (const rule of rules) {
+      for (const condition of (Array.isArray(rule.conditions) ? rule.conditions : [])) {
+        if (condition?.property) properties.add(condition.property);
+      }
+    }
+    return Array.from(properties);
+  }
+
+  /**
+   * List every rule set version, newest first.
+   */
+  async listVersions() {
+    const db = getSupabase();
+    const { data, error } = await db
+      .from('routing_rule_sets')
+      .select('*')
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get one rule set with its rules. Defaults to the active version.
+   */
+  async getRuleSet(version = null) {
+    const db = getSupabase();
+
+    let setQuery = db.from('routing_rule_sets').select('*');
+    setQuery = version === null
+      ? setQuery.eq('is_active', true)
+      : setQuery.eq('version', version);
+
+    const { data: sets, error: setError } = await setQuery.limit(1);
+    if (setError) throw setError;
+    if (!sets || sets.length === 0) return null;
+
+    const { data: rules, error: rulesError } = await db
+      .from('routing_rules')
+      .select('*')
+      .eq('rule_set_version', sets[0].version)
+      .order('priority', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (rulesError) throw rulesError;
+    return { ...sets[0], rules: rules || [] };
+  }
+
+  /**
+   * Rules without a priority (a blank form field included) take their position.
+   */
+  hasDefaultPriority(rule) {
+    return rule.priority === undefined || rule.priority === null || String(rule.priority).trim() === '';
+  }
+
+  /**
+   * Publish a new rule set version. Rules are stored in the given order unless
+   * they carry an explicit priority.
+   *
+   * @param {Array} rules - [{ name, conditions, match, campaign_id, owner }]
+   * @param {Object} options - { description, createdBy, activate }
+   */
+  async publish(rules, { description = null, createdBy = null, activate = true } = {}) {
+    if (!Array.isArray(rules)) {
+      const error = new Error('rules must be an array');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    rules.forEach((rule, index) => {
+      if (!rule || !rule.name || (!rule.campaign_id && !rule.owner)) {
+        const error = new Error(`Rule at index ${index} needs a name and a campaign_id or owner`);
+        error.statusCode = 400;
+        throw error;
+      }
+      const validPriority = ['number', 'string'].includes(typeof rule.priority) && Number.isInteger(Number(rule.priority));
+      if (!this.hasDefaultPriority(rule) && !validPriority) {
+        const error = new Error(`Rule at index ${index} has an invalid priority`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    const rows = rules.map((rule, index) => ({
+      priority: this.hasDefaultPriority(rule) ? (index + 1) * 10 : Number(rule.priority),
+      name: rule.name,
+      conditions: rule.conditions || [],
+      match: rule.match === 'any' ? 'any' : 'all',
+      campaign_id: rule.campaign_id || null,
+      owner: rule.owner || null,
+      is_active: rule.is_active !== false
+    }));
+
+    // Version numbering, inserts and activation run in one transaction
+    const { data: version, error } = await getSupabase().rpc('publish_routing_rule_set', {
+      p_description: description,
+      p_created_by: createdBy,
+      p_rules: rows,
+      p_activate: activate
+    });
+
+    if (error) throw error;
+    if (activate) this.cache = null;
+
+    logger.info({ version, ruleCount: rules.length, activate }, 'Published routing rule set');
+    return this.getRuleSet(version);
+  }
+
+  /**
+   * Make a rule set version the active one (also used for rollback).
+   * The switch is a single transaction, so there is always an active version.
+   */
+  async activate(version) {
+    const { data: found, error } = await getSupabase()
+      .rpc('activate_routing_rule_set', { p_version: version });
+
+    if (error) throw error;
+    if (!found) {
+      const notFound = new Error(`Routing rule set version ${version} not found`);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    this.cache = null;
+    logger.info({ version }, 'Activated routing rule set');
+  }
+}
+
+module.exports = new RoutingRulesService();
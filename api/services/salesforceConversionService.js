@@ -0,0 +1,231 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const SalesforceClient = require('../clients/salesforce');
+const { isPersonalEmail } = require('../utils/contactQuality');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('salesforce-conversion');
+
+const MATCH_STRATEGIES = ['email_domain', 'company_name'];
+const MATCH_DECISIONS = {
+  email_domain: 'matched_domain',
+  company_name: 'matched_company_name'
+};
+
+let supabase, salesforce;
+
+function getClients() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  if (!salesforce) {
+    salesforce = new SalesforceClient();
+  }
+  return { supabase, salesforce };
+}
+
+/**
+ * Normalize a Website value to a bare host ("https://www.acme.com/about" → "acme.com").
+ */
+function normalizeWebsite(website) {
+  return String(website || '')
+    .toLowerCase()
+    .trim()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+}
+
+/**
+ * Salesforce Conversion Service
+ * Converts Salesforce Leads to Contacts using routing.json `salesforce_conversion`:
+ * existing-Account matching (email domain, HubSpot company name), converted status,
+ * owner from the routing result and optional Opportunity creation. Every conversion
+ * is recorded in salesforce_conversions.
+ */
+class SalesforceConversionService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  getSettings() {
+    const settings = routingConfig.salesforce_conversion || {};
+    const matching = settings.account_matching || {};
+    return {
+      convertedStatus: settings.converted_status || null,
+      matchStrategies: (Array.isArray(matching.strategies) ? matching.strategies : MATCH_STRATEGIES)
+        .filter(strategy => MATCH_STRATEGIES.includes(strategy)),
+      websiteField: matching.website_field || 'Website',
+      onMultipleMatches: matching.on_multiple_matches === 'most_recent' ? 'most_recent' : 'create',
+      setOwner: settings.set_owner_from_routing !== false,
+      createOpportunity: settings.create_opportunity === true,
+      opportunityName: settings.opportunity_name || '{{companyName}} - Inbound'
+    };
+  }
+
+  /**
+   * Find an existing Account for the lead, trying each strategy in order.
+   * @param {Object} options - { email, companyName }
+   * @returns {Promise<{accountId: string|null, decision: string, strategy: string|null, candidates: Array}>}
+   */
+  async findAccount({ email, companyName }, settings = this.getSettings()) {
+    const candidates = [];
+    let ambiguous = false;
+
+    for (const strategy of settings.matchStrategies) {
+      const accounts = strategy === 'email_domain'
+        ? await this.findAccountsByDomain(email, settings)
+        : await this.findAccountsByName(companyName);
+
+      candidates.push(...accounts.map(account => ({ strategy, id: account.Id, name: account.Name })));
+      if (accounts.length === 1 || (accounts.length > 1 && settings.onMultipleMatches === 'most_recent')) {
+        return { accountId: accounts[0].Id, decision: MATCH_DECISIONS[strategy], strategy, candidates };
+      }
+      if (accounts.length > 1) ambiguous = true;
+    }
+
+    return { accountId: null, decision: ambiguous ? 'ambiguous_created' : 'created', strategy: null, candidates };
+  }
+
+  async findAccountsByDomain(email, settings) {
+    const { salesforce } = getClients();
+    const domain = String(email || '').split('@')[1]?.toLowerCase().trim();
+    if (!domain || isPersonalEmail(email)) return [];
+
+    const field = settings.websiteField;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+      throw new Error(`Invalid account_matching.website_field: ${field}`);
+    }
+
+    const pattern = salesforce.escapeSoqlLiteral(domain).replace(/[%_]/g, '\\$&');
+    const rows = await salesforce.query(
+      `SELECT Id, Name, ${field} FROM Account WHERE ${field} LIKE '%${pattern}%' ORDER BY LastModifiedDate DESC LIMIT 20`
+    );
+    // LIKE also matches e.g. "notacme.com"; keep exact host matches only
+    return rows.filter(row => normalizeWebsite(row[field]) === domain);
+  }
+
+  async findAccountsByName(companyName) {
+    const { salesforce } = getClients();
+    const name = String(companyName || '').trim();
+    if (!name) return [];
+
+    return salesforce.query(
+      `SELECT Id, Name FROM Account WHERE Name = '${salesforce.escapeSoqlLiteral(name)}' ORDER BY LastModifiedDate DESC LIMIT 20`
+    );
+  }
+
+  /**
+   * Decide how a Lead would be converted without converting it.
+   * @param {Object} context - { email, companyName, owner, campaignId }
+   */
+  async plan(context) {
+    const settings = this.getSettings();
+    const account = await this.findAccount(context, settings);
+    const ownerId = settings.setOwner ? context.owner?.salesforce_user_id || null : null;
+
+    return {
+      convertedStatus: settings.convertedStatus,
+      accountId: account.accountId,
+      accountDecision: account.decision,
+      accountStrategy: account.strategy,
+      candidates: account.candidates,
+      ownerId,
+      createOpportunity: settings.createOpportunity,
+      opportunityName: settings.createOpportunity
+        ? this.renderOpportunityName(settings.opportunityName, context)
+        : null
+    };
+  }
+
+  renderOpportunityName(template, context) {
+    const values = {
+      companyName: context.companyName || '',
+      ownerName: context.owner?.display_name || '',
+      email: context.email || ''
+    };
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? '').trim();
+  }
+
+  /**
+   * Convert a Lead and record the conversion.
+   * @param {string} leadId - Salesforce Lead ID
+   * @param {Object} context - { hubspotContactId, email, companyName, owner, campaignId }
+   * @returns {Promise<Object>} { leadId, contactId, accountId, opportunityId, convertedStatus, accountDecision }
+   */
+  async convert(leadId, context) {
+    const { salesforce } = getClients();
+    const plan = await this.plan(context);
+
+    let converted;
+    try {
+      converted = await salesforce.convertLeadToContact(leadId, {
+        convertedStatus: plan.convertedStatus,
+        accountId: plan.accountId,
+        ownerId: plan.ownerId,
+        createOpportunity: plan.createOpportunity,
+        opportunityName: plan.opportunityName
+      });
+    } catch (error) {
+      await this.recordConversion(leadId, context, plan, { status: 'failed', error_message: error.message });
+      throw error;
+    }
+
+    await this.recordConversion(leadId, context, plan, {
+      status: 'converted',
+      contact_id: converted.contactId || null,
+      account_id: converted.accountId || plan.accountId,
+      opportunity_id: converted.opportunityId || null,
+      converted_status: converted.convertedStatus
+    });
+
+    logger.info({
+      leadId,
+      contactId: converted.contactId,
+      accountId: converted.accountId,
+      accountDecision: plan.accountDecision,
+      opportunityId: converted.opportunityId || null
+    }, 'Salesforce Lead converted');
+
+    return { ...converted, accountDecision: plan.accountDecision };
+  }
+
+  async recordConversion(leadId, context, plan, fields) {
+    if (!this.tableAvailable) return;
+    const { supabase } = getClients();
+
+    const { error } = await supabase
+      .from('salesforce_conversions')
+      .insert({
+        hubspot_contact_id: String(context.hubspotContactId),
+        email: context.email || null,
+        lead_id: leadId,
+        owner_id: plan.ownerId,
+        converted_status: plan.convertedStatus,
+        account_decision: plan.accountDecision,
+        decision: {
+          accountStrategy: plan.accountStrategy,
+          candidates: plan.candidates,
+          createOpportunity: plan.createOpportunity,
+          opportunityName: plan.opportunityName,
+          owner: context.owner?.name || null,
+          campaignId: context.campaignId || null
+        },
+        ...fields
+      });
+
+    if (error) {
+      if (error.message && error.message.includes('salesforce_conversions')) {
+        this.tableAvailable = false;
+        logger.warn('salesforce_conversions table not found; conversions will not be recorded');
+      } else {
+        logger.warn({ leadId, error: error.message }, 'Failed to record Salesforce conversion');
+      }
+    }
+  }
+}
+
+module.exports = new SalesforceConversionService();
@@ -0,0 +1,227 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const { draftSourceContextSummary } = require('../clients/anthropic');
+const curatedSourceContexts = require('../config/source-contexts.json');
+const routingConfig = require('../config/routing.json');
+
+const logger = createLogger('source-contexts');
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'failed'];
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Source Context Service
+ * AI-drafted context summaries for lead_source_contexts rows scaffolded with a raw
+ * source value. Drafts wait for approval; only an approved draft replaces the
+ * context_summary sent to Lemlist.
+ */
+class SourceContextService {
+  getSettings() {
+    const settings = routingConfig.source_context_drafts || {};
+    return {
+      enabled: settings.enabled !== false,
+      maxExamples: Number(settings.max_examples) || 8,
+      batchSize: Number(settings.batch_size) || 20
+    };
+  }
+
+  /**
+   * Curated summaries used as style examples in the prompt.
+   */
+  getExamples(maxExamples) {
+    return Object.entries(curatedSourceContexts)
+      .slice(0, maxExamples)
+      .map(([source, summary]) => ({ source, summary }));
+  }
+
+  /**
+   * Draft a summary for a source value and store it as pending review.
+   * Generation failures are stored as draft_status 'failed' rather than thrown.
+   * @param {string} sourceValue
+   * @returns {Promise<Object|null>} Updated row, or null when drafting is disabled
+   */
+  async draft(sourceValue) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return null;
+
+    let fields;
+    try {
+      const { summary, model } = await draftSourceContextSummary(sourceValue, this.getExamples(settings.maxExamples));
+      fields = { draft_summary: summary, draft_model: model, draft_status: 'pending', draft_error: null };
+    } catch (error) {
+      fields = { draft_status: 'failed', draft_error: error.message };
+    }
+
+    const { data, error } = await getSupabase()
+      .from('lead_source_contexts')
+      .update({ ...fields, drafted_at: new Date().toISOString(), reviewed_at: null, reviewed_by: null })
+      .eq('source_value', sourceValue)
+      .select();
+
+    if (error) {
+      logger.warn({ sourceValue, error: error.message }, 'Failed to store source context draft');
+      return null;
+    }
+
+    logger.info({ sourceValue, draftStatus: fields.draft_status }, 'Source context draft stored for review');
+    return data?.[0] || null;
+  }
+
+  /**
+   * Draft summaries for rows the pipeline scaffolded with their raw source value
+   * (no draft yet). Run from the draft-source-contexts cron so the model call never
+   * holds up lead processing.
+   * @returns {Promise<Object>} { drafted, failed, remaining }
+   */
+  async draftScaffolded() {
+    const settings = this.getSettings();
+    const results = { drafted: 0, failed: 0, remaining: 0 };
+    if (!settings.enabled) return results;
+
+    const { data, error } = await getSupabase()
+      .from('lead_source_contexts')
+      .select('source_value, context_summary')
+      .is('draft_status', null)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    // Rows with a curated or imported summary were never scaffolded and need no draft
+    const scaffolded = (data || []).filter(row => {
+      const summary = String(row.context_summary || '').trim();
+      return !summary || summary === String(row.source_value).trim();
+    });
+    const batch = scaffolded.slice(0, settings.batchSize);
+    results.remaining = scaffolded.length - batch.length;
+
+    for (const row of batch) {
+      const updated = await this.draft(row.source_value);
+      if (updated?.draft_status === 'pending') {
+        results.drafted++;
+      } else {
+        results.failed++;
+      }
+    }
+
+    logger.info(results, 'Drafted summaries for scaffolded source contexts');
+    return results;
+  }
+
+  /**
+   * List source contexts, optionally filtered by draft status.
+   * @param {Object} options - { draftStatus }
+   */
+  async list({ draftStatus = null } = {}) {
+    if (draftStatus && !DRAFT_STATUSES.includes(draftStatus)) {
+      throw badRequest(`draftStatus must be one of: ${DRAFT_STATUSES.join(', ')}`);
+    }
+
+    let query = getSupabase()
+      .from('lead_source_contexts')
+      .select('*')
+      .order('created_at', { ascending: false });
+    if (draftStatus) query = query.eq('draft_status', draftStatus);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getById(id) {
+    const { data, error } = await getSupabase()
+      .from('lead_source_contexts')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Generate a new draft for an existing row (e.g. after a rejection).
+   */
+  async redraft(id) {
+    const row = await this.getById(id);
+    if (!row) return null;
+    if (!this.getSettings().enabled) {
+      throw badRequest('Source context drafting is disabled (routing.json source_context_drafts.enabled)');
+    }
+    return this.draft(row.source_value);
+  }
+
+  /**
+   * Approve a draft: the drafted text (or an edited version) becomes the context summary.
+   * @param {string} id
+   * @param {Object} options - { summary (edited text), reviewedBy }
+   */
+  async approve(id, { summary = null, reviewedBy = null } = {}) {
+    const row = await this.getById(id);
+    if (!row) return null;
+
+    const approved = String(summary || row.draft_summary || '').trim();
+    if (!approved) {
+      throw badRequest('No drafted summary to approve; provide summary');
+    }
+
+    const updated = await this.review(id, {
+      context_summary: approved,
+      draft_summary: approved,
+      draft_status: 'approved'
+    }, reviewedBy);
+    this.clearPipelineCache(row.source_value);
+    logger.info({ sourceValue: row.source_value, reviewedBy }, 'Source context draft approved');
+    return updated;
+  }
+
+  /**
+   * Reject a draft; the row keeps its current context summary.
+   */
+  async reject(id, { reviewedBy = null } = {}) {
+    const row = await this.getById(id);
+    if (!row) return null;
+    if (row.draft_status !== 'pending') {
+      throw badRequest(`Only pending drafts can be rejected (draft is ${row.draft_status || 'missing'})`);
+    }
+    return this.review(id, { draft_status: 'rejected' }, reviewedBy);
+  }
+
+  async review(id, fields, reviewedBy) {
+    const { data, error } = await getSupabase()
+      .from('lead_source_contexts')
+      .update({ ...fields, reviewed_at: new Date().toISOString(), reviewed_by: reviewedBy })
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Drop the pipeline's in-memory summary so this instance sends the approved text.
+   */
+  clearPipelineCache(sourceValue) {
+    const leadPipelineService = require('./leadPipelineService');
+    leadPipelineService.sourceContextCache.delete(String(sourceValue).trim().toLowerCase());
+  }
+}
+
+module.exports = new SourceContextService();
@@ -0,0 +1,188 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('source-taxonomy');
+
+// Rules change rarely; cache per serverless instance for five minutes.
+const RULES_CACHE_TTL_MS = 5 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+// Used when no rule matches: UNMATCHED for an unrecognized source detail, NO_SOURCE when there is none
+const UNMATCHED = Object.freeze({ category: 'Other', sfdcValue: 'Other' });
+const NO_SOURCE = Object.freeze({ category: 'Inbound (Other)', sfdcValue: 'Other' });
+
+// Same rules as the source_taxonomy_rules seed, used when the table is missing
+const DEFAULT_RULES = [
+  { id: 'default-10', priority: 10, name: 'Lead magnet prefix', field: 'source_detail', match_type: 'regex', pattern: '^LM\\s*[-–—]\\s*(.*)', category: 'Lead Magnet', sfdc_value: 'Lead Magnet' },
+  { id: 'default-20', priority: 20, name: 'Lead magnet mention', field: 'source_detail', match_type: 'contains', pattern: 'lead magnet', category: 'Lead Magnet', sfdc_value: 'Lead Magnet' },
+  { id: 'default-30', priority: 30, name: 'Contact us prefix', field: 'source_detail', match_type: 'prefix', pattern: 'CU -', category: 'Contact Us', sfdc_value: 'Contact Us' },
+  { id: 'default-40', priority: 40, name: 'Contact us mention', field: 'source_detail', match_type: 'regex', pattern: 'contact\\s*us', category: 'Contact Us', sfdc_value: 'Contact Us' },
+  { id: 'default-50', priority: 50, name: 'Referral', field: 'source_detail', match_type: 'contains', pattern: 'referral', category: 'Referral', sfdc_value: 'Referral' },
+  { id: 'default-60', priority: 60, name: 'Partner', field: 'source_detail', match_type: 'contains', pattern: 'partner', category: 'Referral', sfdc_value: 'Referral' },
+  { id: 'default-70', priority: 70, name: 'SEO', field: 'source_detail', match_type: 'contains', pattern: 'seo', category: 'Organic', sfdc_value: 'Referral' },
+  { id: 'default-80', priority: 80, name: 'Organic', field: 'source_detail', match_type: 'contains', pattern: 'organic', category: 'Organic', sfdc_value: 'Referral' },
+  { id: 'default-90', priority: 90, name: 'Contact us lead source', field: 'lead_source', match_type: 'equals', pattern: 'contact_us', category: 'Contact Us', sfdc_value: 'Contact Us' }
+];
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Test one rule against a value.
+ * @returns {{matched: boolean, detail: string|null}} detail is a regex capture group
+ */
+function matchRule(rule, value) {
+  const text = String(value || '').trim();
+  if (!text) return { matched: false, detail: null };
+  const lower = text.toLowerCase();
+  const pattern = String(rule.pattern || '');
+
+  switch (rule.match_type) {
+    case 'equals':
+      return { matched: lower === pattern.toLowerCase(), detail: null };
+    case 'prefix':
+      return { matched: lower.startsWith(pattern.toLowerCase()), detail: null };
+    case 'contains':
+      return { matched: lower.includes(pattern.toLowerCase()), detail: null };
+    case 'regex': {
+      let match;
+      try {
+        match = text.match(new RegExp(pattern, 'i'));
+      } catch {
+        logger.warn({ ruleId: rule.id, pattern }, 'Invalid source taxonomy regex');
+        return { matched: false, detail: null };
+      }
+      return { matched: !!match, detail: match?.[1]?.trim() || null };
+    }
+    default:
+      return { matched: false, detail: null };
+  }
+}
+
+/**
+ * Source Taxonomy Service
+ * Categorizes a lead's HubSpot source (hs_object_source_detail_1, falling back to
+ * lead_source) into a dashboard category and the Salesforce Source__c value, using
+ * the ordered rules in source_taxonomy_rules.
+ */
+class SourceTaxonomyService {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+    this.tableAvailable = true;
+  }
+
+  /**
+   * Active rules in priority order (cached).
+   */
+  async getRules({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.cache && Date.now() - this.cachedAt < RULES_CACHE_TTL_MS) {
+      return this.cache;
+    }
+    if (!this.tableAvailable) return DEFAULT_RULES;
+
+    const { data, error } = await getSupabase()
+      .from('source_taxonomy_rules')
+      .select('*')
+      .eq('is_active', true)
+      .order('priority', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      if (error.message && error.message.includes('source_taxonomy_rules')) {
+        this.tableAvailable = false;
+        logger.warn('source_taxonomy_rules table not found; using built-in source taxonomy');
+      } else {
+        logger.warn({ error: error.message }, 'Failed to load source taxonomy rules; using built-in rules');
+      }
+      return this.cache || DEFAULT_RULES;
+    }
+
+    this.cache = data || [];
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  /**
+   * Categorize with an already-loaded rule list (for loops over many leads).
+   * @returns {{category: string, sfdcValue: string, detail: string|null, ruleId: string|null}}
+   *   detail is the specific source within the category (e.g. the lead magnet name)
+   */
+  categorizeWith(rules, sourceDetail, leadSource = null) {
+    const values = { source_detail: sourceDetail, lead_source: leadSource };
+
+    for (const rule of rules) {
+      const { matched, detail } = matchRule(rule, values[rule.field || 'source_detail']);
+      if (matched) {
+        return { category: rule.category, sfdcValue: rule.sfdc_value, detail, ruleId: String(rule.id) };
+      }
+    }
+
+    const trimmed = sourceDetail ? String(sourceDetail).trim() : '';
+    const fallback = trimmed ? UNMATCHED : NO_SOURCE;
+    return { ...fallback, detail: trimmed || null, ruleId: null };
+  }
+
+  /**
+   * Categorize one lead source.
+   * @param {string} sourceDetail - hs_object_source_detail_1
+   * @param {string} leadSource - lead_source
+   */
+  async categorize(sourceDetail, leadSource = null) {
+    return this.categorizeWith(await this.getRules(), sourceDetail, leadSource);
+  }
+
+  /**
+   * How every distinct source in processed_leads is categorized, most common first.
+   * @returns {Promise<{rulesSource: string, sources: Array}>}
+   */
+  async preview() {
+    const counts = new Map();
+    let from = 0;
+
+    while (true) {
+      const { data, error } = await getSupabase()
+        .from('processed_leads')
+        .select('source_detail, lead_source')
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      for (const row of data || []) {
+        const sourceDetail = row.source_detail ? String(row.source_detail).trim() : null;
+        const leadSource = row.lead_source || null;
+        const key = JSON.stringify([sourceDetail, leadSource]);
+        const entry = counts.get(key) || { sourceDetail, leadSource, leads: 0 };
+        entry.leads++;
+        counts.set(key, entry);
+      }
+      if (!data || data.length < PAGE_SIZE) break;
+      from += PAGE_SIZE;
+    }
+
+    const rules = await this.getRules({ forceRefresh: true });
+    const rulesById = new Map(rules.map(rule => [String(rule.id), rule]));
+    const sources = Array.from(counts.values())
+      .map(entry => {
+        const result = this.categorizeWith(rules, entry.sourceDetail, entry.leadSource);
+        return {
+          ...entry,
+          ...result,
+          ruleName: result.ruleId ? rulesById.get(result.ruleId)?.name || null : null
+        };
+      })
+      .sort((a, b) => b.leads - a.leads);
+
+    return { rulesSource: this.tableAvailable ? 'table' : 'built_in', sources };
+  }
+}
+
+module.exports = new SourceTaxonomyService();
@@ -4,8 +4,9 @@ const LemlistClient = require('../clients/lemlist');
 const LemcalClient = require('../clients/lemcal');
 const SalesforceClient = require('../clients/salesforce');
 const { config } = require('../config');
-const routingConfig = require('../config/routing.json');
 const leadPipelineService = require('./leadPipelineService');
+const campaignMembershipService = require('./campaignMembershipService');
+const ownerService = require('./ownerService');
 
 const logger = createLogger('sync-service');
 
@@ -38,11 +39,30 @@ function getClients() {
 class SyncService {
   /**
    * Trigger a sync for specified type or all types
+   * A dry run only exercises the lead pipeline, since every other sync is a write.
    */
-  async triggerSync(type = 'all') {
+  async triggerSync(type = 'all', { dryRun = false } = {}) {
     const results = {};
 
+    if (dryRun) {
+      if (type === 'all' || type === 'leads') {
+        results.leads = await leadPipelineService.run({ dryRun: true });
+      }
+      return results;
+    }
+
     try {
+      // Refresh the owner directory first so the pipeline routes with current owners
+      if (type === 'all' || type === 'owners') {
+        try {
+          const ownerSyncService = require('./ownerSyncService');
+          results.owners = await ownerSyncService.sync();
+        } catch (error) {
+          logger.warn({ error: error.message }, 'Owner sync skipped');
+          results.owners = { synced: 0, message: error.message };
+        }
+      }
+
       // Sync HubSpot leads to Lemlist (the main pipeline)
       if (type === 'all' || type === 'leads') {
         results.leads = await leadPipelineService.run();
@@ -56,6 +76,16 @@ class SyncService {
         results.activities = await this.syncActivities();
       }
 
+      // After activities so the membership index reflects the same export
+      if (type === 'all' || type === 'memberships') {
+        try {
+          results.memberships = await this.syncCampaignMemberships();
+        } catch (error) {
+          logger.warn({ error: error.message }, 'Campaign memberships sync skipped');
+          results.memberships = { synced: 0, message: error.message };
+        }
+      }
+
       if (type === 'all' || type === 'meetings') {
         try {
           results.meetings = await this.syncMeetings();
@@ -109,13 +139,14 @@ class SyncService {
       const campaigns = await lemlist.getCampaigns();
       logger.info({ count: campaigns.length }, 'Fetched campaigns from Lemlist');
 
-      // Build reverse map: campaignId -> owners from routing config
+      // Build reverse map: campaignId -> owners from the owner directory
       const campaignOwnerMap = {};
-      for (const [ownerName, campaignId] of Object.entries(routingConfig.campaigns || {})) {
-        if (!campaignOwnerMap[campaignId]) {
-          campaignOwnerMap[campaignId] = [];
+      for (const owner of await ownerService.getActive()) {
+        if (!owner.default_campaign_id) continue;
+        if (!campaignOwnerMap[owner.default_campaign_id]) {
+          campaignOwnerMap[owner.default_campaign_id] = [];
         }
-        campaignOwnerMap[campaignId].push(ownerName);
+        campaignOwnerMap[owner.default_campaign_id].push(owner.name);
       }
 
       // Fetch actual metrics via /campaigns/reports endpoint (batched)
@@ -139,7 +170,7 @@ class SyncService {
       let synced = 0;
 
       for (const campaign of campaigns) {
-        // Look up owner from routing config; if shared by multiple owners, store null (team-wide)
+        // Look up owner from the directory; if shared by multiple owners, store null (team-wide)
         const owners = campaignOwnerMap[campaign._id] || [];
         const owner = owners.length === 1 ? owners[0] : null;
 
@@ -205,8 +236,8 @@ class SyncService {
     try {
       await this.updateSyncStatus('activities', 'in_progress');
 
-      // Get campaign IDs from routing config
-      const campaignIds = [...new Set(Object.values(routingConfig.campaigns || {}))];
+      // Get the owners' default campaign IDs from the directory
+      const campaignIds = [...new Set((await ownerService.getActive()).map(owner => owner.default_campaign_id))];
       let synced = 0;
 
       for (const campaignId of campaignIds) {
@@ -308,39 +339,10 @@ class SyncService {
           // Skip if already meeting_booked (higher priority status)
           if (currentStatus === 'meeting_booked') continue;
 
-          // A lead's sequence is "finished" if any of these are true:
-          // - They replied (email or LinkedIn)
-          // - They were marked notInterested
-          // - All sequence steps were sent (isFinished/isDone)
-          // CSV fields are strings: non-empty = truthy
-          // Also check step-level fields (repliedAt1, linkedinRepliedAt2, etc.)
-          const hasReply = Object.keys(lead).some(k =>
-            (k.startsWith('repliedAt') || k.startsWith('linkedinRepliedAt')) && lead[k]
-          );
-
-          const normalizedLeadStatus = String(lead.leadStatus || lead.status || '')
-            .trim()
-            .toLowerCase();
-          const hasInterestedMarker = Object.keys(lead).some((key) => {
-            const normalizedKey = key.toLowerCase();
-            return normalizedKey.includes('interestedat')
-              && !normalizedKey.includes('notinterestedat')
-              && !!lead[key];
-          });
-          const hasNotInterestedMarker = Object.keys(lead).some((key) => {
-            const normalizedKey = key.toLowerCase();
-            return normalizedKey.includes('notinterestedat') && !!lead[key];
-          });
-
-          const isInterested = normalizedLeadStatus === 'interested' || hasInterestedMarker;
-          const hasMeetingBooked = !!lead.meetingBooked
-            && String(lead.meetingBooked).toLowerCase() !== 'false';
-          const isNotInterested = normalizedLeadStatus === 'notinterested' || hasNotInterestedMarker;
-          const isSequenceDone = lead.isFinished || lead.isDone
-            || lead.sequenceCompleted === true || lead.sequenceCompleted === 'true';
+          const state = this.getExportLeadState(lead);
 
           // Interested (including manual interested) is treated as meeting_booked for reporting.
-          if (isInterested || hasMeetingBooked) {
+          if (state.isInterested || state.hasMeetingBooked) {
             meetingBookedEmails.add(email);
             continue;
           }
@@ -348,7 +350,7 @@ class SyncService {
           // Already sequence_finished and no higher-priority upgrade to meeting_booked.
           if (currentStatus === 'sequence_finished') continue;
 
-          if (isSequenceDone || hasReply || isNotInterested) {
+          if (state.isFinished) {
             finishedEmails.add(email);
           }
         }
@@ -392,6 +394,127 @@ class SyncService {
     }
   }
 
+  /**
+   * Derive a lead's sequence state from a Lemlist campaign export row.
+   * A lead's sequence is "finished" if any of these are true:
+   * - They replied (email or LinkedIn)
+   * - They were marked notInterested
+   * - All sequence steps were sent (isFinished/isDone)
+   * CSV fields are strings: non-empty = truthy
+   * Also checks step-level fields (repliedAt1, linkedinRepliedAt2, etc.)
+   */
+  getExportLeadState(lead) {
+    const hasReply = Object.keys(lead).some(k =>
+      (k.startsWith('repliedAt') || k.startsWith('linkedinRepliedAt')) && lead[k]
+    );
+
+    const normalizedLeadStatus = String(lead.leadStatus || lead.status || '')
+      .trim()
+      .toLowerCase();
+    const hasInterestedMarker = Object.keys(lead).some((key) => {
+      const normalizedKey = key.toLowerCase();
+      return normalizedKey.includes('interestedat')
+        && !normalizedKey.includes('notinterestedat')
+        && !!lead[key];
+    });
+    const hasNotInterestedMarker = Object.keys(lead).some((key) => {
+      const normalizedKey = key.toLowerCase();
+      return normalizedKey.includes('notinterestedat') && !!lead[key];
+    });
+
+    const isInterested = normalizedLeadStatus === 'interested' || hasInterestedMarker;
+    const hasMeetingBooked = !!lead.meetingBooked
+      && String(lead.meetingBooked).toLowerCase() !== 'false';
+    const isNotInterested = normalizedLeadStatus === 'notinterested' || hasNotInterestedMarker;
+    const isSequenceDone = lead.isFinished || lead.isDone
+      || lead.sequenceCompleted === true || lead.sequenceCompleted === 'true';
+
+    return {
+      leadStatus: normalizedLeadStatus || null,
+      isInterested,
+      hasMeetingBooked,
+      isFinished: !!(isSequenceDone || hasReply || isNotInterested)
+    };
+  }
+
+  /**
+   * Rebuild the campaign membership index (cross-campaign dedupe) from the
+   * export of every active Lemlist campaign.
+   */
+  async syncCampaignMemberships() {
+    logger.info('Starting campaign memberships sync');
+    const { supabase, lemlist } = getClients();
+    const syncedAt = new Date().toISOString();
+
+    try {
+      await this.updateSyncStatus('memberships', 'in_progress');
+
+      const campaigns = await campaignMembershipService.getActiveCampaigns();
+      let synced = 0;
+
+      for (const campaign of campaigns) {
+        let leads;
+        try {
+          leads = await lemlist.getCampaignLeadStatuses(campaign.id);
+        } catch (error) {
+          logger.warn({ campaignId: campaign.id, error: error.message }, 'Failed to export campaign leads for membership sync');
+          continue;
+        }
+
+        const rowsByEmail = new Map();
+        for (const lead of (Array.isArray(leads) ? leads : [])) {
+          const email = lead.email ? lead.email.toLowerCase().trim() : '';
+          if (!email) continue;
+          const state = this.getExportLeadState(lead);
+          rowsByEmail.set(email, {
+            campaign_id: campaign.id,
+            campaign_name: campaign.name,
+            email,
+            lead_status: state.leadStatus,
+            // Interested leads keep blocking other enrollments
+            sequence_finished: state.isFinished && !state.isInterested && !state.hasMeetingBooked,
+            source: 'export_sync',
+            synced_at: syncedAt
+          });
+        }
+
+        const rows = Array.from(rowsByEmail.values());
+        let failed = false;
+        for (let i = 0; i < rows.length; i += 500) {
+          const { error } = await supabase
+            .from('lemlist_campaign_memberships')
+            .upsert(rows.slice(i, i + 500), { onConflict: 'campaign_id,email' });
+
+          if (error) {
+            logger.error({ campaignId: campaign.id, error: error.message }, 'Failed to upsert campaign memberships');
+            failed = true;
+            break;
+          }
+        }
+        if (failed) continue;
+        synced += rows.length;
+
+        // Drop leads no longer in the export; pipeline-recorded rows get a day to show up in it
+        const pipelineGraceCutoff = new Date(Date.parse(syncedAt) - 24 * 60 * 60 * 1000).toISOString();
+        await supabase
+          .from('lemlist_campaign_memberships')
+          .delete()
+          .eq('campaign_id', campaign.id)
+          .lt('synced_at', syncedAt)
+          .or(`source.eq.export_sync,synced_at.lt.${pipelineGraceCutoff}`);
+      }
+
+      await this.updateSyncStatus('memberships', 'success', synced);
+      logger.info({ synced, campaigns: campaigns.length }, 'Campaign memberships sync completed');
+      return { synced, campaigns: campaigns.length };
+
+    } catch (error) {
+      await this.updateSyncStatus('memberships', 'failed', 0, error.message);
+      logger.error({ error: error.message }, 'Campaign memberships sync failed');
+      throw error;
+    }
+  }
+
   /**
    * Sync meetings from Lemcal API
    * Polls the Lemcal meetings endpoint and upserts into meetings table
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('webhook-events');
+
+// A delivery still "processing" after this long is assumed lost and may be retried
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+function hash(values) {
+  return crypto.createHash('sha256').update(JSON.stringify(values), 'utf8').digest('hex');
+}
+
+/**
+ * Webhook Event Service
+ * Delivery ledger in webhook_events keyed on a stable event key, so each
+ * provider event is processed once however often it is delivered.
+ */
+class WebhookEventService {
+  constructor() {
+    this.tableAvailable = true;
+  }
+
+  /**
+   * Stable key for one delivered event: the provider's event ID when it has one,
+   * otherwise a hash of type + email + campaign + timestamp (or of the whole
+   * payload when it carries no timestamp).
+   * @param {string} provider - hubspot, lemcal or lemlist
+   * @param {Object} event - { id, type, email, campaignId, timestamp, payload }
+   */
+  buildKey(provider, { id, type, email, campaignId, timestamp, payload }) {
+    const eventType = type || 'unknown';
+    if (id) return `${provider}:${eventType}:${id}`;
+
+    const normalizedEmail = email ? String(email).toLowerCase().trim() : null;
+    const values = timestamp
+      ? [eventType, normalizedEmail, campaignId || null, String(timestamp)]
+      : [eventType, normalizedEmail, campaignId || null, payload];
+    return `${provider}:h:${hash(values)}`;
+  }
+
+  /**
+   * Claim events for processing. New keys are inserted as processing; a key that
+   * previously failed (or whose attempt went stale) is claimed again.
+   * @param {string} provider
+   * @param {Array} events - [{ eventKey, eventType, email, payload }]
+   * @returns {Promise<Set<string>>} Keys this call should process; the rest are duplicates
+   */
+  async claim(provider, events) {
+    const keys = events.map(event => event.eventKey);
+    if (!this.tableAvailable || keys.length === 0) return new Set(keys);
+    const now = new Date().toISOString();
+
+    const { data: inserted, error } = await getSupabase()
+      .from('webhook_events')
+      .upsert(events.map(event => ({
+        provider,
+        event_key: event.eventKey,
+        event_type: event.eventType,
+        email: event.email || null,
+        payload: event.payload,
+        status: 'processing',
+        claimed_at: now,
+        processed_at: null
+      })), { onConflict: 'event_key', ignoreDuplicates: true })
+      .select('event_key');
+
+    if (error) {
+      if (error.message && (error.message.includes('event_key') || error.message.includes('webhook_events'))) {
+        this.tableAvailable = false;
+        logger.warn('webhook_events event_key column not found; webhook deliveries will not be deduplicated');
+      } else {
+        logger.warn({ provider, error: error.message }, 'Failed to claim webhook events; processing without deduplication');
+      }
+      return new Set(keys);
+    }
+
+    const claimed = new Set((inserted || []).map(row => row.event_key));
+    const existing = keys.filter(key => !claimed.has(key));
+    if (existing.length === 0) return claimed;
+
+    const staleBefore = new Date(Date.now() - STALE_CLAIM_MS).toISOString();
+    const { data: retried, error: retryError } = await getSupabase()
+      .from('webhook_events')
+      .update({ status: 'processing', claimed_at: now, error_message: null })
+      .in('event_key', existing)
+      .or(`status.eq.failed,and(status.eq.processing,claimed_at.lt.${staleBefore})`)
+      .select('event_key, attempts');
+
+    if (retryError) {
+      logger.warn({ provider, error: retryError.message }, 'Failed to reclaim failed webhook events');
+      return claimed;
+    }
+
+    for (const row of retried || []) {
+      claimed.add(row.event_key);
+      await getSupabase()
+        .from('webhook_events')
+        .update({ attempts: (row.attempts || 1) + 1 })
+        .eq('event_key', row.event_key);
+    }
+    return claimed;
+  }
+
+  /**
+   * Record the outcome of claimed events.
+   * @param {string[]} keys
+   * @param {Object} outcome - { status: 'processed'|'failed', result, errorMessage }
+   */
+  async finish(keys, { status, result = null, errorMessage = null }) {
+    if (!this.tableAvailable || keys.length === 0) return;
+
+    const { error } = await getSupabase()
+      .from('webhook_events')
+      .update({
+        status,
+        result,
+        error_message: errorMessage,
+        processed_at: new Date().toISOString()
+      })
+      .in('event_key', keys);
+
+    if (error) {
+      logger.warn({ keys: keys.length, status, error: error.message }, 'Failed to record webhook event outcome');
+    }
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -0,0 +1,114 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createLogger } = require('../utils/logger');
+const { config } = require('../config');
+
+const logger = createLogger('webhook-nonces');
+
+// Expired rows are deleted at most this often per instance
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const UNIQUE_VIOLATION = '23505';
+
+let supabase;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * Webhook Nonce Service
+ * Remembers the nonce of every verified webhook request in webhook_nonces so the
+ * same request is accepted only once within the retention window.
+ */
+class WebhookNonceService {
+  constructor() {
+    this.tableAvailable = true;
+    this.lastPrunedAt = 0;
+    // Per-instance fallback when the table is missing
+    this.memory = new Map();
+  }
+
+  /**
+   * Record a nonce.
+   * @param {string} provider - hubspot, lemcal or lemlist
+   * @param {string} nonce
+   * @returns {Promise<boolean>} false when the nonce was already used (replay)
+   */
+  async claim(provider, nonce) {
+    const now = Date.now();
+    const expiresAt = new Date(now + config.webhooks.nonceTtlMs).toISOString();
+
+    if (!this.tableAvailable) return this.claimInMemory(provider, nonce, now);
+    await this.pruneExpired(now);
+
+    const { error } = await getSupabase()
+      .from('webhook_nonces')
+      .insert({ provider, nonce, expires_at: expiresAt });
+
+    if (!error) return true;
+    if (error.code === UNIQUE_VIOLATION) return false;
+
+    if (error.message && error.message.includes('webhook_nonces')) {
+      this.tableAvailable = false;
+      logger.warn('webhook_nonces table not found; tracking webhook nonces in memory');
+      return this.claimInMemory(provider, nonce, now);
+    }
+
+    // The signature already passed; a storage failure should not drop the webhook
+    logger.warn({ provider, error: error.message }, 'Failed to record webhook nonce');
+    return true;
+  }
+
+  /**
+   * Forget a nonce so the provider's retry of a failed request is accepted.
+   */
+  async release(provider, nonce) {
+    const key = `${provider}:${nonce}`;
+    if (!this.tableAvailable) {
+      this.memory.delete(key);
+      return;
+    }
+
+    const { error } = await getSupabase()
+      .from('webhook_nonces')
+      .delete()
+      .eq('provider', provider)
+      .eq('nonce', nonce);
+
+    if (error) {
+      logger.warn({ provider, error: error.message }, 'Failed to release webhook nonce');
+    }
+  }
+
+  claimInMemory(provider, nonce, now) {
+    for (const [key, expiresAt] of this.memory) {
+      if (expiresAt <= now) this.memory.delete(key);
+    }
+
+    const key = `${provider}:${nonce}`;
+    if (this.memory.has(key)) return false;
+    this.memory.set(key, now + config.webhooks.nonceTtlMs);
+    return true;
+  }
+
+  async pruneExpired(now) {
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.lastPrunedAt = now;
+
+    const { error } = await getSupabase()
+      .from('webhook_nonces')
+      .delete()
+      .lt('expires_at', new Date(now).toISOString());
+
+    if (error && !(error.message && error.message.includes('webhook_nonces'))) {
+      logger.warn({ error: error.message }, 'Failed to prune expired webhook nonces');
+    }
+  }
+}
+
+module.exports = new WebhookNonceService();
@@ -2,9 +2,15 @@ const { createClient } = require('@supabase/supabase-js');
 const { createLogger } = require('../utils/logger');
 const LemlistClient = require('../clients/lemlist');
 const { config } = require('../config');
+const ownerService = require('./ownerService');
+const webhookEventService = require('./webhookEventService');
+const pipelineQueueService = require('./pipelineQueueService');
+const routingConfig = require('../config/routing.json');
 
 const logger = createLogger('webhook-service');
 
+const UNIQUE_VIOLATION = '23505';
+
 // Initialize clients lazily
 let supabase, lemlist;
 
@@ -27,7 +33,42 @@ function getClients() {
  */
 class WebhookService {
   /**
-   * Handle lemcal meeting booked webhook
+   * Process one delivered event at most once.
+   * Duplicate deliveries return { success: true, duplicate: true } without running the handler;
+   * a failed delivery is retried by the provider's next delivery.
+   *
+   * @param {string} provider - lemcal or lemlist
+   * @param {string} eventType - webhook_events.event_type
+   * @param {Object} payload - Webhook payload
+   * @param {Object} identity - { id, type, email, campaignId, timestamp } for the event key
+   * @param {Function} handler - Receives the event key
+   */
+  async processOnce(provider, eventType, payload, identity, handler) {
+    const eventKey = webhookEventService.buildKey(provider, { ...identity, payload });
+    const claimed = await webhookEventService.claim(provider, [{
+      eventKey,
+      eventType,
+      email: identity.email ? String(identity.email).toLowerCase().trim() : null,
+      payload
+    }]);
+
+    if (!claimed.has(eventKey)) {
+      logger.info({ provider, eventType, eventKey }, 'Duplicate webhook delivery ignored');
+      return { success: true, duplicate: true, eventKey };
+    }
+
+    try {
+      const result = await handler(eventKey);
+      await webhookEventService.finish([eventKey], { status: 'processed', result });
+      return result;
+    } catch (error) {
+      await webhookEventService.finish([eventKey], { status: 'failed', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Handle lemcal meeting booked webhook (once per meeting event)
    * 1. Stores meeting in meetings table
    * 2. Marks lead as interested in lemlist (triggers Salesforce opportunity)
    *
@@ -35,7 +76,16 @@ class WebhookService {
    * @returns {Promise<Object>} - Result of the operation
    */
   async handleLemcalMeetingBooked(payload) {
-    const { supabase, lemlist } = getClients();
+    return this.processOnce('lemcal', 'lemcal_meeting_booked', payload, {
+      id: payload._id || payload.id || payload.meetingId,
+      type: payload.event || payload.type || 'meeting_booked',
+      email: this.extractEmailFromPayload(payload),
+      timestamp: payload.createdAt || payload.start || payload.startTime || payload.scheduledAt
+    }, () => this.recordLemcalMeetingBooked(payload));
+  }
+
+  async recordLemcalMeetingBooked(payload) {
+    const { supabase } = getClients();
 
     // Extract email from various possible payload structures
     const email = this.extractEmailFromPayload(payload);
@@ -69,12 +119,6 @@ class WebhookService {
       logger.warn({ email, error: error.message }, 'Failed to mark lead as interested, but meeting was stored');
     }
 
-    // Log the event to Supabase for tracking
-    await this.logWebhookEvent('lemcal_meeting_booked', email, payload, {
-      meeting: meetingResult,
-      interested: interestedResult
-    });
-
     return {
       meeting: meetingResult,
       interested: interestedResult
@@ -267,10 +311,17 @@ class WebhookService {
   }
 
   /**
-   * Handle Lemlist sequence done webhook
+   * Handle Lemlist sequence done webhook (once per event)
    * Fires when all emails in a sequence have been sent to a lead
    */
   async handleLemlistSequenceDone(payload) {
+    return this.processOnce('lemlist', 'lemlist_sequence_done', payload, {
+      ...this.getLemlistEventIdentity(payload),
+      type: payload.type || payload.event || 'emailsSendingDone'
+    }, () => this.recordLemlistSequenceDone(payload));
+  }
+
+  async recordLemlistSequenceDone(payload) {
     const { supabase } = getClients();
 
     const email = payload.email || payload.leadEmail;
@@ -303,13 +354,35 @@ class WebhookService {
   }
 
   /**
-   * Handle Lemlist activity webhook
+   * Event key inputs for a Lemlist webhook payload.
+   */
+  getLemlistEventIdentity(payload) {
+    return {
+      id: payload._id || payload.id || payload.activityId,
+      type: payload.type || payload.event || payload.eventType,
+      email: payload.email || payload.leadEmail,
+      campaignId: payload.campaignId || payload.campaign?._id,
+      timestamp: payload.createdAt || payload.timestamp || payload.date
+    };
+  }
+
+  /**
+   * Handle Lemlist activity webhook (once per activity)
    * Stores email opens, replies, clicks to lead_activities table
    *
    * @param {Object} payload - Webhook payload from Lemlist
    * @returns {Promise<Object>} - Result of the operation
    */
   async handleLemlistActivity(payload) {
+    return this.processOnce('lemlist', 'lemlist_activity', payload, this.getLemlistEventIdentity(payload),
+      eventKey => this.recordLemlistActivity(payload, eventKey));
+  }
+
+  /**
+   * @param {Object} payload - Webhook payload from Lemlist
+   * @param {string} eventKey - Stored on the row; its unique constraint blocks double counting
+   */
+  async recordLemlistActivity(payload, eventKey) {
     const { supabase } = getClients();
 
     // Map Lemlist webhook types to our activity types
@@ -360,12 +433,15 @@ class WebhookService {
         owner = leadRecord.owner;
       }
     } catch {
-      // Fallback: try campaign name regex
-      if (campaignName) {
-        const ownerMatch = campaignName.match(/^(alec|janae|kate)/i);
-        if (ownerMatch) {
-          owner = ownerMatch[1].toLowerCase();
-        }
+      // Fall through to the owner directory below
+    }
+
+    // Fallback: the owner whose default campaign this is, or whose key prefixes the campaign name
+    if (!owner) {
+      const campaignOwner = await ownerService.getByCampaignId(campaignId)
+        || await ownerService.findByCampaignName(campaignName);
+      if (campaignOwner) {
+        owner = campaignOwner.name;
       }
     }
 
@@ -382,9 +458,15 @@ class WebhookService {
         campaign_name: campaignName,
         owner,
         activity_at: payload.timestamp || payload.date || new Date().toISOString(),
-        metadata: payload
+        metadata: payload,
+        event_key: eventKey
       });
 
+    if (error?.code === UNIQUE_VIOLATION) {
+      logger.info({ email, activityType, eventKey }, 'Lead activity already recorded');
+      return { success: true, duplicate: true, email, activityType, campaignId };
+    }
+
     if (error) {
       logger.error({ error: error.message, email }, 'Failed to insert lead activity');
       throw error;
@@ -401,30 +483,56 @@ class WebhookService {
   }
 
   /**
-   * Log webhook event to Supabase for audit trail
+   * Handle HubSpot app webhook events (contact.creation, contact.propertyChange)
+   * Contacts whose trigger field was set, or that were just created, are queued for
+   * the lead pipeline; the caller dispatches their processing before acknowledging HubSpot.
+   * Other events, and events already received in an earlier delivery (by eventId),
+   * are ignored.
    *
-   * @param {string} eventType - Type of event
-   * @param {string} email - Associated email
-   * @param {Object} payload - Original payload
-   * @param {Object} result - Processing result
+   * @param {Array} events - HubSpot webhook event batch
+   * @returns {Promise<Object>} - Contacts queued ({ contacts, queued, duplicates })
    */
-  async logWebhookEvent(eventType, email, payload, result) {
-    const { supabase } = getClients();
-
-    try {
-      await supabase
-        .from('webhook_events')
-        .insert({
-          event_type: eventType,
-          email,
-          payload: JSON.stringify(payload),
-          result: JSON.stringify(result),
-          processed_at: new Date().toISOString()
-        });
-    } catch (error) {
-      // Don't fail the webhook if logging fails
-      logger.warn({ error: error.message }, 'Failed to log webhook event');
+  async handleHubSpotContactEvents(events) {
+    const leadPipelineService = require('./leadPipelineService');
+    const triggerField = routingConfig.trigger_field;
+    const triggerValues = leadPipelineService.getTriggerValues().map(v => String(v).toLowerCase());
+
+    const delivered = events.filter(event => event?.objectId).map(event => ({
+      event,
+      eventKey: webhookEventService.buildKey('hubspot', {
+        id: event.eventId,
+        type: event.subscriptionType,
+        timestamp: event.occurredAt,
+        payload: event
+      })
+    }));
+    const claimed = await webhookEventService.claim('hubspot', delivered.map(({ event, eventKey }) => ({
+      eventKey,
+      eventType: 'hubspot_contact_event',
+      payload: event
+    })));
+    const fresh = delivered.filter(({ eventKey }) => claimed.has(eventKey));
+    const duplicates = delivered.length - fresh.length;
+    const freshKeys = fresh.map(({ eventKey }) => eventKey);
+
+    const contactIds = new Set();
+    for (const { event } of fresh) {
+      if (!event?.objectId) continue;
+      const isCreation = event.subscriptionType === 'contact.creation';
+      const isTriggerSet = event.subscriptionType === 'contact.propertyChange'
+        && event.propertyName === triggerField
+        && triggerValues.includes(String(event.propertyValue ?? '').toLowerCase());
+      if (isCreation || isTriggerSet) {
+        contactIds.add(String(event.objectId));
+      }
     }
+
+    logger.info({ events: events.length, duplicates, contacts: contactIds.size }, 'Queueing HubSpot contact webhook');
+
+    // Without the queue the contacts are still found by the scheduled search
+    const queued = await pipelineQueueService.enqueue(Array.from(contactIds), 'webhook');
+    await webhookEventService.finish(freshKeys, { status: 'processed', result: { contacts: contactIds.size, queued } });
+    return { contacts: contactIds.size, queued: queued && contactIds.size > 0, duplicates };
   }
 }
 
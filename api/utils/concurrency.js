@@ -0,0 +1,25 @@
+/**
+ * Run an async worker over items with at most `limit` in flight at once.
+ * Workers should handle their own errors; a rejection stops the remaining items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => void
+ * @returns {Promise<void>}
+ */
+async function forEachWithConcurrency(items, limit, worker) {
+  const size = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+
+  const runners = Array.from({ length: size }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+module.exports = {
+  forEachWithConcurrency
+};
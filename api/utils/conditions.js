@@ -0,0 +1,135 @@
+/**
+ * Condition evaluation for routing and exclusion rules.
+ *
+ * A condition looks like:
+ *   { "property": "lifecyclestage", "operator": "in", "value": ["lead", "mql"] }
+ * In the lead pipeline, "company.<property>" (e.g. company.industry) reads the
+ * contact's primary associated company instead of the contact.
+ *
+ * Supported operators:
+ *   eq, neq, in, not_in, contains, not_contains, starts_with, ends_with,
+ *   gt, gte, lt, lte, between, exists, not_exists, matches
+ * Aliases: equals (eq), not_equals (neq), range (between),
+ *   is_empty (not_exists), is_not_empty (exists)
+ *
+ * String comparisons are case-insensitive. Numeric operators coerce both sides
+ * with Number() and fail the condition when either side is not numeric.
+ */
+
+const OPERATOR_ALIASES = {
+  equals: 'eq',
+  not_equals: 'neq',
+  range: 'between',
+  is_empty: 'not_exists',
+  is_not_empty: 'exists'
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function toNumber(value) {
+  if (isEmpty(value)) return null;
+  const num = Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isNaN(num) ? null : num;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (isEmpty(value)) return [];
+  return String(value).split(',');
+}
+
+/**
+ * Evaluate a single condition against a flat record of property values.
+ * @param {Object} condition - { property, operator, value }
+ * @param {Object} record - Property name -> value
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, record) {
+  if (!condition || !condition.property) return false;
+
+  const rawOperator = String(condition.operator || 'eq').toLowerCase();
+  const operator = OPERATOR_ALIASES[rawOperator] || rawOperator;
+  const actual = record ? record[condition.property] : undefined;
+  const expected = condition.value;
+
+  switch (operator) {
+    case 'exists':
+      return !isEmpty(actual);
+    case 'not_exists':
+      return isEmpty(actual);
+    case 'eq':
+      return !isEmpty(actual) && normalize(actual) === normalize(expected);
+    case 'neq':
+      return isEmpty(actual) || normalize(actual) !== normalize(expected);
+    case 'in':
+      return !isEmpty(actual) && toList(expected).map(normalize).includes(normalize(actual));
+    case 'not_in':
+      return isEmpty(actual) || !toList(expected).map(normalize).includes(normalize(actual));
+    case 'contains':
+      return !isEmpty(actual) && normalize(actual).includes(normalize(expected));
+    case 'not_contains':
+      return isEmpty(actual) || !normalize(actual).includes(normalize(expected));
+    case 'starts_with':
+      return !isEmpty(actual) && normalize(actual).startsWith(normalize(expected));
+    case 'ends_with':
+      return !isEmpty(actual) && normalize(actual).endsWith(normalize(expected));
+    case 'matches': {
+      if (isEmpty(actual)) return false;
+      try {
+        return new RegExp(expected, condition.flags ?? 'i').test(String(actual));
+      } catch {
+        return false;
+      }
+    }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const a = toNumber(actual);
+      const b = toNumber(expected);
+      if (a === null || b === null) return false;
+      if (operator === 'gt') return a > b;
+      if (operator === 'gte') return a >= b;
+      if (operator === 'lt') return a < b;
+      return a <= b;
+    }
+    case 'between': {
+      const a = toNumber(actual);
+      const [min, max] = Array.isArray(expected) ? expected : [expected?.min, expected?.max];
+      if (a === null) return false;
+      const lower = toNumber(min);
+      const upper = toNumber(max);
+      if (lower !== null && a < lower) return false;
+      if (upper !== null && a > upper) return false;
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a list of conditions.
+ * @param {Array} conditions - Condition objects
+ * @param {Object} record - Property name -> value
+ * @param {string} [match='all'] - 'all' (AND) or 'any' (OR)
+ * @returns {boolean} True when the conditions match (an empty list always matches)
+ */
+function evaluateConditions(conditions, record, match = 'all') {
+  if (!Array.isArray(conditions) || conditions.length === 0) return true;
+  return match === 'any'
+    ? conditions.some(c => evaluateCondition(c, record))
+    : conditions.every(c => evaluateCondition(c, record));
+}
+
+module.exports = {
+  evaluateCondition,
+  evaluateConditions,
+  isEmpty
+};
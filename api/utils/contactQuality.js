@@ -0,0 +1,252 @@
+/**
+ * Offline contact data-quality checks and normalization.
+ * Runs before enrollment without any network calls.
+ *
+ * validateContact() returns one of:
+ *   accepted - data was usable as-is (may still carry flags, e.g. role_based_email)
+ *   fixed    - data was normalized (name casing/splitting, titles, whitespace, email case)
+ *   rejected - data is unusable (invalid_email_syntax, disposable_email, role_based_email)
+ *
+ * Config (routing.json → data_quality):
+ *   enabled, disposable_action (reject | flag), role_based_action (reject | flag),
+ *   disposable_domains, role_based_prefixes (both extend the built-in lists), fix_names
+ */
+
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', 'burnermail.io', 'dispostable.com', 'emailondeck.com',
+  'fakeinbox.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net',
+  'guerrillamailblock.com', 'maildrop.cc', 'mailinator.com', 'mailnesia.com',
+  'mintemail.com', 'mohmal.com', 'sharklasers.com', 'spamgourmet.com',
+  'temp-mail.org', 'tempmail.com', 'throwawaymail.com', 'trashmail.com',
+  'yopmail.com'
+];
+
+// Free mailbox providers: the domain says nothing about the person's company
+const PERSONAL_EMAIL_DOMAINS = [
+  'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com',
+  'icloud.com', 'me.com', 'mac.com', 'live.com', 'msn.com',
+  'protonmail.com', 'proton.me', 'mail.com', 'zoho.com', 'ymail.com'
+];
+
+const ROLE_BASED_PREFIXES = [
+  'accounts', 'admin', 'billing', 'careers', 'contact', 'enquiries', 'finance',
+  'hello', 'help', 'hr', 'info', 'inquiries', 'jobs', 'marketing', 'no-reply',
+  'noreply', 'office', 'postmaster', 'press', 'sales', 'support', 'team',
+  'webmaster'
+];
+
+// Honorifics stripped from the start of a name, credentials from the end
+const NAME_PREFIXES = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'madam'];
+const NAME_SUFFIXES = ['phd', 'md', 'mba', 'cpa', 'esq', 'dds', 'rn', 'pe'];
+
+// Lowercased when not the first word of a name ("Ludwig van Beethoven")
+const NAME_PARTICLES = ['da', 'de', 'del', 'della', 'der', 'di', 'du', 'la', 'le', 'van', 'von'];
+
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+const ACTIONS = ['reject', 'flag'];
+
+function getSettings(raw = {}) {
+  return {
+    enabled: raw.enabled !== false,
+    disposableAction: ACTIONS.includes(raw.disposable_action) ? raw.disposable_action : 'reject',
+    roleBasedAction: ACTIONS.includes(raw.role_based_action) ? raw.role_based_action : 'flag',
+    disposableDomains: DISPOSABLE_DOMAINS.concat((raw.disposable_domains || []).map(d => String(d).toLowerCase().trim())),
+    roleBasedPrefixes: ROLE_BASED_PREFIXES.concat((raw.role_based_prefixes || []).map(p => String(p).toLowerCase().trim())),
+    fixNames: raw.fix_names !== false
+  };
+}
+
+/**
+ * Trim, collapse internal whitespace and drop zero-width/non-breaking characters.
+ */
+function cleanWhitespace(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lowercase and strip wrappers people paste around addresses ("mailto:", "<...>").
+ */
+function normalizeEmail(value) {
+  return cleanWhitespace(value)
+    .replace(/^mailto:/i, '')
+    .replace(/^<(.*)>$/, '$1')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+}
+
+function isValidEmailSyntax(email) {
+  if (!email || email.length > 254) return false;
+  const local = email.split('@')[0];
+  if (local.length > 64) return false;
+  return EMAIL_PATTERN.test(email);
+}
+
+function isDisposableEmail(email, domains = DISPOSABLE_DOMAINS) {
+  const domain = email.split('@')[1] || '';
+  return domains.some(d => d && (domain === d || domain.endsWith(`.${d}`)));
+}
+
+function isPersonalEmail(email) {
+  const domain = (String(email || '').split('@')[1] || '').toLowerCase();
+  return PERSONAL_EMAIL_DOMAINS.includes(domain);
+}
+
+function isRoleBasedEmail(email, prefixes = ROLE_BASED_PREFIXES) {
+  const local = (email.split('@')[0] || '').split('+')[0];
+  return prefixes.includes(local);
+}
+
+function stripTitles(name) {
+  let words = name.split(' ').filter(Boolean);
+  while (words.length > 1 && NAME_PREFIXES.includes(words[0].toLowerCase().replace(/\.$/, ''))) {
+    words = words.slice(1);
+  }
+  let result = words.join(' ');
+  // Credentials usually follow a comma ("Jane Doe, PhD") or end the name ("Jane Doe MBA")
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const match = result.match(/,?\s+([a-z.]+)$/i);
+    if (match && NAME_SUFFIXES.includes(match[1].toLowerCase().replace(/\./g, ''))) {
+      result = result.slice(0, match.index).trim();
+      changed = true;
+    }
+  }
+  return result.replace(/,$/, '').trim();
+}
+
+function capitalizeWord(word) {
+  // Hyphenated and apostrophe parts are capitalized separately ("Smith-Jones", "O'Brien")
+  let result = word.toLowerCase().replace(/(^|[-'\u2019])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+  if (/^Mc\p{L}/u.test(result)) {
+    result = 'Mc' + result.charAt(2).toUpperCase() + result.slice(3);
+  }
+  return result;
+}
+
+/**
+ * Title-case a name typed in all caps or all lowercase; mixed case is left alone
+ * since it is usually deliberate ("DeShawn", "MacKenzie").
+ */
+function fixNameCasing(name) {
+  if (!name || name !== name.toUpperCase() && name !== name.toLowerCase()) return name;
+  if (!/\p{L}/u.test(name)) return name;
+  return name
+    .split(' ')
+    .map((word, i) => (i > 0 && NAME_PARTICLES.includes(word.toLowerCase()) ? word.toLowerCase() : capitalizeWord(word)))
+    .join(' ');
+}
+
+/**
+ * Validate and normalize a contact's email and name properties.
+ * @param {Object} props - HubSpot contact properties
+ * @param {Object} rawSettings - routing.json data_quality section
+ * @returns {{ status: string, reason: string|null, fixes: string[], flags: string[], properties: Object }}
+ *   properties holds the normalized email/firstname/lastname (and any other cleaned values)
+ */
+function validateContact(props = {}, rawSettings = {}) {
+  const settings = getSettings(rawSettings);
+  const fixes = [];
+  const flags = [];
+  const properties = {};
+  const reject = (reason) => ({ status: 'rejected', reason, fixes, flags, properties });
+
+  if (!settings.enabled) {
+    return { status: 'accepted', reason: null, fixes, flags, properties };
+  }
+
+  // Email
+  const rawEmail = props.email === undefined || props.email === null ? '' : String(props.email);
+  const email = normalizeEmail(rawEmail);
+  if (email !== rawEmail) {
+    properties.email = email;
+    fixes.push('email_normalized');
+  }
+  if (!isValidEmailSyntax(email)) return reject('invalid_email_syntax');
+
+  if (isDisposableEmail(email, settings.disposableDomains)) {
+    if (settings.disposableAction === 'reject') return reject('disposable_email');
+    flags.push('disposable_email');
+  }
+  if (isRoleBasedEmail(email, settings.roleBasedPrefixes)) {
+    if (settings.roleBasedAction === 'reject') return reject('role_based_email');
+    flags.push('role_based_email');
+  }
+
+  // Whitespace on free-text fields sent to Lemlist
+  for (const field of ['company', 'jobtitle']) {
+    if (props[field] === undefined || props[field] === null) continue;
+    const cleaned = cleanWhitespace(props[field]);
+    if (cleaned !== String(props[field])) {
+      properties[field] = cleaned;
+      if (!fixes.includes('whitespace')) fixes.push('whitespace');
+    }
+  }
+
+  // Names
+  const rawFirst = props.firstname === undefined || props.firstname === null ? '' : String(props.firstname);
+  const rawLast = props.lastname === undefined || props.lastname === null ? '' : String(props.lastname);
+  let first = cleanWhitespace(rawFirst);
+  let last = cleanWhitespace(rawLast);
+  if ((first !== rawFirst || last !== rawLast) && !fixes.includes('whitespace')) fixes.push('whitespace');
+
+  if (settings.fixNames) {
+    // An email address pasted into the first name field is not a name
+    if (first.includes('@')) {
+      first = '';
+      fixes.push('name_was_email');
+    }
+
+    const strippedFirst = stripTitles(first);
+    const strippedLast = stripTitles(last);
+    if (strippedFirst !== first || strippedLast !== last) {
+      first = strippedFirst;
+      last = strippedLast;
+      fixes.push('name_titles');
+    }
+
+    // Full name typed into the first name field
+    if (first.includes(' ')) {
+      if (!last) {
+        const words = first.split(' ');
+        last = words.pop();
+        first = words.join(' ');
+        fixes.push('name_split');
+      } else if (first.toLowerCase().endsWith(` ${last.toLowerCase()}`)) {
+        first = first.slice(0, first.length - last.length).trim();
+        fixes.push('name_split');
+      }
+    }
+
+    const casedFirst = fixNameCasing(first);
+    const casedLast = fixNameCasing(last);
+    if (casedFirst !== first || casedLast !== last) {
+      first = casedFirst;
+      last = casedLast;
+      fixes.push('name_casing');
+    }
+  }
+
+  if (first !== rawFirst) properties.firstname = first;
+  if (last !== rawLast) properties.lastname = last;
+
+  return fixes.length > 0
+    ? { status: 'fixed', reason: fixes.join(','), fixes, flags, properties }
+    : { status: 'accepted', reason: flags.length > 0 ? flags.join(',') : null, fixes, flags, properties };
+}
+
+module.exports = {
+  validateContact,
+  normalizeEmail,
+  isValidEmailSyntax,
+  isDisposableEmail,
+  isPersonalEmail,
+  isRoleBasedEmail,
+  fixNameCasing,
+  cleanWhitespace
+};
@@ -0,0 +1,193 @@
+/**
+ * Config-driven HubSpot → Lemlist field mapping.
+ *
+ * Each Lemlist variable in routing.json `field_mappings` declares where its value
+ * comes from, how it is transformed and whether it is required:
+ *
+ *   "firstName": {
+ *     "sources": [{ "source": "contact", "property": "firstname" }],
+ *     "transforms": ["trim", "titlecase", { "default": "there" }, { "truncate": 100 }],
+ *     "required": false
+ *   }
+ *
+ * Sources (the first non-empty one wins):
+ *   contact  - { property }             HubSpot contact property
+ *   company  - { property }             primary associated company property
+ *   supabase - { table, column, match } row lookup; match values may use {{contextKey}}
+ *   constant - { value }
+ *   context  - { key }                  value computed by the pipeline (owner, sourceCategory, ...)
+ *
+ * Transforms (applied in order):
+ *   trim, lowercase, uppercase, titlecase, { default }, { lookup: {from: to}, fallback },
+ *   { truncate }, { blank_if: regex }
+ *
+ * Options: omit_empty (leave the variable out instead of sending ""),
+ *   enrichment_fallback (a source used only if the value is still empty after enrichment).
+ */
+
+const { isEmpty } = require('./conditions');
+
+const SOURCE_TYPES = ['contact', 'company', 'supabase', 'constant', 'context'];
+
+function toTitleCase(value) {
+  return value.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+}
+
+/**
+ * Apply one transform to a string value.
+ * @param {string} value
+ * @param {string|Object} transform
+ * @returns {string}
+ */
+function applyTransform(value, transform) {
+  if (typeof transform === 'string') {
+    switch (transform) {
+      case 'trim':
+        return value.trim();
+      case 'lowercase':
+        return value.toLowerCase();
+      case 'uppercase':
+        return value.toUpperCase();
+      case 'titlecase':
+        return toTitleCase(value);
+      default:
+        throw new Error(`Unknown field mapping transform: ${transform}`);
+    }
+  }
+
+  if (transform && typeof transform === 'object') {
+    if (Object.prototype.hasOwnProperty.call(transform, 'default')) {
+      return isEmpty(value) ? String(transform.default ?? '') : value;
+    }
+    if (transform.lookup) {
+      const table = transform.lookup;
+      if (Object.prototype.hasOwnProperty.call(table, value)) return String(table[value] ?? '');
+      const key = Object.keys(table).find(k => k.toLowerCase() === value.toLowerCase());
+      if (key !== undefined) return String(table[key] ?? '');
+      if (transform.fallback === undefined || transform.fallback === 'keep') return value;
+      return String(transform.fallback ?? '');
+    }
+    if (transform.truncate !== undefined) {
+      const length = Number(transform.truncate);
+      return Number.isInteger(length) && length >= 0 ? value.slice(0, length) : value;
+    }
+    if (transform.blank_if !== undefined) {
+      return new RegExp(transform.blank_if, 'i').test(value) ? '' : value;
+    }
+  }
+
+  throw new Error(`Unknown field mapping transform: ${JSON.stringify(transform)}`);
+}
+
+function applyTransforms(value, transforms = []) {
+  return transforms.reduce((current, transform) => applyTransform(current, transform), value);
+}
+
+function getSources(mapping) {
+  if (Array.isArray(mapping.sources)) return mapping.sources;
+  if (mapping.source) return [mapping];
+  return [];
+}
+
+/**
+ * Resolve the first non-empty source value.
+ * @param {Array} sources
+ * @param {Object} resolvers - { contact(property), company(property), supabase(spec), context(key) }
+ */
+async function resolveSources(sources, resolvers) {
+  for (const spec of sources) {
+    if (!SOURCE_TYPES.includes(spec.source)) {
+      throw new Error(`Unknown field mapping source: ${spec.source}`);
+    }
+
+    let value;
+    switch (spec.source) {
+      case 'constant':
+        value = spec.value;
+        break;
+      case 'contact':
+        value = await resolvers.contact(spec.property);
+        break;
+      case 'company':
+        value = await resolvers.company(spec.property);
+        break;
+      case 'supabase':
+        value = await resolvers.supabase(spec);
+        break;
+      case 'context':
+        value = await resolvers.context(spec.key);
+        break;
+    }
+
+    if (!isEmpty(value)) return String(value);
+  }
+  return '';
+}
+
+/**
+ * Build a Lemlist payload from field mappings.
+ * @param {Object} mappings - routing.json field_mappings
+ * @param {Object} resolvers - Source resolvers (see resolveSources)
+ * @returns {Promise<Object>} Lemlist variable -> value
+ */
+async function buildPayload(mappings, resolvers) {
+  const payload = {};
+  for (const [variable, mapping] of Object.entries(mappings || {})) {
+    const raw = await resolveSources(getSources(mapping), resolvers);
+    const value = applyTransforms(raw, mapping.transforms);
+    if (isEmpty(value) && mapping.omit_empty) continue;
+    payload[variable] = value;
+  }
+  return payload;
+}
+
+/**
+ * Fill variables still empty after enrichment from their enrichment_fallback source.
+ * @returns {Promise<string[]>} Variables that were filled
+ */
+async function applyEnrichmentFallbacks(payload, mappings, resolvers) {
+  const filled = [];
+  for (const [variable, mapping] of Object.entries(mappings || {})) {
+    if (!mapping.enrichment_fallback || !isEmpty(payload[variable])) continue;
+    const raw = await resolveSources(getSources(mapping.enrichment_fallback), resolvers);
+    const value = applyTransforms(raw, mapping.transforms);
+    if (!isEmpty(value)) {
+      payload[variable] = value;
+      filled.push(variable);
+    }
+  }
+  return filled;
+}
+
+/**
+ * Required variables with no value.
+ * @returns {string[]}
+ */
+function getMissingRequired(payload, mappings) {
+  return Object.entries(mappings || {})
+    .filter(([variable, mapping]) => mapping.required && isEmpty(payload[variable]))
+    .map(([variable]) => variable);
+}
+
+/**
+ * Properties a set of mappings reads from a given source (contact or company).
+ * @returns {string[]}
+ */
+function getSourceProperties(mappings, sourceType) {
+  const properties = new Set();
+  for (const mapping of Object.values(mappings || {})) {
+    const sources = [...getSources(mapping), ...(mapping.enrichment_fallback ? getSources(mapping.enrichment_fallback) : [])];
+    for (const spec of sources) {
+      if (spec.source === sourceType && spec.property) properties.add(spec.property);
+    }
+  }
+  return Array.from(properties);
+}
+
+module.exports = {
+  buildPayload,
+  applyEnrichmentFallbacks,
+  getMissingRequired,
+  getSourceProperties,
+  applyTransform
+};
@@ -0,0 +1,86 @@
+/**
+ * HubSpot webhook request signature (v3) verification.
+ *
+ * HubSpot signs each request with the app's client secret:
+ *   base64(HMAC-SHA256(secret, method + uri + body + timestamp))
+ * sent in X-HubSpot-Signature-v3, with the timestamp (epoch ms) in
+ * X-HubSpot-Request-Timestamp. Requests older than five minutes (by default) are rejected.
+ */
+
+const crypto = require('crypto');
+
+const MAX_REQUEST_AGE_MS = 5 * 60 * 1000;
+
+// HubSpot signs the URI with these characters decoded
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':',
+  '%2F': '/',
+  '%3F': '?',
+  '%40': '@',
+  '%21': '!',
+  '%24': '$',
+  '%27': "'",
+  '%28': '(',
+  '%29': ')',
+  '%2A': '*',
+  '%2C': ',',
+  '%3B': ';'
+};
+
+function decodeUri(uri) {
+  return uri.replace(/%3A|%2F|%3F|%40|%21|%24|%27|%28|%29|%2A|%2C|%3B/gi,
+    match => DECODED_URI_CHARACTERS[match.toUpperCase()]);
+}
+
+/**
+ * Full URL HubSpot called, as seen behind Vercel's proxy.
+ * @param {Object} req - Express request
+ */
+function getRequestUri(req) {
+  const protocol = req.headers['x-forwarded-proto']?.split(',')[0].trim() || req.protocol;
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Verify a v3 signature.
+ * @param {Object} options
+ * @param {string} options.secret - HubSpot app client secret
+ * @param {string} options.method - HTTP method
+ * @param {string} options.uri - Full request URL
+ * @param {string} options.body - Raw request body
+ * @param {string} options.signature - X-HubSpot-Signature-v3 header
+ * @param {string} options.timestamp - X-HubSpot-Request-Timestamp header
+ * @param {number} options.maxAgeMs - Allowed timestamp difference in ms
+ * @param {number} options.now - Current time in ms (for testing)
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function verifySignatureV3({ secret, method, uri, body, signature, timestamp, maxAgeMs = MAX_REQUEST_AGE_MS, now = Date.now() }) {
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const timestampMs = Number(timestamp);
+  if (!Number.isFinite(timestampMs) || Math.abs(now - timestampMs) > maxAgeMs) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${method.toUpperCase()}${decodeUri(uri)}${body || ''}${timestamp}`, 'utf8')
+    .digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  if (expectedBuffer.length !== signatureBuffer.length
+    || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  verifySignatureV3,
+  getRequestUri
+};
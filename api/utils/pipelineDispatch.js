@@ -0,0 +1,61 @@
+const axios = require('axios');
+const { createLogger } = require('./logger');
+const { config } = require('../config');
+
+const logger = createLogger('pipeline-dispatch');
+
+// Long enough to hand the request off, short enough not to wait for the run
+const DISPATCH_TIMEOUT_MS = 1500;
+
+/**
+ * Start a cron route in its own function invocation (a serverless function is
+ * frozen once it responds, so the work cannot continue in the background).
+ * Only the request dispatch is awaited; the short timeout is expected to fire.
+ * A timeout only counts as dispatched once the whole request was written to the
+ * connection; the receiving invocation may still fail, so callers must leave
+ * anything it was meant to handle where the scheduled run picks it up.
+ * The cron secret is only ever sent to the configured base URL, not a request's Host.
+ *
+ * @param {string} route - Cron route, e.g. sync-leads
+ * @param {Object} params - Query parameters
+ * @returns {Promise<boolean>} Whether the request was delivered
+ */
+async function dispatchCron(route, params = {}) {
+  const url = `${config.api.baseUrl}/api/cron/${route}`;
+  const headers = process.env.CRON_SECRET
+    ? { Authorization: `Bearer ${process.env.CRON_SECRET}` }
+    : {};
+
+  try {
+    // Without redirects error.request is the ClientRequest, which tells whether the request went out
+    await axios.post(url, null, { params, headers, timeout: DISPATCH_TIMEOUT_MS, maxRedirects: 0 });
+  } catch (error) {
+    if (error.code !== 'ECONNABORTED') {
+      logger.error({ route, ...params, error: error.message }, 'Failed to dispatch cron route');
+      return false;
+    }
+    if (!error.request?.writableFinished) {
+      logger.warn({ route, ...params }, 'Cron route dispatch timed out before the request was sent');
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Start a sync-leads run.
+ * @param {Object} params - sync-leads query parameters (chain, trigger)
+ */
+function dispatchSyncLeads(params = {}) {
+  return dispatchCron('sync-leads', params);
+}
+
+/**
+ * Process the contacts queued by the HubSpot webhook.
+ * @param {Object} params - process-queue query parameters (trigger)
+ */
+function dispatchProcessQueue(params = {}) {
+  return dispatchCron('process-queue', params);
+}
+
+module.exports = { dispatchSyncLeads, dispatchProcessQueue };
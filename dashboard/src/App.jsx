@@ -11,6 +11,7 @@ import LeadOverview from './components/dashboard/LeadOverview';
 import CampaignTable from './components/dashboard/CampaignTable';
 import MeetingsBooked from './components/dashboard/MeetingsBooked';
 import PipelineSection from './components/dashboard/PipelineSection';
+import OwnerSyncWarnings from './components/dashboard/OwnerSyncWarnings';
 import { layout } from './styles/designTokens';
 import { useAutoSync } from './hooks/useSync';
 
@@ -31,6 +32,9 @@ function Dashboard() {
 
   return (
     <Layout>
+      {/* Reps with triggered contacts the pipeline cannot route */}
+      <OwnerSyncWarnings />
+
       {/* Funnel Visualization - Full Width */}
       <FunnelChart />
 
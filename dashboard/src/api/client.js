@@ -42,6 +42,14 @@ export const meetingsApi = {
     api.get('/meetings/stats', { params: { owner, period } }).then(r => r.data)
 };
 
+export const ownersApi = {
+  getAll: () =>
+    api.get('/owners').then(r => r.data),
+
+  getLatestSync: () =>
+    api.get('/owners/sync/latest').then(r => r.data)
+};
+
 export const syncApi = {
   getStatus: () =>
     api.get('/sync/status').then(r => r.data),
@@ -0,0 +1,37 @@
+/**
+ * OwnerSyncWarnings - Banner listing owners from the latest owner sync whose
+ * triggered contacts are being skipped (not in the directory, inactive, or no campaign)
+ */
+import { AlertTriangle } from 'lucide-react';
+import { useOwnerSyncWarnings } from '../../hooks/useOwners';
+import { layout } from '../../styles/designTokens';
+
+export default function OwnerSyncWarnings() {
+  const { data: warnings = [] } = useOwnerSyncWarnings();
+
+  if (warnings.length === 0) return null;
+
+  return (
+    <div
+      className={`bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4 ${layout.sectionMargin}`}
+      role="alert"
+    >
+      <div className="flex items-start gap-3">
+        <AlertTriangle
+          className="w-5 h-5 flex-shrink-0 mt-0.5 text-amber-600 dark:text-amber-400"
+          aria-hidden="true"
+        />
+        <div className="flex-1 min-w-0">
+          <p className="font-medium text-amber-800 dark:text-amber-200">
+            {warnings.length === 1 ? '1 owner cannot be routed' : `${warnings.length} owners cannot be routed`}
+          </p>
+          <ul className="text-sm text-amber-700 dark:text-amber-300 mt-1 space-y-0.5">
+            {warnings.map((warning) => (
+              <li key={`${warning.type}-${warning.hubspot_owner_id}`}>{warning.message}</li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
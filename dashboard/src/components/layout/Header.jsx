@@ -3,16 +3,12 @@ import { RefreshCw, BarChart3, Sun, Moon, X } from 'lucide-react';
 import { useFilters } from '../../context/FilterContext';
 import { useTheme } from '../../context/ThemeContext';
 import { useSyncStatus, useTriggerSync } from '../../hooks/useSync';
+import { useOwners } from '../../hooks/useOwners';
 import { formatDistanceToNow } from 'date-fns';
 import { Select, useToast } from '../ui';
 import { typography, layout, iconSizes, a11y } from '../../styles/designTokens';
 
-const owners = [
-  { value: 'all', label: 'All Owners' },
-  { value: 'alec', label: 'Alec' },
-  { value: 'janae', label: 'Janae' },
-  { value: 'kate', label: 'Kate' },
-];
+const ALL_OWNERS_OPTION = { value: 'all', label: 'All Owners' };
 
 const dateRanges = [
   { value: 'today', label: 'Today' },
@@ -28,6 +24,7 @@ export default function Header() {
   const { owner, setOwner, dateRange, setDateRange } = useFilters();
   const { isDark, toggleTheme } = useTheme();
   const { data: syncStatus } = useSyncStatus();
+  const { data: ownerList } = useOwners();
   const triggerSync = useTriggerSync();
   const { showToast } = useToast();
 
@@ -38,6 +35,12 @@ export default function Header() {
     return new Date(sync.lastSyncAt) > new Date(latest) ? sync.lastSyncAt : latest;
   }, null);
 
+  // Owner filter options come from the owner directory (active owners only)
+  const ownerOptions = [
+    ALL_OWNERS_OPTION,
+    ...(ownerList || []).map(o => ({ value: o.name, label: o.display_name?.split(' ')[0] || o.name })),
+  ];
+
   // Check if filters are active (non-default)
   const hasActiveFilters = owner !== DEFAULT_OWNER || dateRange !== DEFAULT_DATE_RANGE;
 
@@ -84,7 +87,7 @@ export default function Header() {
             srOnlyLabel
             value={owner}
             onChange={setOwner}
-            options={owners}
+            options={ownerOptions}
           />
 
           {/* Date Range Filter - hidden on small mobile */}
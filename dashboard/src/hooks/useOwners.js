@@ -0,0 +1,20 @@
+import { useQuery } from '@tanstack/react-query';
+import { ownersApi } from '../api/client';
+
+export function useOwners() {
+  return useQuery({
+    queryKey: ['owners'],
+    queryFn: () => ownersApi.getAll(),
+    staleTime: 30 * 60 * 1000
+  });
+}
+
+export function useOwnerSyncWarnings() {
+  return useQuery({
+    queryKey: ['owners', 'sync', 'latest'],
+    queryFn: () => ownersApi.getLatestSync(),
+    select: (run) => run?.warnings || [],
+    staleTime: 30 * 60 * 1000,
+    retry: false
+  });
+}
@@ -0,0 +1,48 @@
+-- Incremental search checkpoints for the lead pipeline.
+-- Stores the HubSpot lastmodifieddate high-water mark reached by the last
+-- successful run so each cron call only searches contacts touched since then.
+
+CREATE TABLE IF NOT EXISTS pipeline_checkpoints (
+    id BIGSERIAL PRIMARY KEY,
+    pipeline TEXT NOT NULL UNIQUE,
+    high_water_mark TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE pipeline_checkpoints ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'pipeline_checkpoints'
+          AND policyname = 'Service role can do everything on pipeline_checkpoints'
+    ) THEN
+        CREATE POLICY "Service role can do everything on pipeline_checkpoints"
+            ON pipeline_checkpoints
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_pipeline_checkpoints_updated_at'
+    ) THEN
+        CREATE TRIGGER update_pipeline_checkpoints_updated_at
+            BEFORE UPDATE ON pipeline_checkpoints
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE pipeline_checkpoints IS 'Per-pipeline incremental search state (HubSpot high-water marks)';
+COMMENT ON COLUMN pipeline_checkpoints.pipeline IS 'Pipeline name, e.g. leads';
+COMMENT ON COLUMN pipeline_checkpoints.high_water_mark IS 'Latest contact lastmodifieddate seen by the last successful run';
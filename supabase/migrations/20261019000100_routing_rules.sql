@@ -0,0 +1,86 @@
+-- Versioned routing rules for the lead pipeline.
+-- Each published rule set gets a new version; exactly one version is active.
+-- Rules are evaluated in priority order and the first match picks the campaign.
+-- The owner -> campaign mapping in routing.json remains the fallback rule.
+
+CREATE TABLE IF NOT EXISTS routing_rule_sets (
+    id BIGSERIAL PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE,
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    activated_at TIMESTAMPTZ
+);
+
+-- Only one active rule set at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_routing_rule_sets_single_active
+    ON routing_rule_sets ((true)) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+    id BIGSERIAL PRIMARY KEY,
+    rule_set_version INTEGER NOT NULL REFERENCES routing_rule_sets(version) ON DELETE CASCADE,
+    priority INTEGER NOT NULL DEFAULT 100,
+    name TEXT NOT NULL,
+    conditions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    match TEXT NOT NULL DEFAULT 'all' CHECK (match IN ('all', 'any')),
+    campaign_id TEXT,
+    owner TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (campaign_id IS NOT NULL OR owner IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_version_priority
+    ON routing_rules(rule_set_version, priority);
+
+-- Record which rule routed each enrollment
+ALTER TABLE processed_leads ADD COLUMN IF NOT EXISTS routing_rule_id TEXT;
+ALTER TABLE processed_leads ADD COLUMN IF NOT EXISTS routing_rule_name TEXT;
+ALTER TABLE processed_leads ADD COLUMN IF NOT EXISTS routing_rule_version INTEGER;
+
+ALTER TABLE routing_rule_sets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE routing_rules ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'routing_rule_sets'
+          AND policyname = 'Service role can do everything on routing_rule_sets'
+    ) THEN
+        CREATE POLICY "Service role can do everything on routing_rule_sets"
+            ON routing_rule_sets
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'routing_rules'
+          AND policyname = 'Service role can do everything on routing_rules'
+    ) THEN
+        CREATE POLICY "Service role can do everything on routing_rules"
+            ON routing_rules
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+COMMENT ON TABLE routing_rule_sets IS 'Published versions of the lead routing rules';
+COMMENT ON TABLE routing_rules IS 'Ordered rules matching contact properties to a Lemlist campaign';
+COMMENT ON COLUMN routing_rules.conditions IS 'Array of { property, operator, value } conditions (see api/utils/conditions.js)';
+COMMENT ON COLUMN routing_rules.match IS 'all = every condition must match, any = at least one';
+COMMENT ON COLUMN routing_rules.campaign_id IS 'Lemlist campaign to enroll in; null uses the owner campaign';
+COMMENT ON COLUMN routing_rules.owner IS 'Owner name to assign; null keeps the resolved HubSpot owner';
+COMMENT ON COLUMN processed_leads.routing_rule_id IS 'Routing rule that chose the campaign (owner_fallback for the owner mapping)';
+COMMENT ON COLUMN processed_leads.routing_rule_version IS 'Rule set version that was active at enrollment';
@@ -0,0 +1,86 @@
+-- Assignment pool state for contacts with no resolvable owner.
+-- State lives in Supabase so round-robin / weighted rotation survives across
+-- serverless invocations. `revision` is used for optimistic concurrency.
+
+CREATE TABLE IF NOT EXISTS owner_assignment_state (
+    id BIGSERIAL PRIMARY KEY,
+    pool TEXT NOT NULL UNIQUE,
+    strategy TEXT NOT NULL,
+    last_index INTEGER NOT NULL DEFAULT -1,
+    current_weights JSONB NOT NULL DEFAULT '{}'::jsonb,
+    revision INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every assignment made by the pool (also drives capacity-based assignment)
+CREATE TABLE IF NOT EXISTS owner_assignments (
+    id BIGSERIAL PRIMARY KEY,
+    pool TEXT NOT NULL,
+    contact_id TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    strategy TEXT NOT NULL,
+    hubspot_owner_id TEXT,
+    written_back BOOLEAN NOT NULL DEFAULT FALSE,
+    assigned_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_owner_assignments_pool_assigned_at
+    ON owner_assignments(pool, assigned_at DESC);
+CREATE INDEX IF NOT EXISTS idx_owner_assignments_contact_id
+    ON owner_assignments(contact_id);
+
+ALTER TABLE owner_assignment_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE owner_assignments ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'owner_assignment_state'
+          AND policyname = 'Service role can do everything on owner_assignment_state'
+    ) THEN
+        CREATE POLICY "Service role can do everything on owner_assignment_state"
+            ON owner_assignment_state
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'owner_assignments'
+          AND policyname = 'Service role can do everything on owner_assignments'
+    ) THEN
+        CREATE POLICY "Service role can do everything on owner_assignments"
+            ON owner_assignments
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_owner_assignment_state_updated_at'
+    ) THEN
+        CREATE TRIGGER update_owner_assignment_state_updated_at
+            BEFORE UPDATE ON owner_assignment_state
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE owner_assignment_state IS 'Rotation state for the unowned-lead assignment pool';
+COMMENT ON COLUMN owner_assignment_state.current_weights IS 'Smooth weighted round-robin running weights per owner';
+COMMENT ON TABLE owner_assignments IS 'Owners assigned to contacts that had no resolvable HubSpot owner';
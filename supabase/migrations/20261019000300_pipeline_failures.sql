@@ -0,0 +1,60 @@
+-- Dead-letter queue for lead pipeline contacts that failed processing.
+-- Later runs retry due entries (exponential backoff) before handling new contacts.
+-- One row per contact; a new failure after resolution reopens the row.
+
+CREATE TABLE IF NOT EXISTS pipeline_failures (
+    id BIGSERIAL PRIMARY KEY,
+    contact_id TEXT NOT NULL UNIQUE,
+    email TEXT,
+    step TEXT NOT NULL,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dead', 'discarded')),
+    next_retry_at TIMESTAMPTZ,
+    last_failed_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_failures_status_next_retry
+    ON pipeline_failures(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_pipeline_failures_step ON pipeline_failures(step);
+
+ALTER TABLE pipeline_failures ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'pipeline_failures'
+          AND policyname = 'Service role can do everything on pipeline_failures'
+    ) THEN
+        CREATE POLICY "Service role can do everything on pipeline_failures"
+            ON pipeline_failures
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_pipeline_failures_updated_at'
+    ) THEN
+        CREATE TRIGGER update_pipeline_failures_updated_at
+            BEFORE UPDATE ON pipeline_failures
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE pipeline_failures IS 'Dead-letter queue of contacts that failed in the lead pipeline';
+COMMENT ON COLUMN pipeline_failures.step IS 'Failed step: owner_assignment, salesforce_conversion, lemlist_add, supabase_write, hubspot_lookup';
+COMMENT ON COLUMN pipeline_failures.status IS 'pending (will retry), resolved, dead (max attempts reached), discarded (manually dropped)';
+COMMENT ON COLUMN pipeline_failures.next_retry_at IS 'Earliest time the next automatic retry may run';
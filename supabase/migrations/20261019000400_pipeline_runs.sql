@@ -0,0 +1,106 @@
+-- Lead pipeline run history.
+-- One pipeline_runs row per (non dry-run) run, plus one pipeline_run_items row per
+-- contact handled in that run, so individual enrollment decisions can be audited.
+
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+    id BIGSERIAL PRIMARY KEY,
+    pipeline TEXT NOT NULL DEFAULT 'leads',
+    trigger_source TEXT NOT NULL DEFAULT 'manual',
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'partial', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    searched_since TIMESTAMPTZ,
+    processed INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    duplicates INTEGER NOT NULL DEFAULT 0,
+    retried INTEGER NOT NULL DEFAULT 0,
+    hubspot_updated INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_runs_started_at ON pipeline_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pipeline_runs_status ON pipeline_runs(status);
+
+CREATE TABLE IF NOT EXISTS pipeline_run_items (
+    id BIGSERIAL PRIMARY KEY,
+    run_id BIGINT NOT NULL REFERENCES pipeline_runs(id) ON DELETE CASCADE,
+    contact_id TEXT NOT NULL,
+    email TEXT,
+    outcome TEXT NOT NULL CHECK (outcome IN ('enrolled', 'duplicate', 'skipped', 'failed')),
+    reason TEXT,
+    step TEXT,
+    owner TEXT,
+    owner_resolution TEXT,
+    campaign_id TEXT,
+    routing_rule_id TEXT,
+    routing_rule_version INTEGER,
+    salesforce_status TEXT,
+    is_retry BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_run_items_run_id ON pipeline_run_items(run_id);
+CREATE INDEX IF NOT EXISTS idx_pipeline_run_items_contact_id ON pipeline_run_items(contact_id);
+CREATE INDEX IF NOT EXISTS idx_pipeline_run_items_email ON pipeline_run_items(email);
+
+ALTER TABLE pipeline_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_run_items ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'pipeline_runs'
+          AND policyname = 'Service role can do everything on pipeline_runs'
+    ) THEN
+        CREATE POLICY "Service role can do everything on pipeline_runs"
+            ON pipeline_runs
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'pipeline_run_items'
+          AND policyname = 'Service role can do everything on pipeline_run_items'
+    ) THEN
+        CREATE POLICY "Service role can do everything on pipeline_run_items"
+            ON pipeline_run_items
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_pipeline_runs_updated_at'
+    ) THEN
+        CREATE TRIGGER update_pipeline_runs_updated_at
+            BEFORE UPDATE ON pipeline_runs
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE pipeline_runs IS 'History of lead pipeline runs with outcome counts';
+COMMENT ON COLUMN pipeline_runs.trigger_source IS 'What started the run: cron, manual, api';
+COMMENT ON TABLE pipeline_run_items IS 'Per-contact outcome of each lead pipeline run';
+COMMENT ON COLUMN pipeline_run_items.reason IS 'Skip reason, duplicate reason or error message';
+COMMENT ON COLUMN pipeline_run_items.step IS 'Failed step for outcome = failed (see pipeline_failures.step)';
@@ -0,0 +1,12 @@
+-- Time-budgeted lead pipeline runs.
+-- A run that reaches its time budget defers the remaining contacts and saves a
+-- continuation cursor (as the pipeline_checkpoints high-water mark) to resume from.
+
+ALTER TABLE pipeline_runs ADD COLUMN IF NOT EXISTS deferred INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE pipeline_runs ADD COLUMN IF NOT EXISTS complete BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE pipeline_runs ADD COLUMN IF NOT EXISTS resume_cursor TIMESTAMPTZ;
+
+COMMENT ON COLUMN pipeline_runs.trigger_source IS 'What started the run: cron, continuation (chained after a partial run), manual, api';
+COMMENT ON COLUMN pipeline_runs.deferred IS 'Contacts not started before the time budget ran out';
+COMMENT ON COLUMN pipeline_runs.complete IS 'False when the run stopped at its time budget with contacts deferred';
+COMMENT ON COLUMN pipeline_runs.resume_cursor IS 'lastmodifieddate the next run resumes searching from';
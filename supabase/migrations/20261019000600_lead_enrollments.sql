@@ -0,0 +1,56 @@
+-- Lead re-enrollment (recycling).
+-- processed_leads keeps one row per contact with its latest enrollment; every
+-- enrollment (initial and recycled) is also appended to lead_enrollments.
+
+CREATE TABLE IF NOT EXISTS lead_enrollments (
+    id BIGSERIAL PRIMARY KEY,
+    contact_id TEXT NOT NULL,
+    email TEXT,
+    owner TEXT,
+    campaign_id TEXT,
+    source_detail TEXT,
+    enrollment_type TEXT NOT NULL DEFAULT 'initial' CHECK (enrollment_type IN ('initial', 'recycle')),
+    recycle_reason TEXT,
+    previous_status TEXT,
+    routing_rule_id TEXT,
+    enrolled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_enrollments_contact_id ON lead_enrollments(contact_id);
+CREATE INDEX IF NOT EXISTS idx_lead_enrollments_email ON lead_enrollments(email);
+CREATE INDEX IF NOT EXISTS idx_lead_enrollments_enrolled_at ON lead_enrollments(enrolled_at DESC);
+
+ALTER TABLE processed_leads ADD COLUMN IF NOT EXISTS enrollment_count INTEGER NOT NULL DEFAULT 1;
+
+-- Seed history with the enrollments recorded so far
+INSERT INTO lead_enrollments (contact_id, email, owner, campaign_id, source_detail, enrollment_type, enrolled_at)
+SELECT contact_id, email, owner, campaign_id, source_detail, 'initial', COALESCE(processed_at, created_at, NOW())
+FROM processed_leads
+WHERE NOT EXISTS (
+    SELECT 1 FROM lead_enrollments le WHERE le.contact_id = processed_leads.contact_id
+);
+
+ALTER TABLE lead_enrollments ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'lead_enrollments'
+          AND policyname = 'Service role can do everything on lead_enrollments'
+    ) THEN
+        CREATE POLICY "Service role can do everything on lead_enrollments"
+            ON lead_enrollments
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+COMMENT ON TABLE lead_enrollments IS 'Every Lemlist enrollment per contact, including recycled re-enrollments';
+COMMENT ON COLUMN lead_enrollments.recycle_reason IS 'Why a processed contact was re-enrolled: sequence_finished_after_days, source_changed';
+COMMENT ON COLUMN lead_enrollments.previous_status IS 'processed_leads.status before the re-enrollment';
+COMMENT ON COLUMN processed_leads.enrollment_count IS 'Number of times the contact has been enrolled (initial + recycled)';
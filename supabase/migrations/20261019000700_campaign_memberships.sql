@@ -0,0 +1,61 @@
+-- Index of Lemlist campaign memberships for cross-campaign deduplication.
+-- Built from the campaign export sync and kept current as the pipeline enrolls
+-- or moves leads, so enrollment can check every campaign without one API call each.
+
+CREATE TABLE IF NOT EXISTS lemlist_campaign_memberships (
+    id BIGSERIAL PRIMARY KEY,
+    campaign_id TEXT NOT NULL,
+    campaign_name TEXT,
+    email TEXT NOT NULL,
+    lead_status TEXT,
+    sequence_finished BOOLEAN NOT NULL DEFAULT false,
+    source TEXT NOT NULL DEFAULT 'export_sync' CHECK (source IN ('export_sync', 'pipeline')),
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (campaign_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lemlist_campaign_memberships_email ON lemlist_campaign_memberships(email);
+
+ALTER TABLE lemlist_campaign_memberships ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'lemlist_campaign_memberships'
+          AND policyname = 'Service role can do everything on lemlist_campaign_memberships'
+    ) THEN
+        CREATE POLICY "Service role can do everything on lemlist_campaign_memberships"
+            ON lemlist_campaign_memberships
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_lemlist_campaign_memberships_updated_at'
+    ) THEN
+        CREATE TRIGGER update_lemlist_campaign_memberships_updated_at
+            BEFORE UPDATE ON lemlist_campaign_memberships
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+INSERT INTO sync_status (sync_type, status) VALUES
+  ('memberships', 'pending')
+ON CONFLICT (sync_type) DO NOTHING;
+
+COMMENT ON TABLE lemlist_campaign_memberships IS 'Cached Lemlist campaign membership per lead email (cross-campaign dedupe index)';
+COMMENT ON COLUMN lemlist_campaign_memberships.email IS 'Lead email address (lowercase)';
+COMMENT ON COLUMN lemlist_campaign_memberships.sequence_finished IS 'Lead replied, was marked not interested, or completed every step';
+COMMENT ON COLUMN lemlist_campaign_memberships.source IS 'export_sync (campaign export) or pipeline (recorded at enrollment)';
@@ -0,0 +1,10 @@
+-- Record the data-quality stage outcome for each contact in a pipeline run.
+
+ALTER TABLE pipeline_run_items ADD COLUMN IF NOT EXISTS data_quality_status TEXT
+    CHECK (data_quality_status IN ('accepted', 'fixed', 'rejected'));
+ALTER TABLE pipeline_run_items ADD COLUMN IF NOT EXISTS data_quality_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_run_items_data_quality_status ON pipeline_run_items(data_quality_status);
+
+COMMENT ON COLUMN pipeline_run_items.data_quality_status IS 'Data-quality stage result: accepted, fixed or rejected';
+COMMENT ON COLUMN pipeline_run_items.data_quality_reason IS 'Rejection reason (invalid_email_syntax, disposable_email, role_based_email), applied fixes, or flags';
@@ -0,0 +1,69 @@
+-- Lemlist enrichment requests and results, keyed by email.
+-- Results are reused until expires_at so re-runs do not spend enrichment credits again.
+-- In async mode a contact waits here (deferred_contact_id) until its result is ready.
+
+CREATE TABLE IF NOT EXISTS lead_enrichments (
+    id BIGSERIAL PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    enrichment_id TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'failed')),
+    request JSONB,
+    result JSONB,
+    error_message TEXT,
+    deferred_contact_id TEXT,
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    last_polled_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_enrichments_deferred_contact_id
+    ON lead_enrichments(deferred_contact_id) WHERE deferred_contact_id IS NOT NULL;
+
+-- Contacts waiting on enrichment are recorded in run history with their own outcome
+ALTER TABLE pipeline_run_items DROP CONSTRAINT IF EXISTS pipeline_run_items_outcome_check;
+ALTER TABLE pipeline_run_items ADD CONSTRAINT pipeline_run_items_outcome_check
+    CHECK (outcome IN ('enrolled', 'duplicate', 'skipped', 'failed', 'enrichment_pending'));
+ALTER TABLE pipeline_runs ADD COLUMN IF NOT EXISTS enrichment_pending INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE lead_enrichments ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'lead_enrichments'
+          AND policyname = 'Service role can do everything on lead_enrichments'
+    ) THEN
+        CREATE POLICY "Service role can do everything on lead_enrichments"
+            ON lead_enrichments
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_lead_enrichments_updated_at'
+    ) THEN
+        CREATE TRIGGER update_lead_enrichments_updated_at
+            BEFORE UPDATE ON lead_enrichments
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE lead_enrichments IS 'Cached Lemlist enrichment requests and results per email';
+COMMENT ON COLUMN lead_enrichments.status IS 'pending (submitted, result not ready), done, failed (also cached so credits are not spent again)';
+COMMENT ON COLUMN lead_enrichments.result IS 'Raw Lemlist enrichment result, merged into the lead payload at enrollment';
+COMMENT ON COLUMN lead_enrichments.deferred_contact_id IS 'HubSpot contact whose enrollment waits on this enrichment (async mode)';
+COMMENT ON COLUMN lead_enrichments.expires_at IS 'Cached result is reused until this time';
+COMMENT ON COLUMN pipeline_runs.enrichment_pending IS 'Contacts whose enrollment waits on an async enrichment result';
@@ -0,0 +1,73 @@
+-- Owner directory: one row per sales rep.
+-- Replaces the owner maps in routing.json, api/config.js, the pipeline, the webhook
+-- handler and the dashboard, so onboarding a rep is a data change.
+
+CREATE TABLE IF NOT EXISTS owners (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    display_name TEXT NOT NULL,
+    hubspot_owner_id TEXT UNIQUE,
+    salesforce_user_id TEXT,
+    calendar_link TEXT,
+    default_campaign_id TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_owners_active ON owners(active);
+
+-- Seed the current reps (previously hardcoded)
+INSERT INTO owners (name, display_name, hubspot_owner_id, default_campaign_id) VALUES
+    ('alec', 'Alec McCullough', '161405486', 'cam_DXge9ffvr6za36sJi'),
+    ('janae', 'Janae Gilliam', '228077638', 'cam_8xjW4xww9mR9xXofL'),
+    ('kate', 'Kate Norton', '75344272', 'cam_Gx9NrvYMPPtAQYDWF')
+ON CONFLICT (name) DO NOTHING;
+
+-- Carry over real calendar links (placeholders stay empty)
+UPDATE owners
+SET calendar_link = scl.calendar_link
+FROM seller_calendar_links scl
+WHERE scl.owner = owners.name
+  AND owners.calendar_link IS NULL
+  AND scl.calendar_link NOT LIKE 'PLACEHOLDER%';
+
+ALTER TABLE owners ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'owners'
+          AND policyname = 'Service role can do everything on owners'
+    ) THEN
+        CREATE POLICY "Service role can do everything on owners"
+            ON owners
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_owners_updated_at'
+    ) THEN
+        CREATE TRIGGER update_owners_updated_at
+            BEFORE UPDATE ON owners
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE owners IS 'Sales rep directory used for routing, personalization and dashboard filters';
+COMMENT ON COLUMN owners.name IS 'Owner key stored on leads, campaigns and activities (e.g. alec)';
+COMMENT ON COLUMN owners.display_name IS 'Full name sent to Lemlist as the Owner variable';
+COMMENT ON COLUMN owners.calendar_link IS 'Lemcal calendar link sent to Lemlist as lemcal_calendar_link';
+COMMENT ON COLUMN owners.default_campaign_id IS 'Lemlist campaign used when no routing rule sets one';
+COMMENT ON COLUMN owners.active IS 'Inactive owners are not routed to and are hidden from dashboard filters';
@@ -0,0 +1,57 @@
+-- HubSpot owners sync: match HubSpot owners to the owner directory, Salesforce
+-- users and Lemcal users by email, and record warnings for reps who own
+-- triggered contacts but cannot be routed.
+
+ALTER TABLE owners ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE owners ADD COLUMN IF NOT EXISTS lemcal_user_id TEXT;
+ALTER TABLE owners ADD COLUMN IF NOT EXISTS hubspot_synced_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_owners_email ON owners(LOWER(email));
+
+CREATE TABLE IF NOT EXISTS owner_sync_runs (
+    id BIGSERIAL PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    hubspot_owners INTEGER NOT NULL DEFAULT 0,
+    created INTEGER NOT NULL DEFAULT 0,
+    updated INTEGER NOT NULL DEFAULT 0,
+    salesforce_matched INTEGER NOT NULL DEFAULT 0,
+    lemcal_matched INTEGER NOT NULL DEFAULT 0,
+    warnings JSONB NOT NULL DEFAULT '[]'::jsonb,
+    unmatched JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_owner_sync_runs_started_at ON owner_sync_runs(started_at DESC);
+
+INSERT INTO sync_status (sync_type, status) VALUES
+  ('owners', 'pending')
+ON CONFLICT (sync_type) DO NOTHING;
+
+ALTER TABLE owner_sync_runs ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'owner_sync_runs'
+          AND policyname = 'Service role can do everything on owner_sync_runs'
+    ) THEN
+        CREATE POLICY "Service role can do everything on owner_sync_runs"
+            ON owner_sync_runs
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN owners.email IS 'Rep email, used to match HubSpot owners, Salesforce users and Lemcal users';
+COMMENT ON COLUMN owners.lemcal_user_id IS 'Lemcal user matched by email';
+COMMENT ON COLUMN owners.hubspot_synced_at IS 'Last time the HubSpot owners sync saw this owner';
+COMMENT ON TABLE owner_sync_runs IS 'HubSpot owners sync results, including routing warnings';
+COMMENT ON COLUMN owner_sync_runs.warnings IS 'Reps owning triggered contacts that cannot be routed: [{ type, hubspot_owner_id, owner, email, triggered_contacts, message }]';
+COMMENT ON COLUMN owner_sync_runs.unmatched IS 'Active owners without a Salesforce or Lemcal user match: { salesforce: [...], lemcal: [...] }';
@@ -0,0 +1,63 @@
+-- Audit trail of Salesforce Lead conversions made by the lead pipeline:
+-- which Lead became which Contact/Account, and how the Account was chosen.
+
+CREATE TABLE IF NOT EXISTS salesforce_conversions (
+    id BIGSERIAL PRIMARY KEY,
+    hubspot_contact_id TEXT NOT NULL,
+    email TEXT,
+    lead_id TEXT NOT NULL,
+    contact_id TEXT,
+    account_id TEXT,
+    opportunity_id TEXT,
+    owner_id TEXT,
+    converted_status TEXT,
+    status TEXT NOT NULL CHECK (status IN ('converted', 'failed')),
+    account_decision TEXT NOT NULL CHECK (account_decision IN ('matched_domain', 'matched_company_name', 'created', 'ambiguous_created')),
+    decision JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_salesforce_conversions_hubspot_contact_id ON salesforce_conversions(hubspot_contact_id);
+CREATE INDEX IF NOT EXISTS idx_salesforce_conversions_lead_id ON salesforce_conversions(lead_id);
+CREATE INDEX IF NOT EXISTS idx_salesforce_conversions_account_id ON salesforce_conversions(account_id);
+CREATE INDEX IF NOT EXISTS idx_salesforce_conversions_created_at ON salesforce_conversions(created_at DESC);
+
+ALTER TABLE salesforce_conversions ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'salesforce_conversions'
+          AND policyname = 'Service role can do everything on salesforce_conversions'
+    ) THEN
+        CREATE POLICY "Service role can do everything on salesforce_conversions"
+            ON salesforce_conversions
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_salesforce_conversions_updated_at'
+    ) THEN
+        CREATE TRIGGER update_salesforce_conversions_updated_at
+            BEFORE UPDATE ON salesforce_conversions
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE salesforce_conversions IS 'Salesforce Lead conversions made by the lead pipeline';
+COMMENT ON COLUMN salesforce_conversions.account_decision IS 'matched_domain / matched_company_name (merged into an existing Account), created (no match), ambiguous_created (several matches, new Account created)';
+COMMENT ON COLUMN salesforce_conversions.decision IS 'Conversion options and account match candidates considered';
+COMMENT ON COLUMN salesforce_conversions.owner_id IS 'Salesforce user set as owner from the routing result (null keeps the Lead owner)';
@@ -0,0 +1,20 @@
+-- AI-drafted source context summaries awaiting approval.
+-- New source values are scaffolded with the raw value as context_summary; a drafted
+-- summary is stored alongside it and only replaces context_summary once approved.
+
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS draft_summary TEXT;
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS draft_status TEXT
+    CHECK (draft_status IN ('pending', 'approved', 'rejected', 'failed'));
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS draft_model TEXT;
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS draft_error TEXT;
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS drafted_at TIMESTAMPTZ;
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE lead_source_contexts ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_lead_source_contexts_draft_status
+    ON lead_source_contexts(draft_status) WHERE draft_status IS NOT NULL;
+
+COMMENT ON COLUMN lead_source_contexts.draft_summary IS 'AI-drafted context summary; copied to context_summary only when approved';
+COMMENT ON COLUMN lead_source_contexts.draft_status IS 'pending (awaiting review), approved, rejected, failed (draft could not be generated)';
+COMMENT ON COLUMN lead_source_contexts.draft_model IS 'Model that generated the draft';
+COMMENT ON COLUMN lead_source_contexts.reviewed_by IS 'Who approved or rejected the draft';
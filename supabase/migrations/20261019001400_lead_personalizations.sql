@@ -0,0 +1,65 @@
+-- AI personalization snippets (opening line, pain hypothesis) generated per lead at
+-- enrollment, with the prompt version and validation result so quality can be
+-- reviewed per campaign.
+
+CREATE TABLE IF NOT EXISTS lead_personalizations (
+    id BIGSERIAL PRIMARY KEY,
+    contact_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    campaign_id TEXT,
+    owner TEXT,
+    prompt_version TEXT NOT NULL,
+    model TEXT,
+    status TEXT NOT NULL CHECK (status IN ('accepted', 'rejected', 'failed')),
+    opening_line TEXT,
+    pain_hypothesis TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    violations JSONB NOT NULL DEFAULT '[]'::jsonb,
+    input JSONB,
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_personalizations_campaign_id ON lead_personalizations(campaign_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_personalizations_contact_id ON lead_personalizations(contact_id);
+CREATE INDEX IF NOT EXISTS idx_lead_personalizations_prompt_version ON lead_personalizations(prompt_version);
+
+ALTER TABLE lead_personalizations ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'lead_personalizations'
+          AND policyname = 'Service role can do everything on lead_personalizations'
+    ) THEN
+        CREATE POLICY "Service role can do everything on lead_personalizations"
+            ON lead_personalizations
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_lead_personalizations_updated_at'
+    ) THEN
+        CREATE TRIGGER update_lead_personalizations_updated_at
+            BEFORE UPDATE ON lead_personalizations
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE lead_personalizations IS 'AI-generated Lemlist personalization snippets per enrolled lead';
+COMMENT ON COLUMN lead_personalizations.status IS 'accepted (sent to Lemlist), rejected (failed length/banned-phrase validation), failed (generation error)';
+COMMENT ON COLUMN lead_personalizations.prompt_version IS 'routing.json ai_personalization.prompt_version used for this snippet';
+COMMENT ON COLUMN lead_personalizations.violations IS 'Validation rules the last generated output broke';
+COMMENT ON COLUMN lead_personalizations.input IS 'Contact, company and source context sent to the model';
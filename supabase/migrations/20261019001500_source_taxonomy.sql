@@ -0,0 +1,74 @@
+-- Source taxonomy: one ordered list of pattern -> category -> Salesforce Source__c
+-- mappings shared by the lead pipeline (sfdcSource), the sfdcSource backfill and the
+-- dashboard source breakdown. Rules are evaluated by priority; the first match wins.
+
+CREATE TABLE IF NOT EXISTS source_taxonomy_rules (
+    id BIGSERIAL PRIMARY KEY,
+    priority INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    field TEXT NOT NULL DEFAULT 'source_detail' CHECK (field IN ('source_detail', 'lead_source')),
+    match_type TEXT NOT NULL CHECK (match_type IN ('equals', 'prefix', 'contains', 'regex')),
+    pattern TEXT NOT NULL,
+    category TEXT NOT NULL,
+    sfdc_value TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_source_taxonomy_rules_priority
+    ON source_taxonomy_rules(priority) WHERE is_active = TRUE;
+
+-- Seed with the union of the previous pipeline, backfill and dashboard rules
+INSERT INTO source_taxonomy_rules (priority, name, field, match_type, pattern, category, sfdc_value)
+SELECT * FROM (VALUES
+  (10, 'Lead magnet prefix', 'source_detail', 'regex', '^LM\s*[-–—]\s*(.*)', 'Lead Magnet', 'Lead Magnet'),
+  (20, 'Lead magnet mention', 'source_detail', 'contains', 'lead magnet', 'Lead Magnet', 'Lead Magnet'),
+  (30, 'Contact us prefix', 'source_detail', 'prefix', 'CU -', 'Contact Us', 'Contact Us'),
+  (40, 'Contact us mention', 'source_detail', 'regex', 'contact\s*us', 'Contact Us', 'Contact Us'),
+  (50, 'Referral', 'source_detail', 'contains', 'referral', 'Referral', 'Referral'),
+  (60, 'Partner', 'source_detail', 'contains', 'partner', 'Referral', 'Referral'),
+  (70, 'SEO', 'source_detail', 'contains', 'seo', 'Organic', 'Referral'),
+  (80, 'Organic', 'source_detail', 'contains', 'organic', 'Organic', 'Referral'),
+  (90, 'Contact us lead source', 'lead_source', 'equals', 'contact_us', 'Contact Us', 'Contact Us')
+) AS seed(priority, name, field, match_type, pattern, category, sfdc_value)
+WHERE NOT EXISTS (SELECT 1 FROM source_taxonomy_rules);
+
+ALTER TABLE source_taxonomy_rules ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'source_taxonomy_rules'
+          AND policyname = 'Service role can do everything on source_taxonomy_rules'
+    ) THEN
+        CREATE POLICY "Service role can do everything on source_taxonomy_rules"
+            ON source_taxonomy_rules
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_source_taxonomy_rules_updated_at'
+    ) THEN
+        CREATE TRIGGER update_source_taxonomy_rules_updated_at
+            BEFORE UPDATE ON source_taxonomy_rules
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE source_taxonomy_rules IS 'Ordered source categorization rules shared by the pipeline, backfills and dashboard';
+COMMENT ON COLUMN source_taxonomy_rules.field IS 'Value the pattern is tested against: source_detail (hs_object_source_detail_1) or lead_source';
+COMMENT ON COLUMN source_taxonomy_rules.match_type IS 'equals, prefix, contains (case-insensitive) or regex; a regex capture group becomes the detail label';
+COMMENT ON COLUMN source_taxonomy_rules.category IS 'Dashboard category label';
+COMMENT ON COLUMN source_taxonomy_rules.sfdc_value IS 'Salesforce Source__c value sent to Lemlist as sfdcSource';
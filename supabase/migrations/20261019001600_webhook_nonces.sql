@@ -0,0 +1,53 @@
+-- Nonces of verified inbound webhook requests, kept for a retention window so a
+-- captured request cannot be replayed. The unique constraint is the replay check:
+-- a second insert of the same (provider, nonce) fails.
+
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+    id BIGSERIAL PRIMARY KEY,
+    provider TEXT NOT NULL CHECK (provider IN ('hubspot', 'lemcal', 'lemlist')),
+    nonce TEXT NOT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (provider, nonce)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_nonces_expires_at ON webhook_nonces(expires_at);
+
+ALTER TABLE webhook_nonces ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'webhook_nonces'
+          AND policyname = 'Service role can do everything on webhook_nonces'
+    ) THEN
+        CREATE POLICY "Service role can do everything on webhook_nonces"
+            ON webhook_nonces
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_webhook_nonces_updated_at'
+    ) THEN
+        CREATE TRIGGER update_webhook_nonces_updated_at
+            BEFORE UPDATE ON webhook_nonces
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE webhook_nonces IS 'Replay protection for inbound webhooks: one row per verified request nonce';
+COMMENT ON COLUMN webhook_nonces.nonce IS 'Provider nonce header, the request signature, or a hash of timestamp and raw body';
+COMMENT ON COLUMN webhook_nonces.expires_at IS 'Rows past this time are pruned; requests this old already fail the timestamp check';
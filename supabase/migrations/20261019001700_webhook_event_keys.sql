@@ -0,0 +1,23 @@
+-- Idempotent webhook ingestion. Every delivery gets a stable event key (provider
+-- event ID, or a hash of type + email + campaign + timestamp). webhook_events becomes
+-- the delivery ledger keyed on it, and Lemlist activity rows carry the same key, so a
+-- retried delivery cannot be processed or counted twice.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS event_key TEXT;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'processed'
+    CHECK (status IN ('processing', 'processed', 'failed'));
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS webhook_events_event_key_key ON webhook_events(event_key);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+
+ALTER TABLE lead_activities ADD COLUMN IF NOT EXISTS event_key TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS lead_activities_event_key_key ON lead_activities(event_key);
+
+COMMENT ON COLUMN webhook_events.event_key IS 'Stable delivery key, e.g. lemlist:emailsOpened:<id> or lemlist:h:<sha256>; unique';
+COMMENT ON COLUMN webhook_events.status IS 'processing (claimed), processed, or failed (the next delivery retries it)';
+COMMENT ON COLUMN webhook_events.claimed_at IS 'When the current attempt started; stale processing rows can be reclaimed';
+COMMENT ON COLUMN lead_activities.event_key IS 'webhook_events.event_key of the delivery that created the row; NULL for API-synced activities';
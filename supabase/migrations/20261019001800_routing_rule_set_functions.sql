@@ -0,0 +1,59 @@
+-- Publish and activate routing rule sets in one transaction each.
+-- Both take the same advisory lock, so concurrent publishes cannot pick the same
+-- version, and readers never see a moment without an active rule set (the
+-- deactivate and activate updates commit together).
+
+CREATE OR REPLACE FUNCTION activate_routing_rule_set(p_version INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('routing_rule_sets'));
+
+    IF NOT EXISTS (SELECT 1 FROM routing_rule_sets WHERE version = p_version) THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE routing_rule_sets SET is_active = FALSE WHERE is_active AND version <> p_version;
+    UPDATE routing_rule_sets SET is_active = TRUE, activated_at = NOW() WHERE version = p_version;
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION publish_routing_rule_set(
+    p_description TEXT,
+    p_created_by TEXT,
+    p_rules JSONB,
+    p_activate BOOLEAN
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_version INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('routing_rule_sets'));
+
+    SELECT COALESCE(MAX(version), 0) + 1 INTO v_version FROM routing_rule_sets;
+
+    INSERT INTO routing_rule_sets (version, description, created_by, is_active)
+    VALUES (v_version, p_description, p_created_by, FALSE);
+
+    INSERT INTO routing_rules (rule_set_version, priority, name, conditions, match, campaign_id, owner, is_active)
+    SELECT v_version, r.priority, r.name, COALESCE(r.conditions, '[]'::jsonb), r.match, r.campaign_id, r.owner, r.is_active
+    FROM jsonb_to_recordset(COALESCE(p_rules, '[]'::jsonb)) AS r(
+        priority INTEGER,
+        name TEXT,
+        conditions JSONB,
+        match TEXT,
+        campaign_id TEXT,
+        owner TEXT,
+        is_active BOOLEAN
+    );
+
+    IF p_activate THEN
+        PERFORM activate_routing_rule_set(v_version);
+    END IF;
+
+    RETURN v_version;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION activate_routing_rule_set(INTEGER) IS 'Make one rule set version the only active one; false when the version does not exist';
+COMMENT ON FUNCTION publish_routing_rule_set(TEXT, TEXT, JSONB, BOOLEAN) IS 'Insert a rule set with the next version and its rules, optionally activating it';
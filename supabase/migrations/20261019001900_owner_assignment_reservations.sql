@@ -0,0 +1,66 @@
+-- Owner assignments are reserved when the pipeline picks an owner and confirmed
+-- only once the contact is enrolled; skipped or failed contacts release theirs.
+-- Capacity-based picks count and reserve in one locked transaction so concurrent
+-- contacts cannot push an owner past capacity.
+
+ALTER TABLE owner_assignments ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('reserved', 'confirmed'));
+ALTER TABLE owner_assignments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_owner_assignments_contact_status
+    ON owner_assignments(contact_id, status);
+
+CREATE OR REPLACE FUNCTION reserve_owner_capacity(
+    p_pool TEXT,
+    p_contact_id TEXT,
+    p_members JSONB,
+    p_since TIMESTAMPTZ,
+    p_reserved_since TIMESTAMPTZ
+)
+RETURNS TABLE (reservation_id BIGINT, reserved_owner TEXT) AS $$
+DECLARE
+    v_owner TEXT;
+    v_id BIGINT;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('owner_assignments:' || p_pool));
+
+    -- Same ranking as the API preview: most remaining capacity, unlimited members by
+    -- fewest assignments, ties to the earlier member
+    WITH counts AS (
+        SELECT a.owner AS member_owner, COUNT(*) AS assigned
+        FROM owner_assignments a
+        WHERE a.pool = p_pool
+          AND a.assigned_at >= p_since
+          AND (a.status = 'confirmed' OR a.assigned_at >= p_reserved_since)
+        GROUP BY a.owner
+    ), candidates AS (
+        SELECT m.member->>'owner' AS member_owner,
+               (m.member->>'capacity')::INTEGER AS capacity,
+               COALESCE(c.assigned, 0) AS assigned,
+               m.member_order
+        FROM jsonb_array_elements(p_members) WITH ORDINALITY AS m(member, member_order)
+        LEFT JOIN counts c ON c.member_owner = m.member->>'owner'
+    )
+    SELECT candidates.member_owner INTO v_owner
+    FROM candidates
+    WHERE candidates.capacity IS NULL OR candidates.assigned < candidates.capacity
+    ORDER BY CASE WHEN candidates.capacity IS NULL THEN -candidates.assigned
+                  ELSE candidates.capacity - candidates.assigned END DESC,
+             candidates.member_order
+    LIMIT 1;
+
+    IF v_owner IS NULL THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO owner_assignments (pool, contact_id, owner, strategy, status)
+    VALUES (p_pool, p_contact_id, v_owner, 'capacity', 'reserved')
+    RETURNING id INTO v_id;
+
+    RETURN QUERY SELECT v_id, v_owner;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN owner_assignments.status IS 'reserved while the contact is being processed, confirmed once enrolled';
+COMMENT ON COLUMN owner_assignments.assigned_at IS 'When the owner was reserved; unconfirmed reservations stop counting after 15 minutes';
+COMMENT ON FUNCTION reserve_owner_capacity(TEXT, TEXT, JSONB, TIMESTAMPTZ, TIMESTAMPTZ) IS 'Pick the pool member with the most remaining capacity and reserve it for a contact';
@@ -0,0 +1,82 @@
+-- Contacts pushed by the HubSpot webhook wait in pipeline_queue until a lead pipeline
+-- run (the process-queue call the webhook dispatches, or the next sync-leads run)
+-- handles them, instead of being processed inside the webhook request.
+-- A lease on the pipeline_checkpoints row keeps runs (cron, continuation and
+-- webhook-triggered) from overlapping.
+
+CREATE TABLE IF NOT EXISTS pipeline_queue (
+    id BIGSERIAL PRIMARY KEY,
+    contact_id TEXT NOT NULL UNIQUE,
+    source TEXT NOT NULL DEFAULT 'webhook',
+    queued_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_queue_queued_at ON pipeline_queue(queued_at);
+
+ALTER TABLE pipeline_queue ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_policies
+        WHERE schemaname = 'public'
+          AND tablename = 'pipeline_queue'
+          AND policyname = 'Service role can do everything on pipeline_queue'
+    ) THEN
+        CREATE POLICY "Service role can do everything on pipeline_queue"
+            ON pipeline_queue
+            FOR ALL
+            USING (true)
+            WITH CHECK (true);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_trigger
+        WHERE tgname = 'update_pipeline_queue_updated_at'
+    ) THEN
+        CREATE TRIGGER update_pipeline_queue_updated_at
+            BEFORE UPDATE ON pipeline_queue
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
+
+COMMENT ON TABLE pipeline_queue IS 'HubSpot contacts waiting for the next lead pipeline run';
+COMMENT ON COLUMN pipeline_queue.contact_id IS 'HubSpot contact ID';
+COMMENT ON COLUMN pipeline_queue.source IS 'What queued the contact, e.g. webhook';
+
+ALTER TABLE pipeline_checkpoints ADD COLUMN IF NOT EXISTS lease_holder TEXT;
+ALTER TABLE pipeline_checkpoints ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN pipeline_checkpoints.lease_holder IS 'Run currently holding the pipeline';
+COMMENT ON COLUMN pipeline_checkpoints.lease_expires_at IS 'When the lease lapses if the run never releases it';
+
+-- Take the pipeline lease unless another run holds an unexpired one
+CREATE OR REPLACE FUNCTION acquire_pipeline_lease(p_pipeline TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_acquired BOOLEAN;
+BEGIN
+    INSERT INTO pipeline_checkpoints (pipeline, lease_holder, lease_expires_at)
+    VALUES (p_pipeline, p_holder, NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (pipeline) DO UPDATE
+        SET lease_holder = EXCLUDED.lease_holder,
+            lease_expires_at = EXCLUDED.lease_expires_at
+        WHERE pipeline_checkpoints.lease_expires_at IS NULL
+           OR pipeline_checkpoints.lease_expires_at < NOW()
+    RETURNING true INTO v_acquired;
+
+    RETURN COALESCE(v_acquired, false);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION acquire_pipeline_lease(TEXT, TEXT, INTEGER) IS 'Atomically take the run lease for a pipeline; false while another run holds it';
+
+COMMENT ON COLUMN pipeline_runs.trigger_source IS 'What started the run: cron, continuation (chained after a partial run), webhook (queued contacts processed at the HubSpot webhook's request), manual, api';
@@ -0,0 +1,111 @@
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.LOG_LEVEL = 'silent';
+
+const routingConfig = require('../api/config/routing.json');
+const campaignMembershipService = require('../api/services/campaignMembershipService');
+
+describe('campaignMembershipService', () => {
+  const originalSettings = routingConfig.cross_campaign_dedupe;
+
+  beforeEach(() => {
+    campaignMembershipService.tableAvailable = true;
+    jest.spyOn(campaignMembershipService, 'findIndexedMemberships').mockResolvedValue([]);
+    jest.spyOn(campaignMembershipService, 'findLiveMemberships').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    routingConfig.cross_campaign_dedupe = originalSettings;
+    jest.restoreAllMocks();
+  });
+
+  describe('getSettings', () => {
+    it('defaults to disabled index lookups that skip conflicts', () => {
+      routingConfig.cross_campaign_dedupe = undefined;
+
+      expect(campaignMembershipService.getSettings()).toEqual({
+        enabled: false,
+        source: 'index',
+        defaultPolicy: 'skip',
+        policies: {},
+        ignoreFinished: true
+      });
+    });
+
+    it('falls back to skip for an unknown default policy', () => {
+      routingConfig.cross_campaign_dedupe = { enabled: true, source: 'live', default_policy: 'merge', ignore_finished: false };
+
+      expect(campaignMembershipService.getSettings()).toMatchObject({
+        enabled: true,
+        source: 'live',
+        defaultPolicy: 'skip',
+        ignoreFinished: false
+      });
+    });
+  });
+
+  describe('getPolicy', () => {
+    it('uses the campaign policy when valid and the default otherwise', () => {
+      const settings = { defaultPolicy: 'move', policies: { cam_a: 'allow', cam_b: 'ignore' } };
+
+      expect(campaignMembershipService.getPolicy('cam_a', settings)).toBe('allow');
+      expect(campaignMembershipService.getPolicy('cam_b', settings)).toBe('move');
+      expect(campaignMembershipService.getPolicy('cam_c', settings)).toBe('move');
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('returns nothing when disabled or without an email', async () => {
+      routingConfig.cross_campaign_dedupe = { enabled: false };
+      expect(await campaignMembershipService.findConflicts('jane@acme.com', 'cam_target')).toEqual([]);
+
+      routingConfig.cross_campaign_dedupe = { enabled: true };
+      expect(await campaignMembershipService.findConflicts('  ', 'cam_target')).toEqual([]);
+
+      expect(campaignMembershipService.findIndexedMemberships).not.toHaveBeenCalled();
+      expect(campaignMembershipService.findLiveMemberships).not.toHaveBeenCalled();
+    });
+
+    it('drops the target campaign and attaches each campaign policy', async () => {
+      routingConfig.cross_campaign_dedupe = { enabled: true, default_policy: 'skip', policies: { cam_b: 'allow' } };
+      campaignMembershipService.findIndexedMemberships.mockResolvedValue([
+        { campaignId: 'cam_target', campaignName: 'Target', source: 'index' },
+        { campaignId: 'cam_a', campaignName: 'A', source: 'index' },
+        { campaignId: 'cam_b', campaignName: 'B', source: 'index' }
+      ]);
+
+      const conflicts = await campaignMembershipService.findConflicts(' Jane@Acme.com ', 'cam_target');
+
+      expect(campaignMembershipService.findIndexedMemberships).toHaveBeenCalledWith('jane@acme.com', expect.any(Object));
+      expect(conflicts).toEqual([
+        { campaignId: 'cam_a', campaignName: 'A', source: 'index', policy: 'skip' },
+        { campaignId: 'cam_b', campaignName: 'B', source: 'index', policy: 'allow' }
+      ]);
+    });
+
+    it('falls back to live lookups when the index is unavailable', async () => {
+      routingConfig.cross_campaign_dedupe = { enabled: true, default_policy: 'move' };
+      campaignMembershipService.findIndexedMemberships.mockResolvedValue(null);
+      campaignMembershipService.findLiveMemberships.mockResolvedValue([
+        { campaignId: 'cam_a', campaignName: 'A', source: 'live' }
+      ]);
+
+      const conflicts = await campaignMembershipService.findConflicts('jane@acme.com', 'cam_target');
+
+      expect(campaignMembershipService.findLiveMemberships).toHaveBeenCalledWith('jane@acme.com', 'cam_target');
+      expect(conflicts).toEqual([{ campaignId: 'cam_a', campaignName: 'A', source: 'live', policy: 'move' }]);
+    });
+
+    it('skips the index when configured for live lookups or the table is missing', async () => {
+      routingConfig.cross_campaign_dedupe = { enabled: true, source: 'live' };
+      await campaignMembershipService.findConflicts('jane@acme.com', 'cam_target');
+
+      routingConfig.cross_campaign_dedupe = { enabled: true };
+      campaignMembershipService.tableAvailable = false;
+      await campaignMembershipService.findConflicts('jane@acme.com', 'cam_target');
+
+      expect(campaignMembershipService.findIndexedMemberships).not.toHaveBeenCalled();
+      expect(campaignMembershipService.findLiveMemberships).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.LOG_LEVEL = 'silent';
+
+const { evaluateCondition, evaluateConditions, isEmpty } = require('../api/utils/conditions');
+const routingConfig = require('../api/config/routing.json');
+const leadPipelineService = require('../api/services/leadPipelineService');
+
+describe('conditions', () => {
+  describe('isEmpty', () => {
+    it('treats missing and blank values as empty', () => {
+      expect(isEmpty(undefined)).toBe(true);
+      expect(isEmpty(null)).toBe(true);
+      expect(isEmpty('  ')).toBe(true);
+      expect(isEmpty(0)).toBe(false);
+      expect(isEmpty(false)).toBe(false);
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    const record = { lifecyclestage: ' MQL ', jobtitle: 'VP of Sales', employees: '1,200', country: '' };
+
+    it('compares strings case-insensitively', () => {
+      expect(evaluateCondition({ property: 'lifecyclestage', operator: 'eq', value: 'mql' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'lifecyclestage', operator: 'in', value: ['lead', 'MQL'] }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'lifecyclestage', operator: 'in', value: 'lead,mql' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'contains', value: 'sales' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'starts_with', value: 'vp' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'ends_with', value: 'marketing' }, record)).toBe(false);
+    });
+
+    it('defaults to eq and resolves operator aliases', () => {
+      expect(evaluateCondition({ property: 'lifecyclestage', value: 'mql' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'lifecyclestage', operator: 'EQUALS', value: 'mql' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'country', operator: 'is_empty' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'is_not_empty' }, record)).toBe(true);
+    });
+
+    it('lets negative operators match empty values', () => {
+      expect(evaluateCondition({ property: 'country', operator: 'neq', value: 'us' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'country', operator: 'not_in', value: ['us'] }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'country', operator: 'not_contains', value: 'us' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'country', operator: 'eq', value: '' }, record)).toBe(false);
+    });
+
+    it('coerces numbers and fails on non-numeric values', () => {
+      expect(evaluateCondition({ property: 'employees', operator: 'gt', value: 1000 }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'employees', operator: 'lte', value: '1200' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'gt', value: 1 }, record)).toBe(false);
+      expect(evaluateCondition({ property: 'country', operator: 'lt', value: 1 }, record)).toBe(false);
+    });
+
+    it('supports open-ended ranges', () => {
+      expect(evaluateCondition({ property: 'employees', operator: 'between', value: [1000, 5000] }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'employees', operator: 'range', value: { min: 1500 } }, record)).toBe(false);
+      expect(evaluateCondition({ property: 'employees', operator: 'between', value: [null, 2000] }, record)).toBe(true);
+    });
+
+    it('matches regexes and rejects invalid ones', () => {
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'matches', value: '^vp\\b' }, record)).toBe(true);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'matches', value: '^vp\\b', flags: '' }, record)).toBe(false);
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'matches', value: '(' }, record)).toBe(false);
+    });
+
+    it('fails unknown operators and conditions without a property', () => {
+      expect(evaluateCondition({ property: 'jobtitle', operator: 'similar', value: 'vp' }, record)).toBe(false);
+      expect(evaluateCondition({ operator: 'exists' }, record)).toBe(false);
+      expect(evaluateCondition(null, record)).toBe(false);
+    });
+  });
+
+  describe('evaluateConditions', () => {
+    const conditions = [
+      { property: 'lifecyclestage', operator: 'eq', value: 'lead' },
+      { property: 'country', operator: 'eq', value: 'us' }
+    ];
+
+    it('requires every condition by default and any with match any', () => {
+      expect(evaluateConditions(conditions, { lifecyclestage: 'lead', country: 'US' })).toBe(true);
+      expect(evaluateConditions(conditions, { lifecyclestage: 'lead', country: 'FR' })).toBe(false);
+      expect(evaluateConditions(conditions, { lifecyclestage: 'lead', country: 'FR' }, 'any')).toBe(true);
+    });
+
+    it('matches an empty or missing list', () => {
+      expect(evaluateConditions([], {})).toBe(true);
+      expect(evaluateConditions(undefined, {})).toBe(true);
+    });
+  });
+});
+
+describe('leadPipelineService exclusions', () => {
+  const originalRules = routingConfig.exclusion_rules;
+
+  const exclude = (rules, props) => {
+    routingConfig.exclusion_rules = rules;
+    return leadPipelineService.getExclusionReason(props);
+  };
+
+  afterEach(() => {
+    routingConfig.exclusion_rules = originalRules;
+  });
+
+  it('excludes lifecycle stages and email opt-outs', () => {
+    const rules = { exclude_lifecycle_stages: ['customer'], exclude_if_email_optout: true };
+
+    expect(exclude(rules, { lifecyclestage: 'Customer' })).toBe('excluded_lifecycle_stage:customer');
+    expect(exclude(rules, { hs_email_optout: 'true' })).toBe('excluded_email_optout');
+    expect(exclude(rules, { lifecyclestage: 'lead', hs_email_optout: 'false' })).toBeNull();
+  });
+
+  it('blocks email domains, their subdomains and suffixes', () => {
+    const rules = { blocked_email_domains: ['Acme.com', '.edu'] };
+
+    expect(exclude(rules, { email: 'jane@acme.com' })).toBe('excluded_email_domain:acme.com');
+    expect(exclude(rules, { email: 'jane@eu.acme.com' })).toBe('excluded_email_domain:acme.com');
+    expect(exclude(rules, { email: 'jane@mit.edu' })).toBe('excluded_email_domain:.edu');
+    expect(exclude(rules, { email: 'jane@notacme.com' })).toBeNull();
+  });
+
+  it('blocks companies ignoring case and punctuation', () => {
+    const rules = { blocked_companies: ['Acme, Inc.'] };
+
+    expect(exclude(rules, { company: 'ACME INC' })).toBe('excluded_company:Acme, Inc.');
+    expect(exclude(rules, { company: 'Acme Corp' })).toBeNull();
+  });
+
+  it('matches job title patterns and skips invalid ones', () => {
+    const rules = { job_title_patterns: ['(', '\\bintern\\b'] };
+
+    expect(exclude(rules, { jobtitle: 'Sales Intern' })).toBe('excluded_job_title:\\bintern\\b');
+    expect(exclude(rules, { jobtitle: 'Internal Sales' })).toBeNull();
+  });
+
+  it('applies country allow and deny lists', () => {
+    expect(exclude({ countries: { deny: ['France'] } }, { country: 'france' })).toBe('excluded_country:france');
+    expect(exclude({ countries: { allow: ['United States'] } }, { country: 'Canada' })).toBe('excluded_country:canada');
+    expect(exclude({ countries: { allow: ['United States'] } }, { country: 'united states ' })).toBeNull();
+    expect(exclude({ countries: { allow: ['United States'] } }, {})).toBeNull();
+    expect(exclude({ countries: { exclude_unknown: true } }, { country: ' ' })).toBe('excluded_country:unknown');
+  });
+
+  it('evaluates property rules', () => {
+    const rules = {
+      property_rules: [
+        { name: 'tiny companies', conditions: [{ property: 'numberofemployees', operator: 'lt', value: 5 }] },
+        { conditions: [{ property: 'industry', operator: 'eq', value: 'education' }] },
+        { name: 'no conditions', conditions: [] }
+      ]
+    };
+
+    expect(exclude(rules, { numberofemployees: '3' })).toBe('excluded_rule:tiny companies');
+    expect(exclude(rules, { industry: 'Education' })).toBe('excluded_rule:unnamed');
+    expect(exclude(rules, { numberofemployees: '50' })).toBeNull();
+  });
+
+  it('shouldExclude reports whether any rule matched', () => {
+    routingConfig.exclusion_rules = { exclude_lifecycle_stages: ['customer'] };
+
+    expect(leadPipelineService.shouldExclude({ lifecyclestage: 'customer' })).toBe(true);
+    expect(leadPipelineService.shouldExclude({ lifecyclestage: 'lead' })).toBe(false);
+  });
+});
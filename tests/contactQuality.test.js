@@ -0,0 +1,105 @@
+const contactQuality = require('../api/utils/contactQuality');
+
+const { validateContact } = contactQuality;
+
+describe('contactQuality', () => {
+  describe('validateContact', () => {
+    it('accepts clean contacts without changes', () => {
+      const result = validateContact({ email: 'jane.doe@acme.com', firstname: 'Jane', lastname: 'Doe' });
+
+      expect(result).toEqual({ status: 'accepted', reason: null, fixes: [], flags: [], properties: {} });
+    });
+
+    it('normalizes the email and name casing', () => {
+      const result = validateContact({ email: '  mailto:Jane.Doe@Example.COM ', firstname: 'JANE', lastname: 'doe' });
+
+      expect(result.status).toBe('fixed');
+      expect(result.fixes).toEqual(['email_normalized', 'name_casing']);
+      expect(result.properties).toEqual({ email: 'jane.doe@example.com', firstname: 'Jane', lastname: 'Doe' });
+    });
+
+    it('rejects invalid email syntax', () => {
+      expect(validateContact({ email: 'jane@' }).reason).toBe('invalid_email_syntax');
+      expect(validateContact({ email: 'jane@acme' }).status).toBe('rejected');
+      expect(validateContact({}).reason).toBe('invalid_email_syntax');
+    });
+
+    it('rejects disposable domains, including subdomains, unless set to flag', () => {
+      expect(validateContact({ email: 'x@mailinator.com' })).toMatchObject({ status: 'rejected', reason: 'disposable_email' });
+      expect(validateContact({ email: 'x@eu.mailinator.com' }).reason).toBe('disposable_email');
+      expect(validateContact({ email: 'x@burner.example' }, { disposable_domains: ['Burner.example'] }).reason).toBe('disposable_email');
+
+      const flagged = validateContact({ email: 'x@mailinator.com', firstname: 'X' }, { disposable_action: 'flag' });
+      expect(flagged.status).toBe('accepted');
+      expect(flagged.flags).toEqual(['disposable_email']);
+    });
+
+    it('flags role-based addresses unless set to reject', () => {
+      const flagged = validateContact({ email: 'info+leads@acme.com', firstname: 'Jane', lastname: 'Doe' });
+      expect(flagged).toMatchObject({ status: 'accepted', reason: 'role_based_email', flags: ['role_based_email'] });
+
+      expect(validateContact({ email: 'info@acme.com' }, { role_based_action: 'reject' }))
+        .toMatchObject({ status: 'rejected', reason: 'role_based_email' });
+    });
+
+    it('strips titles and splits a full name typed into the first name', () => {
+      const result = validateContact({ email: 'jane@acme.com', firstname: 'Dr. jane doe', lastname: '' });
+
+      expect(result.fixes).toEqual(['name_titles', 'name_split', 'name_casing']);
+      expect(result.properties).toEqual({ firstname: 'Jane', lastname: 'Doe' });
+    });
+
+    it('drops credentials and a repeated last name', () => {
+      const result = validateContact({ email: 'jane@acme.com', firstname: 'Jane Doe', lastname: 'Doe, PhD' });
+
+      expect(result.fixes).toEqual(['name_titles', 'name_split']);
+      expect(result.properties).toEqual({ firstname: 'Jane', lastname: 'Doe' });
+    });
+
+    it('clears an email address typed into the first name', () => {
+      const result = validateContact({ email: 'jane@acme.com', firstname: 'jane@acme.com', lastname: 'Doe' });
+
+      expect(result.fixes).toEqual(['name_was_email']);
+      expect(result.properties.firstname).toBe('');
+    });
+
+    it('cleans whitespace in company and job title', () => {
+      const result = validateContact({ email: 'jane@acme.com', firstname: 'Jane', company: ' Acme\u200B  Inc ', jobtitle: 'CTO' });
+
+      expect(result.fixes).toEqual(['whitespace']);
+      expect(result.properties).toEqual({ company: 'Acme Inc' });
+    });
+
+    it('leaves names alone when fix_names is off and accepts everything when disabled', () => {
+      expect(validateContact({ email: 'jane@acme.com', firstname: 'JANE' }, { fix_names: false }).status).toBe('accepted');
+      expect(validateContact({ email: 'not an email' }, { enabled: false }).status).toBe('accepted');
+    });
+  });
+
+  describe('fixNameCasing', () => {
+    it('title-cases all-caps and all-lowercase names', () => {
+      expect(contactQuality.fixNameCasing('MARY-ANNE')).toBe('Mary-Anne');
+      expect(contactQuality.fixNameCasing("o'brien")).toBe("O'Brien");
+      expect(contactQuality.fixNameCasing('mcdonald')).toBe('McDonald');
+      expect(contactQuality.fixNameCasing('LUDWIG VAN BEETHOVEN')).toBe('Ludwig van Beethoven');
+    });
+
+    it('keeps deliberate mixed case', () => {
+      expect(contactQuality.fixNameCasing('DeShawn')).toBe('DeShawn');
+    });
+  });
+
+  describe('isPersonalEmail', () => {
+    it('matches free mailbox domains exactly, ignoring case', () => {
+      expect(contactQuality.isPersonalEmail('jane@Gmail.com')).toBe(true);
+      expect(contactQuality.isPersonalEmail('jane@proton.me')).toBe(true);
+      expect(contactQuality.isPersonalEmail('jane@acme.com')).toBe(false);
+      expect(contactQuality.isPersonalEmail('jane@mail.gmail.com')).toBe(false);
+    });
+
+    it('handles missing or malformed values', () => {
+      expect(contactQuality.isPersonalEmail(null)).toBe(false);
+      expect(contactQuality.isPersonalEmail('gmail.com')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const fieldMapping = require('../api/utils/fieldMapping');
+
+function makeResolvers({ contact = {}, company = {}, context = {}, supabase = () => null } = {}) {
+  return {
+    contact: (property) => contact[property],
+    company: async (property) => company[property],
+    supabase,
+    context: (key) => context[key]
+  };
+}
+
+describe('fieldMapping', () => {
+  describe('buildPayload', () => {
+    it('applies transforms in order', async () => {
+      const mappings = {
+        firstName: {
+          sources: [{ source: 'contact', property: 'firstname' }],
+          transforms: ['trim', 'titlecase', { truncate: 4 }]
+        },
+        lastName: {
+          sources: [{ source: 'contact', property: 'lastname' }],
+          transforms: [{ truncate: 4 }, 'trim', 'uppercase']
+        }
+      };
+
+      const payload = await fieldMapping.buildPayload(mappings, makeResolvers({
+        contact: { firstname: '  jean-luc ', lastname: ' picard' }
+      }));
+
+      expect(payload).toEqual({ firstName: 'Jean', lastName: 'PIC' });
+    });
+
+    it('uses the first non-empty source', async () => {
+      const mappings = {
+        companyName: {
+          sources: [
+            { source: 'contact', property: 'company' },
+            { source: 'company', property: 'name' },
+            { source: 'constant', value: 'Unknown' }
+          ]
+        }
+      };
+
+      const payload = await fieldMapping.buildPayload(mappings, makeResolvers({
+        contact: { company: '  ' },
+        company: { name: 'Acme' }
+      }));
+
+      expect(payload.companyName).toBe('Acme');
+    });
+
+    it('applies default after blank_if and lookups with a fallback', async () => {
+      const mappings = {
+        firstName: {
+          sources: [{ source: 'contact', property: 'firstname' }],
+          transforms: [{ blank_if: '^(test|n/a)$' }, { default: 'there' }]
+        },
+        region: {
+          sources: [{ source: 'contact', property: 'country' }],
+          transforms: [{ lookup: { 'united states': 'NA', Germany: 'EMEA' }, fallback: 'Other' }]
+        }
+      };
+
+      const payload = await fieldMapping.buildPayload(mappings, makeResolvers({
+        contact: { firstname: 'N/A', country: 'United States' }
+      }));
+
+      expect(payload).toEqual({ firstName: 'there', region: 'NA' });
+    });
+
+    it('sends empty values unless omit_empty is set', async () => {
+      const mappings = {
+        phone: { sources: [{ source: 'contact', property: 'phone' }] },
+        linkedinUrl: { sources: [{ source: 'contact', property: 'linkedin' }], omit_empty: true }
+      };
+
+      const payload = await fieldMapping.buildPayload(mappings, makeResolvers());
+
+      expect(payload).toEqual({ phone: '' });
+    });
+
+    it('rejects unknown sources and transforms', async () => {
+      await expect(fieldMapping.buildPayload(
+        { a: { sources: [{ source: 'salesforce', property: 'x' }] } },
+        makeResolvers()
+      )).rejects.toThrow('Unknown field mapping source: salesforce');
+
+      expect(() => fieldMapping.applyTransform('x', 'reverse')).toThrow('Unknown field mapping transform: reverse');
+    });
+  });
+
+  describe('applyEnrichmentFallbacks', () => {
+    const mappings = {
+      companyName: {
+        sources: [{ source: 'contact', property: 'company' }],
+        transforms: ['titlecase'],
+        enrichment_fallback: { sources: [{ source: 'context', key: 'emailDomainCompany' }] }
+      },
+      jobTitle: {
+        sources: [{ source: 'contact', property: 'jobtitle' }],
+        enrichment_fallback: { sources: [{ source: 'constant', value: 'Team' }] }
+      }
+    };
+
+    it('fills only variables still empty after enrichment', async () => {
+      const payload = { companyName: '', jobTitle: 'CTO' };
+
+      const filled = await fieldMapping.applyEnrichmentFallbacks(payload, mappings, makeResolvers({
+        context: { emailDomainCompany: 'acme corp' }
+      }));
+
+      expect(filled).toEqual(['companyName']);
+      expect(payload).toEqual({ companyName: 'Acme Corp', jobTitle: 'CTO' });
+    });
+
+    it('leaves a variable empty when the fallback has no value', async () => {
+      const payload = { companyName: '' };
+
+      const filled = await fieldMapping.applyEnrichmentFallbacks(payload, { companyName: mappings.companyName }, makeResolvers());
+
+      expect(filled).toEqual([]);
+      expect(payload.companyName).toBe('');
+    });
+  });
+
+  describe('getMissingRequired', () => {
+    it('lists required variables that are empty or absent', () => {
+      const mappings = {
+        email: { required: true },
+        firstName: { required: true },
+        companyName: { required: true },
+        phone: {}
+      };
+
+      expect(fieldMapping.getMissingRequired({ email: 'a@b.com', firstName: '  ' }, mappings))
+        .toEqual(['firstName', 'companyName']);
+    });
+  });
+
+  describe('getSourceProperties', () => {
+    it('includes properties read by enrichment fallbacks', () => {
+      const mappings = {
+        firstName: { sources: [{ source: 'contact', property: 'firstname' }] },
+        companyName: {
+          sources: [{ source: 'company', property: 'name' }],
+          enrichment_fallback: { sources: [{ source: 'contact', property: 'company' }] }
+        }
+      };
+
+      expect(fieldMapping.getSourceProperties(mappings, 'contact')).toEqual(['firstname', 'company']);
+      expect(fieldMapping.getSourceProperties(mappings, 'company')).toEqual(['name']);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { verifySignatureV3, getRequestUri } = require('../api/utils/hubspotSignature');
+
+const SECRET = 'test-client-secret';
+const NOW = 1760000000000;
+
+function sign(source) {
+  return crypto.createHmac('sha256', SECRET).update(source, 'utf8').digest('base64');
+}
+
+describe('hubspotSignature', () => {
+  describe('verifySignatureV3', () => {
+    const body = '[{"objectId":123,"subscriptionType":"contact.propertyChange"}]';
+    const uri = 'https://example.com/api/webhooks/hubspot/contacts';
+    const timestamp = String(NOW - 1000);
+
+    it('accepts a valid signature', () => {
+      const signature = sign(`POST${uri}${body}${timestamp}`);
+
+      expect(verifySignatureV3({ secret: SECRET, method: 'post', uri, body, signature, timestamp, now: NOW }))
+        .toEqual({ valid: true });
+    });
+
+    it('matches a known signature vector', () => {
+      const signature = crypto
+        .createHmac('sha256', 'secret')
+        .update('POSThttps://example.com/hook{}1700000000000', 'utf8')
+        .digest('base64');
+
+      expect(verifySignatureV3({
+        secret: 'secret',
+        method: 'POST',
+        uri: 'https://example.com/hook',
+        body: '{}',
+        signature,
+        timestamp: '1700000000000',
+        now: 1700000000000
+      }).valid).toBe(true);
+    });
+
+    it('signs the URI with reserved characters decoded', () => {
+      const encodedUri = 'https://example.com/api/webhooks/hubspot%3Fportal%3D1%26mode%3Dtest%40x%2Cy';
+      const decodedUri = 'https://example.com/api/webhooks/hubspot?portal%3D1%26mode%3Dtest@x,y';
+      const signature = sign(`POST${decodedUri}${body}${timestamp}`);
+
+      expect(verifySignatureV3({ secret: SECRET, method: 'POST', uri: encodedUri, body, signature, timestamp, now: NOW }).valid)
+        .toBe(true);
+    });
+
+    it('treats a missing body as empty', () => {
+      const signature = sign(`GET${uri}${timestamp}`);
+
+      expect(verifySignatureV3({ secret: SECRET, method: 'GET', uri, body: undefined, signature, timestamp, now: NOW }).valid)
+        .toBe(true);
+    });
+
+    it('rejects a tampered body', () => {
+      const signature = sign(`POST${uri}${body}${timestamp}`);
+
+      expect(verifySignatureV3({ secret: SECRET, method: 'POST', uri, body: `${body} `, signature, timestamp, now: NOW }))
+        .toEqual({ valid: false, reason: 'invalid_signature' });
+    });
+
+    it('rejects a missing signature or timestamp', () => {
+      expect(verifySignatureV3({ secret: SECRET, method: 'POST', uri, body, signature: '', timestamp, now: NOW }))
+        .toEqual({ valid: false, reason: 'missing_signature' });
+      expect(verifySignatureV3({ secret: SECRET, method: 'POST', uri, body, signature: 'abc', timestamp: undefined, now: NOW }))
+        .toEqual({ valid: false, reason: 'missing_signature' });
+    });
+
+    it('rejects timestamps outside the allowed age', () => {
+      const oldTimestamp = String(NOW - 5 * 60 * 1000 - 1);
+      const signature = sign(`POST${uri}${body}${oldTimestamp}`);
+
+      expect(verifySignatureV3({ secret: SECRET, method: 'POST', uri, body, signature, timestamp: oldTimestamp, now: NOW }))
+        .toEqual({ valid: false, reason: 'stale_timestamp' });
+      expect(verifySignatureV3({ secret: SECRET, method: 'POST', uri, body, signature, timestamp: 'yesterday', now: NOW }))
+        .toEqual({ valid: false, reason: 'stale_timestamp' });
+    });
+  });
+
+  describe('getRequestUri', () => {
+    it('uses the forwarded protocol and host', () => {
+      const req = {
+        protocol: 'http',
+        originalUrl: '/api/webhooks/hubspot?x=1',
+        headers: { 'x-forwarded-proto': 'https, http', 'x-forwarded-host': 'app.example.com', host: 'internal:3001' }
+      };
+
+      expect(getRequestUri(req)).toBe('https://app.example.com/api/webhooks/hubspot?x=1');
+    });
+
+    it('falls back to the request protocol and host', () => {
+      const req = { protocol: 'http', originalUrl: '/hook', headers: { host: 'localhost:3001' } };
+
+      expect(getRequestUri(req)).toBe('http://localhost:3001/hook');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.LOG_LEVEL = 'silent';
+
+jest.mock('../api/clients/salesforce', () => {
+  const query = jest.fn();
+  class SalesforceClient {
+    constructor() {
+      this.query = query;
+    }
+
+    escapeSoqlLiteral(value) {
+      return String(value || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+  }
+  SalesforceClient.query = query;
+  return SalesforceClient;
+});
+
+const SalesforceClient = require('../api/clients/salesforce');
+const routingConfig = require('../api/config/routing.json');
+const salesforceConversionService = require('../api/services/salesforceConversionService');
+
+function mockAccounts({ byDomain = [], byName = [] } = {}) {
+  SalesforceClient.query.mockImplementation(async (soql) => (soql.includes(' LIKE ') ? byDomain : byName));
+}
+
+describe('salesforceConversionService account matching', () => {
+  const originalSettings = routingConfig.salesforce_conversion;
+
+  const settings = (accountMatching = {}) => {
+    routingConfig.salesforce_conversion = { account_matching: accountMatching };
+    return salesforceConversionService.getSettings();
+  };
+
+  beforeEach(() => {
+    SalesforceClient.query.mockReset();
+  });
+
+  afterEach(() => {
+    routingConfig.salesforce_conversion = originalSettings;
+  });
+
+  describe('getSettings', () => {
+    it('keeps only known strategies, in the configured order', () => {
+      expect(settings().matchStrategies).toEqual(['email_domain', 'company_name']);
+      expect(settings({ strategies: ['company_name', 'phone'] }).matchStrategies).toEqual(['company_name']);
+      expect(settings({ on_multiple_matches: 'first' }).onMultipleMatches).toBe('create');
+    });
+  });
+
+  describe('findAccount', () => {
+    it('matches on the email domain, comparing normalized websites exactly', async () => {
+      mockAccounts({
+        byDomain: [
+          { Id: '001A', Name: 'Acme', Website: 'https://www.Acme.com/about' },
+          { Id: '001B', Name: 'Not Acme', Website: 'notacme.com' },
+          { Id: '001C', Name: 'Acme AU', Website: 'acme.com.au' }
+        ]
+      });
+
+      const result = await salesforceConversionService.findAccount({ email: 'jane@acme.com', companyName: 'Acme' }, settings());
+
+      expect(result).toEqual({
+        accountId: '001A',
+        decision: 'matched_domain',
+        strategy: 'email_domain',
+        candidates: [{ strategy: 'email_domain', id: '001A', name: 'Acme' }]
+      });
+      expect(SalesforceClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('treats websites with a scheme, port or path as the bare host', async () => {
+      mockAccounts({ byDomain: [{ Id: '001A', Name: 'Acme', Website: 'HTTP://www.acme.com:8080?ref=x' }] });
+
+      const result = await salesforceConversionService.findAccount({ email: 'jane@acme.com' }, settings());
+
+      expect(result.accountId).toBe('001A');
+    });
+
+    it('falls through to the company name when the domain is ambiguous', async () => {
+      mockAccounts({
+        byDomain: [
+          { Id: '001A', Name: 'Acme', Website: 'acme.com' },
+          { Id: '001B', Name: 'Acme EU', Website: 'www.acme.com' }
+        ],
+        byName: [{ Id: '001C', Name: 'Acme' }]
+      });
+
+      const result = await salesforceConversionService.findAccount({ email: 'jane@acme.com', companyName: 'Acme' }, settings());
+
+      expect(result.accountId).toBe('001C');
+      expect(result.decision).toBe('matched_company_name');
+      expect(result.candidates.map(candidate => candidate.id)).toEqual(['001A', '001B', '001C']);
+    });
+
+    it('takes the most recently modified account when configured', async () => {
+      mockAccounts({
+        byDomain: [
+          { Id: '001A', Name: 'Acme', Website: 'acme.com' },
+          { Id: '001B', Name: 'Acme EU', Website: 'acme.com' }
+        ]
+      });
+
+      const result = await salesforceConversionService.findAccount(
+        { email: 'jane@acme.com' },
+        settings({ on_multiple_matches: 'most_recent' })
+      );
+
+      expect(result).toMatchObject({ accountId: '001A', decision: 'matched_domain' });
+    });
+
+    it('creates an account when nothing matches, noting ambiguity', async () => {
+      mockAccounts({ byName: [{ Id: '001A', Name: 'Acme' }, { Id: '001B', Name: 'Acme' }] });
+
+      const ambiguous = await salesforceConversionService.findAccount({ email: 'jane@acme.com', companyName: 'Acme' }, settings());
+      const none = await salesforceConversionService.findAccount({ email: 'jane@acme.com', companyName: '' }, settings());
+
+      expect(ambiguous).toMatchObject({ accountId: null, decision: 'ambiguous_created', strategy: null });
+      expect(none).toEqual({ accountId: null, decision: 'created', strategy: null, candidates: [] });
+    });
+
+    it('does not match personal email domains', async () => {
+      mockAccounts({ byDomain: [{ Id: '001A', Name: 'Google', Website: 'gmail.com' }] });
+
+      const result = await salesforceConversionService.findAccount({ email: 'jane@gmail.com' }, settings());
+
+      expect(result.decision).toBe('created');
+      expect(SalesforceClient.query).not.toHaveBeenCalled();
+    });
+
+    it('escapes the domain in the LIKE pattern and rejects unsafe website fields', async () => {
+      mockAccounts();
+
+      await salesforceConversionService.findAccount({ email: 'jane@my_co.com' }, settings({ strategies: ['email_domain'] }));
+      expect(SalesforceClient.query.mock.calls[0][0]).toContain("Website LIKE '%my\\_co.com%'");
+
+      await expect(salesforceConversionService.findAccount(
+        { email: 'jane@acme.com' },
+        settings({ website_field: 'Website FROM Account--' })
+      )).rejects.toThrow('Invalid account_matching.website_field');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.LOG_LEVEL = 'silent';
+
+const sourceTaxonomyService = require('../api/services/sourceTaxonomyService');
+
+// LeadPipelineService.normalizeSourceDetail before the shared taxonomy (the
+// backfill-sfdc-source route had an identical copy): the Salesforce Source__c value
+function legacySfdcSource(sourceDetail) {
+  if (!sourceDetail) return 'Other';
+
+  const val = sourceDetail.trim();
+  if (val.startsWith('LM -') || val.toLowerCase().includes('lead magnet')) return 'Lead Magnet';
+  if (val.startsWith('CU -') || val.toLowerCase().includes('contact us')) return 'Contact Us';
+  if (val.toLowerCase().includes('referral') || val.toLowerCase().includes('partner')) return 'Referral';
+  if (val.toLowerCase().includes('seo') || val.toLowerCase().includes('organic')) return 'Referral';
+
+  return 'Other';
+}
+
+// DashboardService.categorizeSource before the shared taxonomy
+function legacyDashboardSource(sourceDetail, leadSource) {
+  if (sourceDetail) {
+    const trimmed = sourceDetail.trim();
+    const lmMatch = trimmed.match(/^LM\s*[-–—]\s*(.+)/i);
+    if (lmMatch) {
+      return { category: 'Lead Magnet', detail: lmMatch[1].trim() };
+    }
+    if (/contact\s*us/i.test(trimmed)) {
+      return { category: 'Contact Us', detail: null };
+    }
+    return { category: trimmed, detail: null };
+  }
+  if (leadSource === 'contact_us') {
+    return { category: 'Contact Us', detail: null };
+  }
+  return { category: 'Inbound (Other)', detail: null };
+}
+
+const SOURCE_DETAILS = [
+  'LM - Hiring Guide',
+  '  LM - Sales Playbook  ',
+  'LM -',
+  'Lead Magnet: Scorecard',
+  'CU - Demo request',
+  'CU -',
+  'Contact Us page',
+  'Contact us - lead magnet',
+  'LM - Contact us checklist',
+  'Partner referral',
+  'Referral - John Smith',
+  'Partner webinar',
+  'SEO blog',
+  'Organic Search',
+  'Museo visit',
+  'Webinar',
+  'Paid social',
+  '',
+  '   ',
+  null
+];
+
+describe('sourceTaxonomyService', () => {
+  let defaultRules;
+
+  beforeAll(async () => {
+    // Without the table the service falls back to its built-in rules (the table seed)
+    sourceTaxonomyService.tableAvailable = false;
+    defaultRules = await sourceTaxonomyService.getRules();
+  });
+
+  describe('default rules', () => {
+    it('produce the Salesforce source the pipeline and backfill used to', () => {
+      for (const sourceDetail of SOURCE_DETAILS) {
+        expect([sourceDetail, sourceTaxonomyService.categorizeWith(defaultRules, sourceDetail).sfdcValue])
+          .toEqual([sourceDetail, legacySfdcSource(sourceDetail)]);
+      }
+    });
+
+    it('keep the dashboard lead magnet names and contact us grouping', () => {
+      for (const sourceDetail of ['LM - Hiring Guide', 'lm–Scorecard', 'Contact Us page', 'ContactUs form']) {
+        const { category, detail } = sourceTaxonomyService.categorizeWith(defaultRules, sourceDetail);
+        expect({ category, detail }).toEqual(legacyDashboardSource(sourceDetail));
+      }
+    });
+
+    it('keep the dashboard fallback to lead_source', () => {
+      for (const leadSource of ['contact_us', 'other', null]) {
+        const { category, detail } = sourceTaxonomyService.categorizeWith(defaultRules, null, leadSource);
+        expect({ category, detail }).toEqual(legacyDashboardSource(null, leadSource));
+      }
+    });
+
+    it('group SEO and organic as Organic on the dashboard and Referral in Salesforce', () => {
+      expect(sourceTaxonomyService.categorizeWith(defaultRules, 'SEO blog')).toMatchObject({ category: 'Organic', sfdcValue: 'Referral' });
+      expect(sourceTaxonomyService.categorizeWith(defaultRules, 'Organic Search')).toMatchObject({ category: 'Organic', sfdcValue: 'Referral' });
+    });
+
+    it('group unmatched sources as Other and keep the value as the detail', () => {
+      expect(sourceTaxonomyService.categorizeWith(defaultRules, ' Webinar ')).toEqual({
+        category: 'Other',
+        sfdcValue: 'Other',
+        detail: 'Webinar',
+        ruleId: null
+      });
+    });
+  });
+
+  describe('categorizeWith', () => {
+    const rules = [
+      { id: 1, field: 'source_detail', match_type: 'regex', pattern: '(', category: 'Broken', sfdc_value: 'Broken' },
+      { id: 2, field: 'source_detail', match_type: 'prefix', pattern: 'EV -', category: 'Event', sfdc_value: 'Event' },
+      { id: 3, field: 'source_detail', match_type: 'regex', pattern: '^webinar:\\s*(.+)', category: 'Webinar', sfdc_value: 'Event' },
+      { id: 4, field: 'lead_source', match_type: 'equals', pattern: 'Chat', category: 'Chat', sfdc_value: 'Other' }
+    ];
+
+    it('returns the first matching rule, skipping invalid regexes', () => {
+      expect(sourceTaxonomyService.categorizeWith(rules, 'ev - SaaStr')).toEqual({
+        category: 'Event',
+        sfdcValue: 'Event',
+        detail: null,
+        ruleId: '2'
+      });
+    });
+
+    it('uses a regex capture group as the detail', () => {
+      expect(sourceTaxonomyService.categorizeWith(rules, 'Webinar: Coaching 101').detail).toBe('Coaching 101');
+    });
+
+    it('matches rules against the lead source field', () => {
+      expect(sourceTaxonomyService.categorizeWith(rules, null, 'chat')).toMatchObject({ category: 'Chat', ruleId: '4' });
+      expect(sourceTaxonomyService.categorizeWith(rules, null, 'email')).toEqual({
+        category: 'Inbound (Other)',
+        sfdcValue: 'Other',
+        detail: null,
+        ruleId: null
+      });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+process.env.LEMLIST_WEBHOOK_SECRET = 'lemlist-secret';
+process.env.LEMCAL_WEBHOOK_SECRET = 'lemcal-secret';
+process.env.HUBSPOT_CLIENT_SECRET = 'hubspot-secret';
+process.env.LOG_LEVEL = 'silent';
+
+jest.mock('../api/services/webhookNonceService', () => {
+  const claimed = new Set();
+  return {
+    claimed,
+    claim: jest.fn(async (provider, nonce) => {
+      const key = `${provider}:${nonce}`;
+      if (claimed.has(key)) return false;
+      claimed.add(key);
+      return true;
+    }),
+    release: jest.fn(async (provider, nonce) => {
+      claimed.delete(`${provider}:${nonce}`);
+    })
+  };
+});
+
+const webhookNonceService = require('../api/services/webhookNonceService');
+const verifyWebhook = require('../api/middleware/verifyWebhook');
+
+function makeRequest({ headers = {}, body = '{"type":"emailsReplied"}', query = {} } = {}) {
+  return {
+    method: 'POST',
+    protocol: 'https',
+    originalUrl: '/api/webhooks/lemlist',
+    ip: '127.0.0.1',
+    headers: { host: 'example.com', ...headers },
+    query,
+    rawBody: body
+  };
+}
+
+function makeResponse() {
+  const listeners = {};
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    on(event, listener) {
+      listeners[event] = listener;
+    },
+    emit(event) {
+      listeners[event]?.();
+    }
+  };
+}
+
+async function run(provider, req) {
+  const res = makeResponse();
+  const next = jest.fn();
+  await verifyWebhook(provider)(req, res, next);
+  return { res, next };
+}
+
+function signShared(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+}
+
+describe('verifyWebhook', () => {
+  beforeEach(() => {
+    webhookNonceService.claimed.clear();
+    jest.clearAllMocks();
+  });
+
+  it('throws for an unknown provider', () => {
+    expect(() => verifyWebhook('stripe')).toThrow('Unknown webhook provider: stripe');
+  });
+
+  describe('shared secret', () => {
+    it('accepts the secret as a query token', async () => {
+      const { res, next } = await run('lemlist', makeRequest({ query: { token: 'lemlist-secret' } }));
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.body).toBeUndefined();
+    });
+
+    it('accepts the secret as a header', async () => {
+      const { next } = await run('lemlist', makeRequest({ headers: { 'x-webhook-secret': 'lemlist-secret' } }));
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('rejects a wrong or missing secret', async () => {
+      const wrong = await run('lemlist', makeRequest({ query: { token: 'lemcal-secret' } }));
+      const missing = await run('lemlist', makeRequest());
+
+      expect(wrong.res.statusCode).toBe(401);
+      expect(missing.res.statusCode).toBe(401);
+      expect(wrong.next).not.toHaveBeenCalled();
+      expect(missing.next).not.toHaveBeenCalled();
+    });
+
+    it('rejects a stale timestamp sent with the secret', async () => {
+      const timestamp = String(Math.floor(Date.now() / 1000) - 10 * 60);
+      const { res, next } = await run('lemlist', makeRequest({
+        headers: { 'x-webhook-secret': 'lemlist-secret', 'x-webhook-timestamp': timestamp }
+      }));
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HMAC signature', () => {
+    const body = '{"event":"meeting.created"}';
+
+    it('accepts a valid signature', async () => {
+      const timestamp = String(Date.now());
+      const signature = `sha256=${signShared('lemcal-secret', timestamp, body)}`;
+
+      const { next } = await run('lemcal', makeRequest({
+        body,
+        headers: { 'x-webhook-signature': signature, 'x-webhook-timestamp': timestamp }
+      }));
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('rejects a signature over a different body', async () => {
+      const timestamp = String(Date.now());
+      const signature = signShared('lemcal-secret', timestamp, body);
+
+      const { res, next } = await run('lemcal', makeRequest({
+        body: '{"event":"meeting.cancelled"}',
+        headers: { 'x-webhook-signature': signature, 'x-webhook-timestamp': timestamp }
+      }));
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('requires a fresh timestamp', async () => {
+      const staleTimestamp = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      const stale = await run('lemcal', makeRequest({
+        body,
+        headers: { 'x-webhook-signature': signShared('lemcal-secret', staleTimestamp, body), 'x-webhook-timestamp': staleTimestamp }
+      }));
+      const missing = await run('lemcal', makeRequest({
+        body,
+        headers: { 'x-webhook-signature': signShared('lemcal-secret', '', body) }
+      }));
+
+      expect(stale.res.statusCode).toBe(401);
+      expect(missing.res.statusCode).toBe(401);
+    });
+
+    it('verifies HubSpot v3 signatures', async () => {
+      const hubspotBody = '[{"objectId":1}]';
+      const timestamp = String(Date.now());
+      const signature = crypto
+        .createHmac('sha256', 'hubspot-secret')
+        .update(`POSThttps://example.com/api/webhooks/hubspot${hubspotBody}${timestamp}`, 'utf8')
+        .digest('base64');
+      const req = makeRequest({
+        body: hubspotBody,
+        headers: { 'x-hubspot-signature-v3': signature, 'x-hubspot-request-timestamp': timestamp }
+      });
+      req.originalUrl = '/api/webhooks/hubspot';
+
+      const { next } = await run('hubspot', req);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('replay protection', () => {
+    it('acknowledges a repeated request without handling it again', async () => {
+      const timestamp = String(Date.now());
+      const headers = { 'x-webhook-signature': signShared('lemcal-secret', timestamp, '{}'), 'x-webhook-timestamp': timestamp };
+
+      const first = await run('lemcal', makeRequest({ body: '{}', headers }));
+      const replay = await run('lemcal', makeRequest({ body: '{}', headers }));
+
+      expect(first.next).toHaveBeenCalledWith();
+      expect(replay.res.statusCode).toBe(200);
+      expect(replay.res.body).toEqual({ success: true, duplicate: true, message: 'Webhook already received' });
+      expect(replay.next).not.toHaveBeenCalled();
+    });
+
+    it('ignores the unsigned nonce header', async () => {
+      const timestamp = String(Date.now());
+      const headers = { 'x-webhook-signature': signShared('lemcal-secret', timestamp, '{}'), 'x-webhook-timestamp': timestamp };
+
+      const first = await run('lemcal', makeRequest({ body: '{}', headers: { ...headers, 'x-webhook-nonce': 'a' } }));
+      const replay = await run('lemcal', makeRequest({ body: '{}', headers: { ...headers, 'x-webhook-nonce': 'b' } }));
+      const tokenFirst = await run('lemlist', makeRequest({ query: { token: 'lemlist-secret' }, headers: { 'x-webhook-nonce': 'a' } }));
+      const tokenReplay = await run('lemlist', makeRequest({ query: { token: 'lemlist-secret' }, headers: { 'x-webhook-nonce': 'b' } }));
+
+      expect(first.next).toHaveBeenCalledWith();
+      expect(replay.res.body.duplicate).toBe(true);
+      expect(replay.next).not.toHaveBeenCalled();
+      expect(tokenFirst.next).toHaveBeenCalledWith();
+      expect(tokenReplay.res.body.duplicate).toBe(true);
+      expect(tokenReplay.next).not.toHaveBeenCalled();
+    });
+
+    it('acknowledges a Lemlist retry of the same body without a timestamp', async () => {
+      const req = () => makeRequest({ query: { token: 'lemlist-secret' }, body: '{"type":"emailsOpened","leadEmail":"a@b.com"}' });
+
+      const first = await run('lemlist', req());
+      const retry = await run('lemlist', req());
+
+      expect(first.next).toHaveBeenCalledWith();
+      expect(retry.res.statusCode).toBe(200);
+      expect(retry.res.body.duplicate).toBe(true);
+      expect(retry.next).not.toHaveBeenCalled();
+    });
+
+    it('releases the nonce when the handler fails', async () => {
+      const req = () => makeRequest({ query: { token: 'lemlist-secret' } });
+
+      const first = await run('lemlist', req());
+      first.res.statusCode = 500;
+      first.res.emit('finish');
+      await Promise.resolve();
+
+      const retry = await run('lemlist', req());
+      expect(webhookNonceService.release).toHaveBeenCalledTimes(1);
+      expect(retry.next).toHaveBeenCalledWith();
+    });
+
+    it('passes nonce store errors to the error handler', async () => {
+      const failure = new Error('db down');
+      webhookNonceService.claim.mockRejectedValueOnce(failure);
+
+      const { next } = await run('lemlist', makeRequest({ query: { token: 'lemlist-secret' } }));
+
+      expect(next).toHaveBeenCalledWith(failure);
+    });
+  });
+});